@@ -0,0 +1,26 @@
+// Bearer-token guard for the routes that change data and the /admin reports.
+// With no token configured the guarded routes are switched off rather than open.
+
+const crypto = require('crypto');
+
+// Equal-length digests, so the comparison takes the same time for any token
+const tokenDigest = (token) => crypto.createHash('sha256').update(token).digest();
+
+// Express middleware accepting "Authorization: Bearer <token>"
+function createAdminGuard(token) {
+    return function requireAdmin(req, res, next) {
+        if (!token) {
+            return res.status(503).json({ message: "Admin routes are disabled; set ADMIN_TOKEN to enable them" });
+        }
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+        if (!match || !crypto.timingSafeEqual(tokenDigest(match[1]), tokenDigest(token))) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ message: "A valid admin token is required" });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createAdminGuard
+};
@@ -0,0 +1,198 @@
+// State → district → division / region → place tree over the neighborhoods
+// dataset and the post offices of the pincode CSV.
+// The two datasets spell the same units differently ("Hyderabad District" /
+// "HYDERABAD", "Telangana State" / "TELANGANA", "Ranga Reddy" / "Rangareddy"),
+// so every name is reduced to a key and the units merge on exact key equality:
+// "Hyderabad" and "Hyderabad Rural" stay two districts. Each node gets a slug
+// for URLs, counts, a centroid and a bounding box.
+
+const { normalizeName } = require('./name_matching');
+
+const LEVELS = ['state', 'district', 'area'];
+
+// Words the sources append to a unit's own name at that level
+const LEVEL_SUFFIXES = {
+    state: /\s+state$/i,
+    district: /\s+district$/i,
+    area: null
+};
+
+const MISSING = new Set(['', 'n/a', 'na', 'null', '-']);
+
+// Raw value → display candidate for the level, or null when missing
+function cleanName(value, level) {
+    let text = String(value === undefined || value === null ? '' : value)
+        .replace(/[\u2010-\u2015]/g, '-')
+        // Footnote markers copied from Wikipedia infoboxes: "Ranga Reddy[1]"
+        .replace(/\[\d+\]/g, '')
+        .replace(/[\s,;.]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (MISSING.has(text.toLowerCase())) return null;
+    if (LEVEL_SUFFIXES[level]) text = text.replace(LEVEL_SUFFIXES[level], '');
+    return text || null;
+}
+
+// "Medchal–Malkajgiri" → "medchal-malkajgiri"
+const slugify = (name) => normalizeName(name).replace(/\s+/g, '-');
+// Spacing-insensitive key, so "Ranga Reddy" and "Rangareddy" are one unit
+const matchKey = (name) => slugify(name).replace(/-/g, '');
+
+const UNASSIGNED = { name: 'Unassigned', slug: 'unassigned', key: 'unassigned' };
+
+const isAllCaps = (text) => text === text.toUpperCase() && /[A-Z]/.test(text);
+
+// Most used spelling, preferring mixed case over the pincode file's capitals
+function displayName(spellings) {
+    let best = null;
+    spellings.forEach((count, spelling) => {
+        const score = [isAllCaps(spelling) ? 0 : 1, count];
+        if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+            best = { spelling, score };
+        }
+    });
+    const name = best.spelling;
+    return isAllCaps(name) ? name.toLowerCase().replace(/\b[a-z]/g, char => char.toUpperCase()) : name;
+}
+
+function createNode(level, key) {
+    return {
+        level,
+        key,
+        spellings: new Map(),
+        children: new Map(),
+        neighborhoods: [],
+        postOffices: [],
+        counts: { neighborhood: 0, post_office: 0 },
+        pincodes: new Set(),
+        sumLat: 0,
+        sumLng: 0,
+        located: 0,
+        bbox: null
+    };
+}
+
+function addPoint(node, lat, lng) {
+    if (typeof lat !== 'number' || typeof lng !== 'number' || !isFinite(lat) || !isFinite(lng)) return;
+    node.sumLat += lat;
+    node.sumLng += lng;
+    node.located++;
+    if (!node.bbox) {
+        node.bbox = [lng, lat, lng, lat];
+    } else {
+        node.bbox = [Math.min(node.bbox[0], lng), Math.min(node.bbox[1], lat), Math.max(node.bbox[2], lng), Math.max(node.bbox[3], lat)];
+    }
+}
+
+// places: [{ kind: 'neighborhood' | 'post_office', state, district, area, areaKind, lat, lng, pincode, record }]
+function buildHierarchy(places) {
+    const root = createNode('root', '');
+
+    places.forEach(place => {
+        let node = root;
+        const path = [root];
+        LEVELS.forEach(level => {
+            const name = cleanName(place[level], level);
+            const key = name ? `${level === 'area' ? place.areaKind + ':' : ''}${matchKey(name)}` : UNASSIGNED.key;
+            if (!node.children.has(key)) {
+                const child = createNode(level, key);
+                if (level === 'area') child.areaKind = name ? place.areaKind : null;
+                node.children.set(key, child);
+            }
+            node = node.children.get(key);
+            if (name) node.spellings.set(name, (node.spellings.get(name) || 0) + 1);
+            path.push(node);
+        });
+
+        node[place.kind === 'neighborhood' ? 'neighborhoods' : 'postOffices'].push(place);
+        path.forEach(ancestor => {
+            addPoint(ancestor, place.lat, place.lng);
+            if (place.pincode) ancestor.pincodes.add(place.pincode);
+            ancestor.counts[place.kind]++;
+        });
+    });
+
+    // Names and slugs once every spelling has been seen; slugs unique among siblings
+    function finish(node) {
+        const usedSlugs = new Set();
+        Array.from(node.children.values()).forEach(child => {
+            if (child.spellings.size === 0) {
+                child.name = UNASSIGNED.name;
+                child.slug = UNASSIGNED.slug;
+            } else {
+                child.name = displayName(child.spellings);
+                child.slug = slugify(child.name);
+                if (child.areaKind && usedSlugs.has(child.slug)) child.slug = `${child.slug}-${child.areaKind}`;
+            }
+            usedSlugs.add(child.slug);
+            finish(child);
+        });
+    }
+    finish(root);
+
+    function summary(node, pathSlugs) {
+        return {
+            name: node.name,
+            slug: node.slug,
+            path: pathSlugs.join('/'),
+            level: node.level,
+            ...(node.level === 'area' ? { kind: node.areaKind } : {}),
+            counts: {
+                children: node.children.size,
+                neighborhoods: node.counts.neighborhood,
+                post_offices: node.counts.post_office,
+                pincodes: node.pincodes.size
+            },
+            centroid: node.located > 0
+                ? { lat: parseFloat((node.sumLat / node.located).toFixed(6)), lng: parseFloat((node.sumLng / node.located).toFixed(6)) }
+                : null,
+            bbox: node.bbox
+        };
+    }
+
+    const sortedChildren = (node) => Array.from(node.children.values())
+        .sort((a, b) => (a.slug === UNASSIGNED.slug) - (b.slug === UNASSIGNED.slug) || a.name.localeCompare(b.name));
+
+    // Node summary with `depth` levels of children below it
+    function describe(node, pathSlugs, depth) {
+        const described = node === root ? {} : summary(node, pathSlugs);
+        if (depth > 0 && node.children.size > 0) {
+            described.children = sortedChildren(node).map(child => describe(child, [...pathSlugs, child.slug], depth - 1));
+        }
+        return described;
+    }
+
+    // Child matching a slug or a name (compared by key, never by substring)
+    function findChild(node, segment) {
+        const wanted = String(segment || '');
+        const children = Array.from(node.children.values());
+        return children.find(child => child.slug === wanted.toLowerCase()) ||
+            children.find(child => child.name && matchKey(child.name) === matchKey(cleanName(wanted, child.level) || '')) ||
+            null;
+    }
+
+    // segments: [state, district, area] slugs or names (any prefix of them) →
+    // { node summary with children, and the places at an area } or null
+    function lookup(segments, { depth = 1 } = {}) {
+        let node = root;
+        const pathSlugs = [];
+        for (const segment of segments) {
+            node = findChild(node, segment);
+            if (!node) return null;
+            pathSlugs.push(node.slug);
+        }
+        const described = describe(node, pathSlugs, depth);
+        if (node === root) {
+            return { counts: summary(root, []).counts, ...described };
+        }
+        if (node.level === 'area') {
+            described.neighborhoods = node.neighborhoods.map(place => place.record);
+            described.post_offices = node.postOffices.map(place => place.record);
+        }
+        return described;
+    }
+
+    return { lookup };
+}
+
+module.exports = { cleanName, slugify, matchKey, buildHierarchy };
@@ -0,0 +1,99 @@
+// Prefix index for place-name autocomplete.
+// Every suggestion is stored under its full name and under each later word
+// ("S. R. Nagar" is found by "s r", "r nag" and "nagar"), in one sorted array,
+// so a lookup is a binary search plus a short walk over the matching keys.
+
+const { normalizeName } = require('./name_matching');
+
+// Ties between equally good matches go to the more useful place type
+const TYPE_PRIORITY = {
+    neighborhood: 0,
+    district: 1,
+    assembly_constituency: 2,
+    parliamentary_constituency: 3,
+    post_office: 4
+};
+
+function createAutocompleteIndex() {
+    const suggestions = new Map(); // type + normalized name -> suggestion
+    let keys = null; // sorted [{ key, suggestion, wordIndex }], rebuilt lazily
+
+    // Add a place; repeats of the same type, name and detail (district, state
+    // or pincode) are merged, with their coordinates averaged and counted
+    function add({ type, name, latitude, longitude, detail }) {
+        const normalized = normalizeName(name);
+        if (!normalized || typeof latitude !== 'number' || typeof longitude !== 'number' ||
+            !isFinite(latitude) || !isFinite(longitude)) {
+            return;
+        }
+        const id = `${type}:${normalized}:${normalizeName(detail)}`;
+        const existing = suggestions.get(id);
+        if (existing) {
+            existing.latSum += latitude;
+            existing.lngSum += longitude;
+            existing.count++;
+            return;
+        }
+        suggestions.set(id, { id, type, name, normalized, detail: detail || null, latSum: latitude, lngSum: longitude, count: 1 });
+        keys = null;
+    }
+
+    function buildKeys() {
+        keys = [];
+        suggestions.forEach(suggestion => {
+            const words = suggestion.normalized.split(' ');
+            words.forEach((_, wordIndex) => {
+                keys.push({ key: words.slice(wordIndex).join(' '), suggestion, wordIndex });
+            });
+        });
+        keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    }
+
+    function suggest(query, options = {}) {
+        const prefix = normalizeName(query);
+        if (!prefix) return [];
+        if (!keys) buildKeys();
+        const types = options.types && options.types.length ? new Set(options.types) : null;
+
+        let low = 0;
+        let high = keys.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (keys[mid].key < prefix) low = mid + 1; else high = mid;
+        }
+
+        // Best (lowest) word position per suggestion: matching the start of the name beats a later word
+        const matches = new Map();
+        for (let i = low; i < keys.length && keys[i].key.startsWith(prefix); i++) {
+            const { suggestion, wordIndex } = keys[i];
+            if (types && !types.has(suggestion.type)) continue;
+            const previous = matches.get(suggestion.id);
+            if (previous === undefined || wordIndex < previous) matches.set(suggestion.id, wordIndex);
+        }
+
+        const ranked = Array.from(matches, ([id, wordIndex]) => {
+            const suggestion = suggestions.get(id);
+            const rank = suggestion.normalized === prefix ? 0 : (wordIndex === 0 ? 1 : 2);
+            return { suggestion, rank };
+        }).sort((a, b) =>
+            a.rank - b.rank ||
+            TYPE_PRIORITY[a.suggestion.type] - TYPE_PRIORITY[b.suggestion.type] ||
+            b.suggestion.count - a.suggestion.count ||
+            a.suggestion.name.length - b.suggestion.name.length ||
+            a.suggestion.name.localeCompare(b.suggestion.name)
+        );
+
+        return ranked.slice(0, options.limit || 10).map(({ suggestion, rank }) => ({
+            label: suggestion.name,
+            type: suggestion.type,
+            detail: suggestion.detail,
+            latitude: parseFloat((suggestion.latSum / suggestion.count).toFixed(6)),
+            longitude: parseFloat((suggestion.lngSum / suggestion.count).toFixed(6)),
+            match: rank === 0 ? 'exact' : (rank === 1 ? 'prefix' : 'word')
+        }));
+    }
+
+    return { add, suggest, get size() { return suggestions.size; } };
+}
+
+module.exports = { createAutocompleteIndex };
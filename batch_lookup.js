@@ -0,0 +1,102 @@
+// Batch lookups: run one lookup per input item and report success or failure
+// per item, either over a JSON array or over an uploaded CSV. The CSV path is
+// streamed: rows are parsed, looked up and written back as they arrive, so a
+// 10,000-row spreadsheet never sits in memory as a whole.
+
+const { createCsvParser } = require('./dataset_loader');
+const { csvCell } = require('./location_formats');
+
+// lookup(item) → { result } or { error }; a thrown error counts as that item failing
+function runLookup(lookup, item) {
+    try {
+        return lookup(item);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// items → { count, succeeded, failed, results: [{ index, input, status, result | error }] }
+function runBatch(items, lookup) {
+    let failed = 0;
+    const results = items.map((input, index) => {
+        const outcome = runLookup(lookup, input);
+        if (outcome.error) {
+            failed++;
+            return { index, input, status: 'error', error: outcome.error };
+        }
+        return { index, input, status: 'ok', result: outcome.result };
+    });
+    return { count: items.length, succeeded: items.length - failed, failed, results };
+}
+
+// First header matching one of `names` (case and spacing ignored), or -1
+function findColumn(headers, names) {
+    const wanted = names.map(name => name.toLowerCase().replace(/[\s_-]+/g, ''));
+    return headers.findIndex(header => wanted.includes(String(header).trim().toLowerCase().replace(/[\s_-]+/g, '')));
+}
+
+// Stream a CSV request body through `lookup` and respond with the same rows
+// plus the lookup columns. Options:
+//   readInput(headers) → { read(values) → item } or { error } (bad header → 400)
+//   lookup(item) → { result } or { error }
+//   columns: output column names; toColumns(result) → { [column]: value }
+//   fileName: for Content-Disposition
+function streamCsvBatch(req, res, { readInput, lookup, columns, toColumns, fileName }) {
+    let reader = null;
+    let failed = false;
+    let output = '';
+
+    const parser = createCsvParser(({ values }) => {
+        if (failed) return;
+        if (!reader) {
+            const prepared = readInput(values);
+            if (prepared.error) {
+                failed = true;
+                res.status(400).json({ message: prepared.error });
+                return;
+            }
+            reader = prepared;
+            res.status(200).type('text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            output += [...values, ...columns, 'error'].map(csvCell).join(',') + '\r\n';
+            return;
+        }
+        const outcome = runLookup(lookup, reader.read(values));
+        const found = outcome.error ? {} : toColumns(outcome.result);
+        output += [...values, ...columns.map(column => found[column]), outcome.error || '']
+            .map(csvCell).join(',') + '\r\n';
+    });
+
+    // Write what each chunk produced; wait for the client to drain a full buffer
+    const flush = () => {
+        if (!output || failed) return;
+        const ok = res.write(output);
+        output = '';
+        if (!ok) {
+            req.pause();
+            res.once('drain', () => req.resume());
+        }
+    };
+
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        parser.write(chunk);
+        flush();
+    });
+    req.on('end', () => {
+        parser.end();
+        if (failed) return;
+        if (!reader) {
+            res.status(400).json({ message: 'the CSV is empty' });
+            return;
+        }
+        flush();
+        res.end();
+    });
+    req.on('error', () => {
+        if (!res.headersSent) res.status(400).json({ message: 'the upload was interrupted' });
+        else res.end();
+    });
+}
+
+module.exports = { runBatch, findColumn, streamCsvBatch };
@@ -0,0 +1,216 @@
+// Category taxonomy for phrase items, kept in categories.json next to
+// data.json. Items point at a category through their "category-id"; a category
+// may sit under a parent, so the tree can be browsed (and items filtered) from
+// any level. Each entry:
+//   { "id": "21", "parent_id": "2", "names": { "en": "…", "te": "…" },
+//     "icon": "…", "sort_order": 1 }
+// Names are per language code of the language registry.
+
+const fs = require('fs');
+
+const FIELDS = ['id', 'parent_id', 'names', 'icon', 'sort_order'];
+
+// Category ids are compared as strings: data.json stores "11", not 11
+const idOf = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+// Numeric ids in number order ("9" before "11"), others after them by text
+const compareIds = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+// entries → taxonomy; throws on a malformed list, like the language registry
+function createCategoryTaxonomy(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('categories.json must contain an array of categories');
+    }
+
+    const byId = new Map();
+    entries.forEach(entry => {
+        const id = entry && idOf(entry.id);
+        if (!id) throw new Error('every category needs an "id"');
+        if (byId.has(id)) throw new Error(`category "${id}" is listed twice`);
+        byId.set(id, {
+            id,
+            parent_id: idOf(entry.parent_id),
+            names: entry.names && typeof entry.names === 'object' ? entry.names : {},
+            icon: entry.icon || null,
+            sort_order: typeof entry.sort_order === 'number' ? entry.sort_order : 0
+        });
+    });
+
+    const childrenOf = new Map();
+    byId.forEach(category => {
+        if (category.parent_id !== null && !byId.has(category.parent_id)) {
+            throw new Error(`category "${category.id}" has an unknown parent "${category.parent_id}"`);
+        }
+        const key = category.parent_id;
+        if (!childrenOf.has(key)) childrenOf.set(key, []);
+        childrenOf.get(key).push(category);
+    });
+    const bySortOrder = (a, b) => a.sort_order - b.sort_order || compareIds(a.id, b.id);
+    childrenOf.forEach(list => list.sort(bySortOrder));
+
+    // Depth-first, siblings by sort_order: the order categories are listed in.
+    // A category reached twice would be part of a cycle.
+    const ordered = [];
+    const depthOf = new Map();
+    (function walk(parentId, depth) {
+        (childrenOf.get(parentId) || []).forEach(category => {
+            depthOf.set(category.id, depth);
+            ordered.push(category);
+            walk(category.id, depth + 1);
+        });
+    })(null, 0);
+    if (ordered.length !== byId.size) {
+        const looped = Array.from(byId.keys()).filter(id => !depthOf.has(id));
+        throw new Error(`categories form a cycle: ${looped.join(', ')}`);
+    }
+
+    const get = (id) => byId.get(idOf(id)) || null;
+    const children = (id) => (childrenOf.get(idOf(id)) || []).slice();
+
+    // The category and every category below it
+    function descendantIds(id) {
+        const ids = new Set();
+        const visit = category => {
+            ids.add(category.id);
+            children(category.id).forEach(visit);
+        };
+        const category = get(id);
+        if (category) visit(category);
+        return ids;
+    }
+
+    // Parents from the root down, not including the category
+    function ancestors(id) {
+        const path = [];
+        let category = get(id);
+        while (category && category.parent_id !== null) {
+            category = get(category.parent_id);
+            path.unshift(category);
+        }
+        return path;
+    }
+
+    return {
+        list: () => ordered.slice(),
+        get,
+        has: (id) => byId.has(idOf(id)),
+        children,
+        descendantIds,
+        ancestors,
+        depth: (id) => depthOf.get(idOf(id)),
+        // Position in listing order, for sorting items by category; unknown ids last
+        rank: (id) => (byId.has(idOf(id)) ? ordered.indexOf(byId.get(idOf(id))) : ordered.length),
+        toJSON: () => ordered.map(category => ({ ...category }))
+    };
+}
+
+// Request body → { category } with the given fields checked, or { error }.
+// `current` is the stored category for an update (its fields fill the gaps),
+// `languageCodes` the registry's codes.
+function readCategory(body, { current = null, taxonomy, languageCodes }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: "Request body must be a JSON object" };
+    }
+    const unknown = Object.keys(body).filter(field => !FIELDS.includes(field));
+    if (unknown.length) {
+        return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+
+    if (current && body.id !== undefined && idOf(body.id) !== current.id) {
+        return { error: "A category's id cannot be changed" };
+    }
+    if (body.id !== undefined && typeof body.id !== 'string' && !Number.isInteger(body.id)) {
+        return { error: "id must be a string or a whole number" };
+    }
+    const category = current ? { ...current } : { id: idOf(body.id), parent_id: null, names: {}, icon: null, sort_order: null };
+
+    if (body.names !== undefined) {
+        if (!body.names || typeof body.names !== 'object' || Array.isArray(body.names)) {
+            return { error: "names must be an object of language code → name" };
+        }
+        const unknownCodes = Object.keys(body.names).filter(code => !languageCodes.includes(code));
+        if (unknownCodes.length) {
+            return { error: `Unknown language codes: ${unknownCodes.join(', ')}` };
+        }
+        const invalid = Object.keys(body.names).filter(code => body.names[code] !== null && typeof body.names[code] !== 'string');
+        if (invalid.length) {
+            return { error: `Names must be strings: ${invalid.join(', ')}` };
+        }
+        // Given languages replace their name; null or "" removes it
+        category.names = Object.fromEntries(Object.entries({ ...category.names, ...body.names })
+            .filter(([, name]) => typeof name === 'string' && name.trim())
+            .map(([code, name]) => [code, name.trim()]));
+    }
+    // Categories seeded from data.json start unnamed, so only a create or a
+    // names change has to leave one
+    if ((!current || body.names !== undefined) && Object.keys(category.names).length === 0) {
+        return { error: "names needs a name in at least one language" };
+    }
+
+    if (body.parent_id !== undefined) {
+        const parentId = idOf(body.parent_id);
+        if (parentId !== null && !taxonomy.has(parentId)) {
+            return { error: `Unknown parent_id: ${parentId}` };
+        }
+        if (parentId !== null && current && taxonomy.descendantIds(current.id).has(parentId)) {
+            return { error: "A category cannot be moved under itself or one of its sub-categories" };
+        }
+        category.parent_id = parentId;
+    }
+
+    if (body.icon !== undefined) {
+        if (body.icon !== null && typeof body.icon !== 'string') {
+            return { error: "icon must be a string (an emoji or an image URL) or null" };
+        }
+        category.icon = body.icon ? body.icon.trim() || null : null;
+    }
+
+    if (body.sort_order !== undefined) {
+        if (typeof body.sort_order !== 'number' || !isFinite(body.sort_order)) {
+            return { error: "sort_order must be a number" };
+        }
+        category.sort_order = body.sort_order;
+    }
+    // New categories go after their siblings
+    if (category.sort_order === null) {
+        const siblings = taxonomy.children(category.parent_id);
+        category.sort_order = siblings.length ? Math.max(...siblings.map(sibling => sibling.sort_order)) + 1 : 1;
+    }
+    return { category };
+}
+
+// Next free numeric id, for categories created without one
+function nextCategoryId(taxonomy) {
+    const numeric = taxonomy.list().map(category => Number(category.id)).filter(Number.isInteger);
+    return String(numeric.length ? Math.max(...numeric) + 1 : 1);
+}
+
+// Categories the items use, when there is no categories.json yet: one unnamed
+// top-level category per "category-id", for editors to name and arrange
+function seedCategories(items) {
+    const ids = Array.from(new Set(items.map(item => idOf(item['category-id'])).filter(Boolean))).sort(compareIds);
+    return ids.map((id, index) => ({ id, parent_id: null, names: {}, icon: null, sort_order: index + 1 }));
+}
+
+// categories.json → entries, or null when the file does not exist yet
+function loadCategories(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write through a temp file and rename, as data.json is written
+function saveCategories(filePath, taxonomy) {
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tempPath, JSON.stringify(taxonomy.toJSON(), null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    compareIds,
+    createCategoryTaxonomy,
+    readCategory,
+    nextCategoryId,
+    seedCategories,
+    loadCategories,
+    saveCategories
+};
@@ -0,0 +1,122 @@
+// Constituency boundary polygons loaded from local GeoJSON files, used to
+// find which Assembly / Parliamentary constituency contains a GPS point.
+//
+// The server reads boundaries/assembly_constituencies.geojson and
+// boundaries/parliamentary_constituencies.geojson: FeatureCollections of
+// Polygon / MultiPolygon features with the properties listed below (a
+// DataMeet or ECI shapefile export converted to GeoJSON works as it is).
+// The boundary files are not part of the repository. Without them every
+// reverse lookup takes the constituency of the nearest neighborhood within
+// range and reports method "nearest_neighborhood" with matchedPlace and
+// matchDistance; with them, points inside a polygon report method "polygon".
+// test/fixtures/boundaries holds small files in the expected layout.
+
+const fs = require('fs');
+
+// Property names used by the common constituency GeoJSON exports
+// (DataMeet, ECI shapefile conversions, hand-made files)
+const FIELD_CANDIDATES = {
+    assembly: {
+        name: ['AC_NAME', 'ac_name', 'AC_NAME_EN', 'name', 'NAME'],
+        number: ['AC_NO', 'ac_no', 'AC_CODE'],
+        district: ['DIST_NAME', 'dist_name', 'DISTRICT', 'district'],
+        state: ['ST_NAME', 'st_name', 'STATE_NAME', 'STATE', 'state']
+    },
+    parliamentary: {
+        name: ['PC_NAME', 'pc_name', 'PC_NAME_EN', 'name', 'NAME'],
+        number: ['PC_NO', 'pc_no', 'PC_CODE'],
+        district: ['DIST_NAME', 'dist_name', 'DISTRICT', 'district'],
+        state: ['ST_NAME', 'st_name', 'STATE_NAME', 'STATE', 'state']
+    }
+};
+
+function pickField(properties, candidates) {
+    for (const key of candidates) {
+        const value = properties[key];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value).trim();
+        }
+    }
+    return null;
+}
+
+// Ray casting test against a single linear ring of [lng, lat] positions
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// First ring is the outer boundary, the rest are holes
+function pointInPolygon(lng, lat, rings) {
+    if (!rings.length || !pointInRing(lng, lat, rings[0])) return false;
+    for (let i = 1; i < rings.length; i++) {
+        if (pointInRing(lng, lat, rings[i])) return false;
+    }
+    return true;
+}
+
+function toPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+function boundingBox(polygons) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+        if (lng < bbox[0]) bbox[0] = lng;
+        if (lat < bbox[1]) bbox[1] = lat;
+        if (lng > bbox[2]) bbox[2] = lng;
+        if (lat > bbox[3]) bbox[3] = lat;
+    }));
+    return bbox;
+}
+
+// Load a FeatureCollection of constituency polygons. `kind` is "assembly" or
+// "parliamentary" and selects which property names hold the constituency name.
+function loadBoundaries(filePath, kind) {
+    const fields = FIELD_CANDIDATES[kind];
+    const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const features = [];
+
+    (geojson.features || []).forEach(feature => {
+        const polygons = toPolygons(feature.geometry);
+        const properties = feature.properties || {};
+        const name = pickField(properties, fields.name);
+        if (!polygons.length || !name) return;
+        features.push({
+            name,
+            number: pickField(properties, fields.number),
+            district: pickField(properties, fields.district),
+            state: pickField(properties, fields.state),
+            polygons,
+            bbox: boundingBox(polygons)
+        });
+    });
+
+    // Constituency containing the point, or null
+    function find(lat, lng) {
+        const match = features.find(feature =>
+            lng >= feature.bbox[0] && lat >= feature.bbox[1] &&
+            lng <= feature.bbox[2] && lat <= feature.bbox[3] &&
+            feature.polygons.some(rings => pointInPolygon(lng, lat, rings))
+        );
+        if (!match) return null;
+        return { name: match.name, number: match.number, district: match.district, state: match.state };
+    }
+
+    // Every constituency in the file, without its polygons
+    const list = () => features.map(({ name, number, district, state }) => ({ name, number, district, state }));
+
+    return { find, list, size: features.length };
+}
+
+module.exports = { loadBoundaries, pointInPolygon };
@@ -0,0 +1,348 @@
+// Cross-dataset consistency check. The neighborhoods file, the pincode CSV,
+// the MLA and MP CSVs and the constituency boundaries (when loaded) each spell
+// the shared units their own way: "500 016" / 500016, "Hyderabad District" /
+// "HYDERABAD", "Khairtabad" / "Khairatabad (Assembly constituency)" /
+// "Khairatabad". Every value is reduced to a key and the keys grouped into
+// canonical tables, one row per state, district, pincode or constituency with
+// the spellings each dataset uses. References that do not line up (a pincode
+// the post offices do not know, a constituency with no member row, a
+// neighborhood far from its own post office) are reported as issues.
+
+const { cleanName, slugify, matchKey } = require('./admin_hierarchy');
+const { isMissing } = require('./dataset_loader');
+const { haversineDistance } = require('./geo_utils');
+const { phoneticKey, createNameMatcher } = require('./name_matching');
+const { normalizePincode } = require('./pincode_constituency_index');
+
+// A neighborhood further than this from every post office of its pincode is flagged
+const PINCODE_DISTANCE_KM = 10;
+
+// Issue code → severity. Errors point at nothing, warnings are disagreements
+// between datasets, notices are spellings that only matched fuzzily.
+const ISSUE_SEVERITY = {
+    pincode_invalid: 'warning',
+    pincode_unknown: 'error',
+    pincode_far: 'warning',
+    state_unknown: 'warning',
+    state_mismatch: 'warning',
+    district_unknown: 'warning',
+    district_mismatch: 'warning',
+    assembly_without_mla: 'error',
+    parliamentary_without_mp: 'error',
+    name_variant: 'notice'
+};
+const SEVERITIES = ['error', 'warning', 'notice'];
+
+const isAllCaps = (text) => text === text.toUpperCase() && /[A-Z]/.test(text);
+const titleCase = (text) => text.toLowerCase().replace(/\b[a-z]/g, char => char.toUpperCase());
+
+// Most used of [{ spelling: count }, ...], the pincode file's capitals title-cased
+function mostUsed(...spellingSets) {
+    const totals = new Map();
+    spellingSets.forEach(spellings => Object.entries(spellings).forEach(([spelling, count]) => {
+        totals.set(spelling, (totals.get(spelling) || 0) + count);
+    }));
+    const [name] = Array.from(totals).sort((a, b) => b[1] - a[1] || isAllCaps(a[0]) - isAllCaps(b[0]))[0];
+    return isAllCaps(name) ? titleCase(name) : name;
+}
+
+// Canonical rows for one kind of unit. `authority` is the dataset that defines
+// the units (post offices for districts, member CSVs for constituencies); its
+// rows are added first and the other datasets resolve against them: by key,
+// then by fuzzy name match within the state, else as a row of their own.
+// Rows are keyed within their state, so the two Aurangabads stay apart.
+function createTable({ level, keyOf, authority }) {
+    const rows = new Map();
+    const matchers = new Map();
+
+    const stateKeyOf = (state) => {
+        const name = cleanName(state, 'state');
+        return name ? matchKey(name) : '';
+    };
+
+    function addSpelling(row, source, spelling) {
+        if (!row.spellings[source]) row.spellings[source] = {};
+        row.spellings[source][spelling] = (row.spellings[source][spelling] || 0) + 1;
+        row.counts[source] = (row.counts[source] || 0) + 1;
+    }
+
+    function rowFor(stateKey, key) {
+        const id = `${stateKey}/${key}`;
+        if (!rows.has(id)) {
+            rows.set(id, { key, stateKey, spellings: {}, counts: {} });
+            matchers.clear();
+        }
+        return rows.get(id);
+    }
+
+    // Authority rows of a state (all states when unknown), for fuzzy matching
+    function matcherFor(stateKey) {
+        if (!matchers.has(stateKey)) {
+            const candidates = Array.from(rows.values())
+                .filter(row => row.spellings[authority] && (!stateKey || row.stateKey === stateKey));
+            matchers.set(stateKey, createNameMatcher(candidates, row => mostUsed(row.spellings[authority])));
+        }
+        return matchers.get(stateKey);
+    }
+
+    // Value from the authority dataset → its row, or null when missing
+    function addAuthority(value, state) {
+        const name = cleanName(value, level);
+        if (!name) return null;
+        const row = rowFor(stateKeyOf(state), keyOf(name));
+        addSpelling(row, authority, name);
+        return row;
+    }
+
+    // Value from another dataset → { row, method: key | fuzzy | new, score }, or null when missing
+    function resolve(source, value, state) {
+        const name = cleanName(value, level);
+        if (!name) return null;
+        const key = keyOf(name);
+        const stateKey = stateKeyOf(state);
+
+        let row = null;
+        let method = 'key';
+        let score = 1;
+        if (stateKey) {
+            row = rows.get(`${stateKey}/${key}`) || null;
+        } else {
+            // No state given: the key must name a single unit
+            const found = Array.from(rows.values()).filter(candidate => candidate.key === key);
+            if (found.length === 1) row = found[0];
+        }
+        if (!row) {
+            const match = matcherFor(stateKey).match(name);
+            if (match && match.records.length === 1) {
+                row = match.records[0];
+                method = 'fuzzy';
+                score = match.score;
+            }
+        }
+        if (!row) {
+            row = rowFor(stateKey, key);
+            method = 'new';
+        }
+        addSpelling(row, source, name);
+        return { row, method, score };
+    }
+
+    const hasAuthority = (row) => Boolean(row.spellings[authority]);
+    // Whether the authority dataset covers a state at all
+    const coversState = (state) => {
+        const stateKey = stateKeyOf(state);
+        return Array.from(rows.values()).some(row => hasAuthority(row) && (!stateKey || row.stateKey === stateKey));
+    };
+
+    const nameOf = (row) => (row.spellings[authority] ? mostUsed(row.spellings[authority]) : mostUsed(...Object.values(row.spellings)));
+
+    // Rows for the report, each also given its id. stateOf(stateKey) → the
+    // state's { id, name }, or null
+    function list(stateOf) {
+        return Array.from(rows.values()).map(row => {
+            const name = nameOf(row);
+            const state = row.stateKey ? stateOf(row.stateKey) : null;
+            row.id = state ? `${state.id}/${slugify(name)}` : slugify(name);
+            return {
+                id: row.id,
+                name,
+                ...(level === 'state' ? {} : { state: state ? state.name : null }),
+                counts: row.counts,
+                spellings: row.spellings
+            };
+        }).sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    return { addAuthority, resolve, hasAuthority, coversState, nameOf, list, rows };
+}
+
+// Check the datasets against each other → { status, checked_at, counts,
+// tables, issues }. getVidhanSabha / getLokSabha read a neighborhood's
+// constituency names; boundaries are the loaded { assembly, parliamentary }
+// boundary sets, either of which may be null.
+function checkConsistency({ neighborhoods, neighborhoodIds, pincodes, mlas, mps, boundaries = {}, getVidhanSabha, getLokSabha }) {
+    const issues = [];
+    const report = (code, subject, details) => issues.push({ code, severity: ISSUE_SEVERITY[code], ...subject, ...details });
+
+    const states = createTable({ level: 'state', keyOf: matchKey, authority: 'pincodes' });
+    const districts = createTable({ level: 'district', keyOf: matchKey, authority: 'pincodes' });
+    const assembly = createTable({ level: 'area', keyOf: phoneticKey, authority: 'mlas' });
+    const parliamentary = createTable({ level: 'area', keyOf: phoneticKey, authority: 'mps' });
+
+    // Post offices define states and districts, and are the pincodes' locations
+    const offices = new Map();
+    pincodes.forEach(record => {
+        const state = states.addAuthority(record.StateName, null);
+        const district = districts.addAuthority(record.District, record.StateName);
+        const pincode = normalizePincode(record.Pincode);
+        if (!pincode) return;
+        if (!offices.has(pincode)) offices.set(pincode, { pincode, spellings: {}, records: [], states: new Set(), districts: new Set(), neighborhoods: 0 });
+        const entry = offices.get(pincode);
+        entry.records.push(record);
+        entry.spellings[String(record.Pincode)] = (entry.spellings[String(record.Pincode)] || 0) + 1;
+        if (state) entry.states.add(state);
+        if (district) entry.districts.add(district);
+    });
+    mlas.forEach(row => {
+        states.resolve('mlas', row.State, null);
+        assembly.addAuthority(row.Constituency, row.State);
+    });
+    mps.forEach(row => {
+        states.resolve('mps', row.state, null);
+        parliamentary.addAuthority(row.pc_name, row.state);
+    });
+
+    const variant = (subject, field, value, table, match) => report('name_variant', subject, {
+        field,
+        value,
+        canonical: table.nameOf(match.row),
+        score: match.score,
+        message: `"${value}" read as "${table.nameOf(match.row)}"`
+    });
+
+    // A constituency name → its row, reporting a fuzzy read or a missing member row
+    function checkConstituency(subject, field, value, state, table, source, missingCode, members) {
+        const match = table.resolve(source, value, state);
+        if (!match) return;
+        if (match.method === 'fuzzy') variant(subject, field, value, table, match);
+        if (!table.hasAuthority(match.row)) {
+            report(missingCode, subject, { field, value, message: `no ${members} row for the constituency "${value}"` });
+        }
+    }
+
+    const neighborhoodPincodes = new Map();
+    neighborhoods.forEach((place, position) => {
+        const subject = { dataset: 'neighborhoods', record: { id: neighborhoodIds[position], placeName: place.placeName } };
+
+        const state = states.resolve('neighborhoods', place.state, null);
+        if (state && state.method === 'fuzzy') variant(subject, 'state', place.state, states, state);
+        if (state && !states.hasAuthority(state.row) && pincodes.length) {
+            report('state_unknown', subject, { field: 'state', value: place.state, message: `the pincode data has no state "${place.state}"` });
+        }
+
+        const district = districts.resolve('neighborhoods', place.district, place.state);
+        if (district && district.method === 'fuzzy') variant(subject, 'district', place.district, districts, district);
+        if (district && !districts.hasAuthority(district.row) && districts.coversState(place.state)) {
+            report('district_unknown', subject, { field: 'district', value: place.district, message: `the pincode data has no district "${place.district}"` });
+        }
+
+        checkConstituency(subject, 'vidhanSabhaConstituency', getVidhanSabha(place), place.state, assembly, 'neighborhoods', 'assembly_without_mla', 'MLA');
+        checkConstituency(subject, 'lokSabhaConstituency', getLokSabha(place), place.state, parliamentary, 'neighborhoods', 'parliamentary_without_mp', 'MP');
+
+        if (isMissing(place.pincode)) return;
+        const pincode = normalizePincode(place.pincode);
+        if (!pincode) {
+            report('pincode_invalid', subject, { field: 'pincode', value: place.pincode, message: `"${place.pincode}" is not a 6 digit pincode` });
+            return;
+        }
+        if (!neighborhoodPincodes.has(pincode)) neighborhoodPincodes.set(pincode, {});
+        const spellings = neighborhoodPincodes.get(pincode);
+        spellings[String(place.pincode)] = (spellings[String(place.pincode)] || 0) + 1;
+
+        const entry = offices.get(pincode);
+        if (!entry) {
+            report('pincode_unknown', subject, { field: 'pincode', value: place.pincode, message: `no post office has the pincode ${pincode}` });
+            return;
+        }
+        entry.neighborhoods++;
+
+        const located = entry.records.filter(record => typeof record.Latitude === 'number' && typeof record.Longitude === 'number');
+        if (located.length && typeof place.latitude === 'number' && typeof place.longitude === 'number') {
+            const nearest = located
+                .map(record => ({ record, distance: haversineDistance(place.latitude, place.longitude, record.Latitude, record.Longitude) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+            if (nearest.distance > PINCODE_DISTANCE_KM) {
+                report('pincode_far', subject, {
+                    field: 'pincode',
+                    value: place.pincode,
+                    distance_km: parseFloat(nearest.distance.toFixed(2)),
+                    nearest_office: nearest.record.OfficeName,
+                    message: `${nearest.distance.toFixed(1)} km from the nearest ${pincode} post office (${nearest.record.OfficeName})`
+                });
+            }
+        }
+        if (state && entry.states.size && !entry.states.has(state.row)) {
+            const expected = Array.from(entry.states).map(states.nameOf);
+            report('state_mismatch', subject, { field: 'state', value: place.state, expected, message: `pincode ${pincode} is in ${expected.join(' / ')}` });
+        }
+        if (district && entry.districts.size && !entry.districts.has(district.row)) {
+            const expected = Array.from(entry.districts).map(districts.nameOf);
+            report('district_mismatch', subject, { field: 'district', value: place.district, expected, message: `pincode ${pincode} is in ${expected.join(' / ')}` });
+        }
+    });
+
+    // Constituencies drawn on the map but missing from the member CSVs
+    [['assembly', assembly, 'assembly_without_mla', 'MLA'], ['parliamentary', parliamentary, 'parliamentary_without_mp', 'MP']]
+        .forEach(([kind, table, missingCode, members]) => {
+            if (!boundaries[kind]) return;
+            boundaries[kind].list().forEach(feature => {
+                const subject = { dataset: 'boundaries', record: { kind, name: feature.name, number: feature.number } };
+                checkConstituency(subject, 'name', feature.name, feature.state, table, 'boundaries', missingCode, members);
+            });
+        });
+
+    const stateRows = states.list(() => null);
+    const stateOf = (stateKey) => {
+        const row = states.rows.get(`/${stateKey}`);
+        return row ? { id: row.id, name: states.nameOf(row) } : null;
+    };
+    const districtRows = districts.list(stateOf);
+
+    const pincodeRows = Array.from(new Set([...offices.keys(), ...neighborhoodPincodes.keys()])).sort().map(pincode => {
+        const entry = offices.get(pincode);
+        const spellings = {};
+        if (entry) spellings.pincodes = entry.spellings;
+        if (neighborhoodPincodes.has(pincode)) spellings.neighborhoods = neighborhoodPincodes.get(pincode);
+        return {
+            id: pincode,
+            post_offices: entry ? entry.records.length : 0,
+            located: entry ? entry.records.filter(record => typeof record.Latitude === 'number').length : 0,
+            neighborhoods: Object.values(spellings.neighborhoods || {}).reduce((sum, count) => sum + count, 0),
+            states: entry ? Array.from(entry.states).map(states.nameOf) : [],
+            districts: entry ? Array.from(entry.districts).map(row => row.id) : [],
+            spellings
+        };
+    });
+
+    const severityCounts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    const codeCounts = {};
+    issues.forEach(issue => {
+        severityCounts[issue.severity]++;
+        codeCounts[issue.code] = (codeCounts[issue.code] || 0) + 1;
+    });
+
+    return {
+        status: severityCounts.error ? 'error' : (issues.length ? 'warnings' : 'ok'),
+        checked_at: new Date().toISOString(),
+        counts: { issues: issues.length, by_severity: severityCounts, by_code: codeCounts },
+        tables: {
+            states: stateRows,
+            districts: districtRows,
+            pincodes: pincodeRows,
+            assembly_constituencies: assembly.list(stateOf),
+            parliamentary_constituencies: parliamentary.list(stateOf)
+        },
+        issues
+    };
+}
+
+// Plain text summary for the command line, with up to `limit` examples per issue code
+function formatConsistencyReport(report, limit = 5) {
+    const lines = [`Consistency check: ${report.status}`];
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    lines.push(`  ${SEVERITIES.map(severity => plural(report.counts.by_severity[severity], severity)).join(', ')}`);
+    lines.push(`  Canonical tables: ${Object.entries(report.tables).map(([name, rows]) => `${rows.length} ${name}`).join(', ')}`);
+    Object.keys(ISSUE_SEVERITY).forEach(code => {
+        const matching = report.issues.filter(issue => issue.code === code);
+        if (matching.length === 0) return;
+        lines.push('', `${code} (${ISSUE_SEVERITY[code]}): ${matching.length}`);
+        matching.slice(0, limit).forEach(issue => {
+            const record = issue.record.id || issue.record.name;
+            lines.push(`  - ${issue.dataset} ${record}: ${issue.message}`);
+        });
+        if (matching.length > limit) lines.push(`  ... ${matching.length - limit} more`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = { ISSUE_SEVERITY, PINCODE_DISTANCE_KM, checkConsistency, formatConsistencyReport };
@@ -0,0 +1,16 @@
+// Worker thread for dataset_imports.js: validates one staged upload and posts
+// back { result: { text, report, diff } } or { error }.
+
+const { parentPort, workerData } = require('worker_threads');
+const { DATASETS } = require('./dataset_loader');
+const { validateUpload } = require('./dataset_imports');
+
+const { dataset, ...upload } = workerData;
+const definition = Object.values(DATASETS).find(candidate => candidate.name === dataset);
+
+try {
+    if (!definition) throw new Error(`no dataset definition named "${dataset}"`);
+    parentPort.postMessage({ result: validateUpload({ definition, ...upload }) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
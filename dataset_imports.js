@@ -0,0 +1,519 @@
+// Staged dataset imports for the admin API. An upload, either a whole
+// replacement file or a patch of records to upsert / remove, is checked against
+// the dataset schema in the background and compared with the file on disk. It
+// is only written once an admin has seen the diff and commits it; the server's
+// reload callback then swaps the new data in.
+//
+// The watcher reloads a dataset when its file changes on disk (an editor save,
+// a deploy copying files in). Files are fingerprinted when loaded, so writes
+// the server made itself do not trigger a second reload.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseCsv, readEntries, checkRecords, recordKeyOf } = require('./dataset_loader');
+const { csvCell } = require('./location_formats');
+
+// Uncommitted imports are dropped after this long
+const IMPORT_EXPIRY_MS = 60 * 60 * 1000;
+// Validates staged uploads off the main thread
+const IMPORT_WORKER_FILE = path.join(__dirname, 'dataset_import_worker.js');
+// Editors and copies fire several change events per save
+const WATCH_DEBOUNCE_MS = 500;
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// File text, or null when the file does not exist
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Temp file renamed over the target, so a reader never sees half a file
+function writeAtomic(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tempPath, contents, 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+// File text → { records (as written, unchecked), headers (CSV), wrapper (JSON
+// object around "items"), indent (JSON, so a rewrite keeps the file's layout) }
+function readRaw(definition, text) {
+    if (text === null || text.trim() === '') return { records: [], headers: [], wrapper: null, indent: 2 };
+    if (definition.format === 'csv') {
+        const { headers, rows } = parseCsv(text);
+        const records = rows.map(({ values }) => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] === undefined ? '' : values[index];
+            });
+            return record;
+        });
+        return { records, headers, wrapper: null };
+    }
+    const parsed = JSON.parse(text);
+    const indent = (text.match(/^\s*[[{]\r?\n( +)/) || [null, '  '])[1].length;
+    if (Array.isArray(parsed)) return { records: parsed, headers: [], wrapper: null, indent };
+    if (parsed && Array.isArray(parsed.items)) return { records: parsed.items, headers: [], wrapper: parsed, indent };
+    throw new Error('expected a JSON array of records');
+}
+
+// Inverse of readRaw. CSV columns keep the file's order; new fields are appended.
+function serialize(definition, { records, headers, wrapper, indent = 2 }) {
+    if (definition.format === 'csv') {
+        const columns = [...headers];
+        records.forEach(record => Object.keys(record).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        }));
+        return [columns, ...records.map(record => columns.map(column => record[column]))]
+            .map(row => row.map(csvCell).join(','))
+            .join('\r\n') + '\r\n';
+    }
+    return JSON.stringify(wrapper ? { ...wrapper, items: records } : records, null, indent);
+}
+
+function keyOrNull(keyOf, record) {
+    const key = keyOf(record);
+    return key === undefined || key === null || key === '' ? null : String(key);
+}
+
+// patch: { upsert: [records], remove: [keys] }. An upserted record is merged
+// into the record with the same key (fields it leaves out keep their value) or
+// appended; keys are the ones the diff shows.
+function applyPatch(records, patch, keyOf) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new Error('a patch is an object with "upsert" and / or "remove" lists');
+    }
+    const upsert = patch.upsert === undefined ? [] : patch.upsert;
+    const remove = patch.remove === undefined ? [] : patch.remove;
+    if (!Array.isArray(upsert) || !Array.isArray(remove)) {
+        throw new Error('"upsert" and "remove" must be lists');
+    }
+    if (upsert.length === 0 && remove.length === 0) {
+        throw new Error('the patch has nothing to upsert or remove');
+    }
+
+    const removed = new Set(remove.map(String));
+    const keys = new Set(records.map(record => keyOrNull(keyOf, record)));
+    removed.forEach(key => {
+        if (!keys.has(key)) throw new Error(`no record has the key "${key}" to remove`);
+    });
+    const result = records.filter(record => !removed.has(keyOrNull(keyOf, record)));
+    const positions = new Map();
+    result.forEach((record, index) => {
+        const key = keyOrNull(keyOf, record);
+        if (key !== null && !positions.has(key)) positions.set(key, index);
+    });
+
+    upsert.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`upsert[${index}] is not an object`);
+        }
+        const key = keyOrNull(keyOf, record);
+        if (key === null) {
+            throw new Error(`upsert[${index}] is missing the fields that identify a record`);
+        }
+        if (positions.has(key)) {
+            result[positions.get(key)] = { ...result[positions.get(key)], ...record };
+        } else {
+            positions.set(key, result.length);
+            result.push(record);
+        }
+    });
+    return result;
+}
+
+// Records grouped by key; keyless records are told apart by position
+function groupByKey(records, keyOf) {
+    const groups = new Map();
+    records.forEach((record, index) => {
+        const key = keyOrNull(keyOf, record);
+        const id = key === null ? `#${index}` : key;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(record);
+    });
+    return groups;
+}
+
+function changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Checked records before and after → { added, removed, changed: [{ key, fields, before, after }], unchanged }
+function diffRecords(before, after, keyOf) {
+    const previous = groupByKey(before, keyOf);
+    const next = groupByKey(after, keyOf);
+    const single = (records) => (records.length === 1 ? records[0] : records);
+    const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    next.forEach((records, key) => {
+        const old = previous.get(key);
+        if (!old) {
+            records.forEach(record => diff.added.push({ key, record }));
+        } else if (JSON.stringify(old) === JSON.stringify(records)) {
+            diff.unchanged += records.length;
+        } else {
+            diff.changed.push({ key, fields: changedFields(old[0], records[0]), before: single(old), after: single(records) });
+        }
+    });
+    previous.forEach((records, key) => {
+        if (!next.has(key)) records.forEach(record => diff.removed.push({ key, record }));
+    });
+    return diff;
+}
+
+// Build the file an import would write, check it the way the server loads it
+// and diff it against the file on disk → { text, report, diff }; throws when
+// the upload cannot be used. Runs in the import worker.
+function validateUpload({ definition, mode, body, baseText, fileName }) {
+    const keyOf = recordKeyOf(definition);
+    const current = readRaw(definition, baseText);
+    let text;
+    if (mode === 'patch') {
+        const patch = typeof body === 'string' ? { upsert: readRaw(definition, body).records } : body;
+        text = serialize(definition, { ...current, records: applyPatch(current.records, patch, keyOf) });
+    } else if (typeof body === 'string') {
+        text = body;
+    } else if (Array.isArray(body)) {
+        text = serialize(definition, { ...current, records: body });
+    } else if (definition.format === 'json') {
+        text = JSON.stringify(body, null, 2);
+    } else {
+        throw new Error('a CSV dataset takes a CSV file or a JSON list of records');
+    }
+
+    const staged = checkRecords(definition, readEntries(definition, text), fileName);
+    if (staged.records.length === 0) {
+        throw new Error('no record in the upload passed validation');
+    }
+    let before = [];
+    try {
+        before = baseText === null ? [] : checkRecords(definition, readEntries(definition, baseText)).records;
+    } catch (error) {
+        // An unreadable file on disk is replaced whole; everything counts as added
+    }
+
+    return {
+        text,
+        report: {
+            total_rows: staged.report.total_rows,
+            accepted_rows: staged.report.accepted_rows,
+            rejected_count: staged.report.rejected_count,
+            suspicious_count: staged.report.suspicious_count,
+            issue_counts: staged.report.issue_counts,
+            rejected: staged.report.rejected.slice(0, 20),
+            suspicious: staged.report.suspicious.slice(0, 20)
+        },
+        diff: diffRecords(before, staged.records, keyOf)
+    };
+}
+
+// sources: { [name]: { definition, file } or { definition, dir } (a directory
+//   of files, one of which an import replaces), write(filePath, text)? }
+// reload(name) swaps the dataset's files in and returns a summary of what
+//   loaded; it throws to keep the current data.
+function createDatasetImports({ sources, reload }) {
+    const imports = new Map();
+    const loaded = new Map(); // dataset → { hash, at, by }
+
+    const extensionOf = (source) => `.${source.definition.format}`;
+
+    function sourceFiles(source) {
+        if (!source.dir) return [source.file];
+        let names;
+        try {
+            names = fs.readdirSync(source.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return names.filter(name => name.toLowerCase().endsWith(extensionOf(source))).sort()
+            .map(name => path.join(source.dir, name));
+    }
+
+    // Fingerprint of every file of a dataset
+    function sourceHash(source) {
+        return hashText(sourceFiles(source).map(file => {
+            const text = readText(file);
+            return `${path.basename(file)}:${text === null ? 'missing' : hashText(text)}`;
+        }).join('\n'));
+    }
+
+    // Note the files as they are now as the loaded version of a dataset
+    function markLoaded(name, by) {
+        loaded.set(name, { hash: sourceHash(sources[name]), at: new Date().toISOString(), by });
+    }
+    Object.keys(sources).forEach(name => markLoaded(name, 'startup'));
+
+    // File an import writes: the dataset file, or a file of its directory
+    // (named by `file`, or the only one there is)
+    function targetFile(source, fileName) {
+        if (!source.dir) {
+            if (fileName && fileName !== path.basename(source.file)) {
+                return { error: `this dataset is a single file, ${path.basename(source.file)}` };
+            }
+            return { filePath: source.file };
+        }
+        if (!fileName) {
+            const files = sourceFiles(source);
+            if (files.length === 1) return { filePath: files[0] };
+            return { error: `file is required: the ${extensionOf(source)} file in ${path.basename(source.dir)} to replace or create` };
+        }
+        if (path.basename(fileName) !== fileName || !/^[\w.-]+$/.test(fileName) || !fileName.toLowerCase().endsWith(extensionOf(source))) {
+            return { error: `file must be a plain ${extensionOf(source)} file name` };
+        }
+        return { filePath: path.join(source.dir, fileName) };
+    }
+
+    function describe(entry, limit = 20) {
+        const described = {
+            id: entry.id,
+            dataset: entry.dataset,
+            file: path.basename(entry.filePath),
+            mode: entry.mode,
+            status: entry.status,
+            created_at: entry.createdAt,
+            validated_at: entry.validatedAt || null,
+            committed_at: entry.committedAt || null,
+            error: entry.error || null
+        };
+        if (entry.diff) {
+            described.diff = {
+                added: entry.diff.added.length,
+                removed: entry.diff.removed.length,
+                changed: entry.diff.changed.length,
+                unchanged: entry.diff.unchanged,
+                examples: {
+                    added: entry.diff.added.slice(0, limit),
+                    removed: entry.diff.removed.slice(0, limit),
+                    changed: entry.diff.changed.slice(0, limit)
+                }
+            };
+        }
+        if (entry.report) described.report = entry.report;
+        return described;
+    }
+
+    // Parsing and checking a large upload takes seconds, so it runs in a
+    // worker thread and the server keeps answering meanwhile. Definitions hold
+    // functions, which cannot be posted, so the worker finds its definition
+    // in DATASETS by name.
+    function validateInWorker(entry, definition) {
+        let settled = false;
+        const settle = (outcome) => {
+            if (settled) return;
+            settled = true;
+            if (outcome.error) {
+                entry.status = 'failed';
+                entry.error = outcome.error;
+            } else {
+                Object.assign(entry, outcome.result);
+                entry.status = 'ready';
+            }
+            entry.body = null;
+            entry.baseText = null;
+            entry.validatedAt = new Date().toISOString();
+        };
+        let worker;
+        try {
+            worker = new Worker(IMPORT_WORKER_FILE, {
+                workerData: {
+                    dataset: definition.name,
+                    mode: entry.mode,
+                    body: entry.body,
+                    baseText: entry.baseText,
+                    fileName: path.basename(entry.filePath)
+                }
+            });
+        } catch (error) {
+            settle({ error: `validation could not start: ${error.message}` });
+            return;
+        }
+        worker.on('message', settle);
+        worker.on('error', error => settle({ error: `validation failed: ${error.message}` }));
+        worker.on('exit', code => settle({ error: `validation stopped (exit code ${code})` }));
+    }
+
+    // Stage an upload: { mode: 'replace' | 'patch', file?, body } where body is
+    // the uploaded text, a JSON list of records, or (patch) { upsert, remove }.
+    // Validation runs in a worker after the response → { import } or { error }.
+    function stage(name, { mode = 'replace', file, body }) {
+        const source = sources[name];
+        if (!source) return { error: `unknown dataset; one of: ${Object.keys(sources).join(', ')}` };
+        if (mode !== 'replace' && mode !== 'patch') return { error: 'mode must be replace or patch' };
+        if (body === undefined || body === null || (typeof body === 'string' && body.trim() === '')) {
+            return { error: 'the upload is empty' };
+        }
+        const target = targetFile(source, file);
+        if (target.error) return target;
+
+        const baseText = readText(target.filePath);
+        const entry = {
+            id: crypto.randomUUID(),
+            dataset: name,
+            filePath: target.filePath,
+            mode,
+            status: 'validating',
+            createdAt: new Date().toISOString(),
+            body,
+            baseText,
+            baseHash: baseText === null ? null : hashText(baseText)
+        };
+        imports.set(entry.id, entry);
+        validateInWorker(entry, source.definition);
+        return { import: describe(entry) };
+    }
+
+    function get(id, limit) {
+        const entry = imports.get(id);
+        return entry ? describe(entry, limit) : null;
+    }
+
+    function list() {
+        return Array.from(imports.values()).map(entry => describe(entry, 0));
+    }
+
+    // Swap a dataset in from its files → { dataset, loaded_at, ...reload summary }
+    function reloadDataset(name, by) {
+        const result = reload(name);
+        markLoaded(name, by);
+        return { dataset: name, loaded_at: loaded.get(name).at, ...result };
+    }
+
+    // Write a validated import and reload its dataset → { import, reload } or
+    // { error } (not ready, or the file changed since the upload); null when unknown
+    function commit(id) {
+        const entry = imports.get(id);
+        if (!entry) return null;
+        if (entry.status !== 'ready') {
+            return { error: `the import is ${entry.status}; only a ready import can be committed` };
+        }
+        const currentText = readText(entry.filePath);
+        if ((currentText === null ? null : hashText(currentText)) !== entry.baseHash) {
+            return { error: `${path.basename(entry.filePath)} changed since the upload was staged; upload it again` };
+        }
+
+        const source = sources[entry.dataset];
+        (source.write || writeAtomic)(entry.filePath, entry.text);
+        entry.status = 'committed';
+        entry.committedAt = new Date().toISOString();
+        entry.text = null;
+        try {
+            return { import: describe(entry), reload: reloadDataset(entry.dataset, 'import') };
+        } catch (error) {
+            entry.error = `written, but the reload failed: ${error.message}`;
+            return { error: entry.error };
+        }
+    }
+
+    // Change a single-file dataset in place. edit(records) gets the records as
+    // the file has them and changes the list, or returns false for no change or
+    // { error } to give up. The file is then rewritten (unless dryRun) and the
+    // dataset reloaded → { reload } (null when nothing was written), or { error },
+    // also when the file changed on disk since it was loaded.
+    function editDataset(name, edit, { by = 'api', dryRun = false } = {}) {
+        const source = sources[name];
+        if (sourceHash(source) !== loaded.get(name).hash) {
+            return { error: `${path.basename(source.file)} changed on disk since it was loaded; reload the dataset first` };
+        }
+        const current = readRaw(source.definition, readText(source.file));
+        const outcome = edit(current.records);
+        if (outcome && outcome.error) return outcome;
+        if (outcome === false || dryRun) return { reload: null };
+        (source.write || writeAtomic)(source.file, serialize(source.definition, current));
+        return { reload: reloadDataset(name, by) };
+    }
+
+    function discard(id) {
+        const entry = imports.get(id);
+        if (!entry) return false;
+        imports.delete(id);
+        return true;
+    }
+
+    // Datasets with their files and what loaded them; changed_on_disk when the
+    // files differ from the loaded version
+    function datasets() {
+        return Object.entries(sources).map(([name, source]) => ({
+            dataset: name,
+            format: source.definition.format,
+            files: sourceFiles(source).map(file => path.basename(file)),
+            directory: source.dir ? path.basename(source.dir) : null,
+            loaded_at: loaded.get(name).at,
+            loaded_by: loaded.get(name).by,
+            changed_on_disk: sourceHash(source) !== loaded.get(name).hash,
+            pending_imports: Array.from(imports.values())
+                .filter(entry => entry.dataset === name && (entry.status === 'validating' || entry.status === 'ready')).length
+        }));
+    }
+
+    // Drop imports older than IMPORT_EXPIRY_MS that are not being validated
+    function sweep(now = Date.now()) {
+        let removed = 0;
+        imports.forEach((entry, id) => {
+            if (entry.status !== 'validating' && now - Date.parse(entry.createdAt) > IMPORT_EXPIRY_MS) {
+                imports.delete(id);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    // Reload datasets whose files change on disk. onReload(name, error, result)
+    // reports each attempt. Returns a function that stops watching.
+    function watch({ onReload, debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+        const timers = new Map();
+        const watchers = [];
+
+        const check = (name) => {
+            timers.delete(name);
+            let changed;
+            try {
+                changed = sourceHash(sources[name]) !== loaded.get(name).hash;
+            } catch (error) {
+                onReload(name, error, null);
+                return;
+            }
+            if (!changed) return;
+            try {
+                onReload(name, null, reloadDataset(name, 'watch'));
+            } catch (error) {
+                onReload(name, error, null);
+            }
+        };
+
+        Object.entries(sources).forEach(([name, source]) => {
+            const directory = source.dir || path.dirname(source.file);
+            const matches = (fileName) => (source.dir
+                ? fileName.toLowerCase().endsWith(extensionOf(source))
+                : fileName === path.basename(source.file));
+            try {
+                const watcher = fs.watch(directory, (eventType, fileName) => {
+                    if (fileName && !matches(String(fileName))) return;
+                    clearTimeout(timers.get(name));
+                    timers.set(name, setTimeout(() => check(name), debounceMs));
+                });
+                watcher.on('error', error => onReload(name, error, null));
+                watchers.push(watcher);
+            } catch (error) {
+                onReload(name, error, null);
+            }
+        });
+
+        return () => {
+            watchers.forEach(watcher => watcher.close());
+            timers.forEach(timer => clearTimeout(timer));
+        };
+    }
+
+    return { datasets, stage, get, list, commit, discard, reloadDataset, editDataset, markLoaded, sweep, watch };
+}
+
+module.exports = { applyPatch, diffRecords, validateUpload, createDatasetImports };
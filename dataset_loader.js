@@ -0,0 +1,426 @@
+// Loading and validation for the datasets behind the API (pincode, neighborhoods,
+// MLA and MP files, phrase items).
+// Each dataset has a schema: rows missing a required field or with unusable
+// values are rejected, while rows that load but look wrong (coordinates
+// outside India, repeats of an earlier row) are kept and flagged. Both end up
+// in a per-dataset report served by /api/v1/admin/data-health.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeName } = require('./name_matching');
+const { normalizePincode } = require('./pincode_constituency_index');
+
+// Bounding box around India including the islands; a sanity check, not the border
+const INDIA_BOUNDS = { minLat: 6, maxLat: 38, minLng: 68, maxLng: 98 };
+
+// Placeholders the source files use for "no value"
+const MISSING_VALUES = new Set(['', 'na', 'n/a', 'null', '-']);
+
+// Issue rows kept per report, so a badly broken file does not make a huge response
+const MAX_REPORTED_ROWS = 1000;
+
+const isMissing = (value) =>
+    value === undefined || value === null || (typeof value === 'string' && MISSING_VALUES.has(value.trim().toLowerCase()));
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks.
+// Incremental, so a file or request body can be fed in chunks: onRow({ line, values })
+// is called for every non-blank row (the header included) with the line it starts on.
+function createCsvParser(onRow) {
+    let values = [];
+    let value = '';
+    let quoted = false;
+    // A quote at the end of a chunk may be the first half of an escaped ""
+    let quotePending = false;
+    // A \r at the end of a chunk may be followed by the \n of a \r\n pair
+    let skipNewline = false;
+    let started = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endValue = () => {
+        values.push(value);
+        value = '';
+    };
+    const endRow = () => {
+        endValue();
+        // Skip blank lines
+        if (values.length > 1 || values[0] !== '') onRow({ line: rowLine, values });
+        values = [];
+    };
+
+    function write(chunk) {
+        let source = String(chunk);
+        if (!started) {
+            source = source.replace(/^\uFEFF/, '');
+            started = source.length > 0;
+        }
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (skipNewline) {
+                skipNewline = false;
+                if (char === '\n') continue;
+            }
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    value += '"';
+                    continue;
+                }
+                quoted = false;
+            }
+            if (quoted) {
+                if (char === '"') {
+                    quotePending = true;
+                } else {
+                    if (char === '\n') line++;
+                    value += char;
+                }
+            } else if (char === '"' && value === '') {
+                quoted = true;
+            } else if (char === ',') {
+                endValue();
+            } else if (char === '\n' || char === '\r') {
+                skipNewline = char === '\r';
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                value += char;
+            }
+        }
+    }
+
+    function end() {
+        if (quotePending) {
+            quotePending = false;
+            quoted = false;
+        }
+        if (value !== '' || values.length > 0) endRow();
+    }
+
+    return { write, end };
+}
+
+// Whole-text version: the header row and each data row with the line it starts on
+function parseCsv(text) {
+    const rows = [];
+    const parser = createCsvParser(row => rows.push(row));
+    parser.write(text);
+    parser.end();
+
+    const header = rows.shift();
+    return { headers: header ? header.values : [], rows };
+}
+
+// Field types: each returns { value } or { error }
+const FIELD_TYPES = {
+    text: (value) => (typeof value === 'string' || typeof value === 'number'
+        ? { value }
+        : { error: 'expected text' }),
+    number: (value) => {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        return isFinite(number) ? { value: number } : { error: `"${value}" is not a number` };
+    },
+    // Validated but stored as written ("500 016" stays as it is)
+    pincode: (value) => (normalizePincode(value) ? { value } : { error: `"${value}" is not a 6 digit pincode` }),
+    object: (value) => (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length
+        ? { value }
+        : { error: 'expected a non-empty object' }),
+    array: (value) => (Array.isArray(value) ? { value } : { error: 'expected a list' })
+};
+
+const PINCODES = {
+    name: 'pincodes',
+    format: 'csv',
+    fields: {
+        OfficeName: { type: 'text', required: true },
+        Pincode: { type: 'pincode', required: true },
+        District: { type: 'text' },
+        StateName: { type: 'text' },
+        Latitude: { type: 'number' },
+        Longitude: { type: 'number' }
+    },
+    coordinates: ['Latitude', 'Longitude'],
+    duplicateKey: record => `${normalizePincode(record.Pincode)}:${normalizeName(record.OfficeName)}`
+};
+
+const NEIGHBORHOODS = {
+    name: 'neighborhoods',
+    format: 'json',
+    fields: {
+        placeName: { type: 'text', required: true },
+        latitude: { type: 'number', required: true },
+        longitude: { type: 'number', required: true },
+        pincode: { type: 'pincode' },
+        imageUrls: { type: 'array' }
+    },
+    coordinates: ['latitude', 'longitude'],
+    duplicateKey: record => `${normalizeName(record.placeName)}:${normalizeName(record.district)}`
+};
+
+// The Lok Sabha an MP row belongs to: a lok_sabha column ("18", "18th Lok
+// Sabha") when the file has one, otherwise the file name ("18-LS-MP-Track.csv").
+// The track's own "term" column is the member's count of terms, not the Lok Sabha.
+function lokSabhaOf(record, location = {}) {
+    const match = /^(\d+)/.exec(String(record.lok_sabha || '').trim()) || /^(\d+)-LS\b/i.exec(location.file || '');
+    return match ? match[1] : null;
+}
+
+const MLAS = {
+    name: 'mlas',
+    format: 'csv',
+    fields: {
+        'MLA Name': { type: 'text', required: true },
+        Constituency: { type: 'text', required: true },
+        State: { type: 'text', required: true },
+        Term: { type: 'text', required: true }
+    },
+    // Members are looked up by term, so a row without one could never be found
+    checkRecord: record => (isNaN(parseInt(record.Term))
+        ? [{ field: 'Term', code: 'missing_term', message: `"${record.Term}" is not an assembly term number` }]
+        : []),
+    // By-elections give a seat a second row with a later start date
+    duplicateKey: record => `${normalizeName(record.State)}:${normalizeName(record.Constituency)}:${record['Start of term']}`
+};
+
+const MPS = {
+    name: 'mps',
+    format: 'csv',
+    fields: {
+        mp_name: { type: 'text', required: true },
+        pc_name: { type: 'text', required: true },
+        state: { type: 'text', required: true }
+    },
+    checkRecord: (record, location) => (lokSabhaOf(record, location) === null
+        ? [{ code: 'missing_term', message: 'no Lok Sabha number: name the file "<number>-LS-….csv" or add a lok_sabha column' }]
+        : []),
+    duplicateKey: record => `${normalizeName(record.state)}:${normalizeName(record.pc_name)}:${record.term_start_date}`
+};
+
+// data.json is rewritten on every save, so invalid items are flagged but never dropped
+const ITEMS = {
+    name: 'items',
+    format: 'json',
+    keepInvalid: true,
+    fields: {
+        id: { type: 'text', required: true },
+        translations: { type: 'object', required: true }
+    },
+    duplicateKey: record => (record.translations && record.translations.en
+        ? `${record['category-id']}:${normalizeName(record.translations.en)}`
+        : null),
+    // Items are edited in place, so their identity is the id rather than the text
+    recordKey: record => (record.id === undefined || record.id === null ? null : String(record.id))
+};
+
+// Check parsed records against a dataset definition.
+// entries: [{ record, location }] where location is { line } (CSV) or { index } (JSON),
+// plus { file } when several files are checked together.
+// Returns the accepted records and, index for index, their locations.
+function checkRecords(definition, entries, file = null) {
+    const report = {
+        dataset: definition.name,
+        file,
+        checked_at: new Date().toISOString(),
+        error: null,
+        total_rows: entries.length,
+        accepted_rows: 0,
+        rejected_count: 0,
+        suspicious_count: 0,
+        issue_counts: {},
+        rejected: [],
+        suspicious: []
+    };
+    const records = [];
+    const locations = [];
+    const seen = new Map(); // duplicate key -> location of the first row
+
+    const note = (list, location, issues, record) => {
+        issues.forEach(issue => {
+            report.issue_counts[issue.code] = (report.issue_counts[issue.code] || 0) + 1;
+        });
+        if (list.length < MAX_REPORTED_ROWS) list.push({ ...location, issues, record });
+    };
+
+    entries.forEach(({ record, location, issues: parseIssues = [] }) => {
+        const errors = [...parseIssues];
+        const warnings = [];
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ code: 'not_an_object', message: 'expected an object' });
+        } else {
+            Object.entries(definition.fields).forEach(([field, spec]) => {
+                const raw = record[field];
+                if (isMissing(raw)) {
+                    if (spec.required) {
+                        errors.push({ field, code: 'missing_field', message: `${field} is required` });
+                    } else if (spec.type === 'number') {
+                        record[field] = null;
+                    }
+                    return;
+                }
+                const checked = FIELD_TYPES[spec.type](raw);
+                if (checked.error) {
+                    const issue = { field, code: `invalid_${spec.type}`, message: checked.error };
+                    if (spec.required) {
+                        errors.push(issue);
+                    } else {
+                        warnings.push(issue);
+                        // Unparseable optional numbers become null instead of NaN
+                        if (spec.type === 'number') record[field] = null;
+                    }
+                    return;
+                }
+                record[field] = checked.value;
+            });
+        }
+
+        // Checks across fields, once every field is valid
+        if (definition.checkRecord && !errors.length) {
+            errors.push(...definition.checkRecord(record, { file, ...location }));
+        }
+
+        if (errors.length && !definition.keepInvalid) {
+            note(report.rejected, location, errors, record);
+            return;
+        }
+
+        if (definition.coordinates && !errors.length) {
+            const [latField, lngField] = definition.coordinates;
+            const lat = record[latField];
+            const lng = record[lngField];
+            if (lat === null || lng === null) {
+                warnings.push({ code: 'missing_coordinates', message: 'no usable latitude / longitude' });
+            } else if (lat < INDIA_BOUNDS.minLat || lat > INDIA_BOUNDS.maxLat || lng < INDIA_BOUNDS.minLng || lng > INDIA_BOUNDS.maxLng) {
+                warnings.push({ code: 'outside_india', message: `${lat}, ${lng} is outside India` });
+            }
+        }
+
+        if (definition.duplicateKey && !errors.length) {
+            const key = definition.duplicateKey(record);
+            if (key !== null) {
+                if (seen.has(key)) {
+                    warnings.push({ code: 'duplicate', message: 'repeats an earlier row', duplicate_of: seen.get(key) });
+                } else {
+                    seen.set(key, location);
+                }
+            }
+        }
+
+        const issues = [...errors, ...warnings];
+        if (issues.length) {
+            report.suspicious_count++;
+            note(report.suspicious, location, issues, record);
+        }
+        records.push(record);
+        locations.push(location);
+    });
+
+    report.accepted_rows = records.length;
+    report.rejected_count = entries.length - records.length;
+    return { records, locations, report };
+}
+
+// File text → [{ record, location, issues? }], unchecked
+function readEntries(definition, raw) {
+    if (definition.format === 'csv') {
+        const { headers, rows } = parseCsv(raw);
+        return rows.map(({ line, values }) => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] === undefined ? '' : values[index].trim();
+            });
+            const issues = values.length === headers.length ? [] : [{
+                code: 'column_count',
+                message: `expected ${headers.length} columns, found ${values.length}`
+            }];
+            return { record, location: { line }, issues };
+        });
+    }
+    const parsed = JSON.parse(raw);
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    if (!Array.isArray(list)) throw new Error('expected a JSON array of records');
+    return list.map((record, index) => ({ record, location: { index } }));
+}
+
+// Read and check a dataset file. A missing or unreadable file gives no records
+// and a report carrying the error, so the server can start without it.
+function loadDataset(definition, filePath) {
+    const file = path.basename(filePath);
+    let entries;
+    try {
+        entries = readEntries(definition, fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        const { report } = checkRecords(definition, [], file);
+        report.error = error.code === 'ENOENT' ? `${file} not found` : error.message;
+        return { records: [], locations: [], report };
+    }
+    return checkRecords(definition, entries, file);
+}
+
+// Read every file in `dirPath` with the given extension as one dataset, so
+// duplicates across files are caught too. Unreadable files are listed in the
+// report error; the readable ones still load.
+function loadDatasetDirectory(definition, dirPath, extension = `.${definition.format}`) {
+    let files;
+    try {
+        files = fs.readdirSync(dirPath).filter(name => name.toLowerCase().endsWith(extension)).sort();
+    } catch (error) {
+        const { report } = checkRecords(definition, [], path.basename(dirPath));
+        report.error = error.code === 'ENOENT' ? `${path.basename(dirPath)} directory not found` : error.message;
+        return { records: [], locations: [], report };
+    }
+
+    const entries = [];
+    const errors = [];
+    files.forEach(file => {
+        try {
+            readEntries(definition, fs.readFileSync(path.join(dirPath, file), 'utf8')).forEach(entry => {
+                entries.push({ ...entry, location: { file, ...entry.location } });
+            });
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+        }
+    });
+
+    const result = checkRecords(definition, entries, files.join(', '));
+    if (files.length === 0) errors.push(`no ${extension} files in ${path.basename(dirPath)}`);
+    result.report.error = errors.length ? errors.join('; ') : null;
+    return result;
+}
+
+function reportStatus(report) {
+    if (report.error) return 'error';
+    return report.rejected_count || report.suspicious_count ? 'warnings' : 'ok';
+}
+
+// Key identifying a record across two versions of a dataset (the admin import
+// diff): the duplicate key unless the dataset names its own
+function recordKeyOf(definition) {
+    return definition.recordKey || definition.duplicateKey;
+}
+
+// Report with at most `limit` example rows per list
+function summarizeReport(report, limit) {
+    return {
+        ...report,
+        status: reportStatus(report),
+        rejected: report.rejected.slice(0, limit),
+        suspicious: report.suspicious.slice(0, limit)
+    };
+}
+
+module.exports = {
+    INDIA_BOUNDS,
+    DATASETS: { PINCODES, NEIGHBORHOODS, MLAS, MPS, ITEMS },
+    isMissing,
+    lokSabhaOf,
+    createCsvParser,
+    parseCsv,
+    readEntries,
+    checkRecords,
+    loadDataset,
+    loadDatasetDirectory,
+    recordKeyOf,
+    summarizeReport
+};
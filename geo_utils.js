@@ -0,0 +1,18 @@
+// Shared geographic helpers
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(x) { return x * Math.PI / 180; }
+
+// Haversine formula to calculate distance between two lat/lng points in km
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+}
+
+module.exports = { EARTH_RADIUS_KM, toRad, haversineDistance };
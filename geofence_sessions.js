@@ -0,0 +1,276 @@
+// Live geofence sessions for clients that stream their position (the driver
+// app). Each session remembers which neighborhood, pincode area and
+// constituencies the client is in, plus the client's own circle / polygon
+// fences, and produces enter / exit events only when that changes.
+//
+// Hysteresis: a change only counts once `confirmations` positions in a row
+// agree on it, and a circle fence is only left once the client is
+// `exitMarginKm` beyond its radius. A client parked on a border therefore
+// does not flip back and forth between two areas.
+//
+// Transport-free: the server pushes events to subscribers (Server-Sent Events).
+
+const crypto = require('crypto');
+const { haversineDistance } = require('./geo_utils');
+const { pointInPolygon } = require('./constituency_boundaries');
+
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_EXIT_MARGIN_KM = 0.05;
+const MAX_FENCES_PER_SESSION = 100;
+// Events kept per session so a reconnecting client can catch up (Last-Event-ID)
+const REPLAY_EVENTS = 100;
+
+const isCoordinate = (value) => typeof value === 'number' && isFinite(value);
+
+// { id?, label, type: 'circle', lat, lng, radius_km } or
+// { id?, label, type: 'polygon', coordinates: [[[lng, lat], ...], ...hole rings] } (GeoJSON Polygon)
+function parseFence(input) {
+    if (!input || typeof input !== 'object') throw new Error('a fence must be an object');
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (!label) throw new Error('a fence needs a label');
+    const id = input.id !== undefined ? String(input.id) : crypto.randomUUID();
+
+    if (input.type === 'circle') {
+        const lat = Number(input.lat);
+        const lng = Number(input.lng);
+        const radiusKm = Number(input.radius_km);
+        if (!isCoordinate(lat) || !isCoordinate(lng) || !(radiusKm > 0)) {
+            throw new Error(`circle fence "${label}" needs numeric lat, lng and a positive radius_km`);
+        }
+        return { id, label, type: 'circle', lat, lng, radius_km: radiusKm };
+    }
+    if (input.type === 'polygon') {
+        const rings = input.coordinates;
+        const validRing = ring => Array.isArray(ring) && ring.length >= 4 &&
+            ring.every(position => Array.isArray(position) && isCoordinate(position[0]) && isCoordinate(position[1]));
+        if (!Array.isArray(rings) || rings.length === 0 || !rings.every(validRing)) {
+            throw new Error(`polygon fence "${label}" needs GeoJSON Polygon coordinates: rings of at least 4 [lng, lat] positions`);
+        }
+        return { id, label, type: 'polygon', coordinates: rings };
+    }
+    throw new Error(`fence "${label}" type must be circle or polygon`);
+}
+
+function insideFence(fence, position, wasInside, exitMarginKm) {
+    if (fence.type === 'circle') {
+        const distance = haversineDistance(fence.lat, fence.lng, position.lat, position.lng);
+        return distance <= fence.radius_km + (wasInside ? exitMarginKm : 0);
+    }
+    return pointInPolygon(position.lng, position.lat, fence.coordinates);
+}
+
+function withoutKey(match) {
+    const { key, ...details } = match;
+    return details;
+}
+
+// Debounced value: `value` moves to a new key only after `confirmations`
+// observations in a row. Returns true when it moved.
+function observe(tracker, key, value, confirmations) {
+    if (!tracker.started) {
+        Object.assign(tracker, { started: true, key, value, candidate: undefined, count: 0 });
+        return true;
+    }
+    if (key === tracker.key) {
+        tracker.value = value;
+        tracker.candidate = undefined;
+        tracker.count = 0;
+        return false;
+    }
+    tracker.count = key === tracker.candidate ? tracker.count + 1 : 1;
+    tracker.candidate = key;
+    if (tracker.count < confirmations) return false;
+    Object.assign(tracker, { key, value, candidate: undefined, count: 0 });
+    return true;
+}
+
+// locate(position) → { [layer]: { key, ...details } or null }, e.g. { neighborhoods, pincodes, ... }
+function createGeofenceSessions({ locate, idleTimeoutMs = 30 * 60 * 1000 }) {
+    const sessions = new Map();
+
+    function publicFence(fence) {
+        const { id, label, type } = fence;
+        return type === 'circle'
+            ? { id, label, type, lat: fence.lat, lng: fence.lng, radius_km: fence.radius_km }
+            : { id, label, type, coordinates: fence.coordinates };
+    }
+
+    function describe(session) {
+        const areas = {};
+        Object.entries(session.layers).forEach(([layer, tracker]) => {
+            areas[layer] = tracker.value ? withoutKey(tracker.value) : null;
+        });
+        return {
+            id: session.id,
+            created_at: session.createdAt,
+            confirmations: session.confirmations,
+            exit_margin_km: session.exitMarginKm,
+            position: session.position,
+            areas,
+            fences: Array.from(session.fences.values()).map(fence => ({
+                ...publicFence(fence),
+                inside: session.fenceTrackers.get(fence.id).key === true
+            })),
+            subscribers: session.listeners.size
+        };
+    }
+
+    function emit(session, event) {
+        const stored = { id: ++session.lastEventId, ...event };
+        session.events.push(stored);
+        if (session.events.length > REPLAY_EVENTS) session.events.shift();
+        session.listeners.forEach(listener => listener(stored));
+        return stored;
+    }
+
+    // options: { confirmations, exit_margin_km, fences }
+    function create(options = {}) {
+        const confirmations = options.confirmations === undefined ? DEFAULT_CONFIRMATIONS : Number(options.confirmations);
+        const exitMarginKm = options.exit_margin_km === undefined ? DEFAULT_EXIT_MARGIN_KM : Number(options.exit_margin_km);
+        if (!Number.isInteger(confirmations) || confirmations < 1) throw new Error('confirmations must be a positive integer');
+        if (!(exitMarginKm >= 0)) throw new Error('exit_margin_km must be zero or more');
+        if (options.fences !== undefined && !Array.isArray(options.fences)) throw new Error('fences must be an array');
+        const fences = (options.fences || []).map(parseFence);
+        if (fences.length > MAX_FENCES_PER_SESSION) throw new Error(`at most ${MAX_FENCES_PER_SESSION} fences per session`);
+
+        const session = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            lastSeen: Date.now(),
+            confirmations,
+            exitMarginKm,
+            position: null,
+            layers: {},
+            fences: new Map(),
+            fenceTrackers: new Map(),
+            events: [],
+            lastEventId: 0,
+            listeners: new Set()
+        };
+        fences.forEach(fence => addFenceTo(session, fence));
+        sessions.set(session.id, session);
+        return describe(session);
+    }
+
+    function addFenceTo(session, fence) {
+        if (session.fences.has(fence.id)) throw new Error(`fence "${fence.id}" already exists`);
+        if (session.fences.size >= MAX_FENCES_PER_SESSION) throw new Error(`at most ${MAX_FENCES_PER_SESSION} fences per session`);
+        session.fences.set(fence.id, fence);
+        session.fenceTrackers.set(fence.id, { started: false });
+    }
+
+    const find = (id) => sessions.get(id) || null;
+
+    function touch(session) {
+        session.lastSeen = Date.now();
+        return session;
+    }
+
+    // Apply one position → { events } (none when nothing changed), or null for an
+    // unknown session. position: { lat, lng, time? }; older positions are ignored.
+    function update(id, position) {
+        const session = find(id);
+        if (!session) return null;
+        touch(session);
+
+        const time = position.time === undefined || position.time === null ? Date.now() : Date.parse(position.time);
+        if (isNaN(time)) throw new Error('time must be an ISO date');
+        if (session.position && time < Date.parse(session.position.time)) {
+            return { events: [], ignored: 'older than the last position' };
+        }
+        const at = new Date(time).toISOString();
+        const point = { lat: position.lat, lng: position.lng };
+        session.position = { ...point, time: at };
+
+        const events = [];
+        const located = locate(point);
+        Object.entries(located).forEach(([layer, match]) => {
+            if (!session.layers[layer]) session.layers[layer] = { started: false };
+            const tracker = session.layers[layer];
+            const previous = tracker.value || null;
+            if (!observe(tracker, match ? match.key : null, match, session.confirmations)) return;
+            if (previous) events.push(emit(session, { type: 'exit', layer, area: withoutKey(previous), at, position: point }));
+            if (match) events.push(emit(session, { type: 'enter', layer, area: withoutKey(match), at, position: point }));
+        });
+
+        session.fences.forEach(fence => {
+            const tracker = session.fenceTrackers.get(fence.id);
+            const inside = insideFence(fence, point, tracker.key === true, session.exitMarginKm);
+            const wasInside = tracker.key === true;
+            if (!observe(tracker, inside, null, session.confirmations)) return;
+            // Starting outside a fence is not an exit
+            if (inside || wasInside) {
+                events.push(emit(session, {
+                    type: inside ? 'enter' : 'exit',
+                    layer: 'fence',
+                    fence: { id: fence.id, label: fence.label, type: fence.type },
+                    at,
+                    position: point
+                }));
+            }
+        });
+        return { events };
+    }
+
+    function addFence(id, input) {
+        const session = find(id);
+        if (!session) return null;
+        const fence = parseFence(input);
+        addFenceTo(touch(session), fence);
+        return publicFence(fence);
+    }
+
+    // Removing a fence ends it silently; no exit event
+    function removeFence(id, fenceId) {
+        const session = find(id);
+        if (!session || !session.fences.has(fenceId)) return false;
+        touch(session);
+        session.fences.delete(fenceId);
+        session.fenceTrackers.delete(fenceId);
+        return true;
+    }
+
+    // listener(event) for every new event; events after lastEventId are replayed first
+    function subscribe(id, listener, lastEventId = null) {
+        const session = find(id);
+        if (!session) return null;
+        touch(session);
+        if (lastEventId !== null) {
+            session.events.filter(event => event.id > lastEventId).forEach(listener);
+        }
+        session.listeners.add(listener);
+        return () => {
+            session.listeners.delete(listener);
+            touch(session);
+        };
+    }
+
+    function get(id) {
+        const session = find(id);
+        return session ? describe(session) : null;
+    }
+
+    function remove(id) {
+        const session = find(id);
+        if (!session) return false;
+        session.listeners.forEach(listener => listener({ id: ++session.lastEventId, type: 'closed' }));
+        sessions.delete(id);
+        return true;
+    }
+
+    // Drop sessions with no subscriber and no activity for idleTimeoutMs
+    function sweep(now = Date.now()) {
+        let removed = 0;
+        sessions.forEach((session, id) => {
+            if (session.listeners.size === 0 && now - session.lastSeen > idleTimeoutMs) {
+                sessions.delete(id);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    return { create, get, update, addFence, removeFence, subscribe, remove, sweep, get size() { return sessions.size; } };
+}
+
+module.exports = { DEFAULT_CONFIRMATIONS, DEFAULT_EXIT_MARGIN_KM, parseFence, createGeofenceSessions };
@@ -0,0 +1,105 @@
+// Curation of the neighborhood `imageUrls` scraped from Wikipedia pages.
+// The scrape picked up every <img> on the page: interface icons, map pins,
+// flags, navbox thumbnails and a few broken relative URLs. URL-pattern rules
+// drop those, the rest are tagged photo / map / logo, and one photo becomes the
+// place's primaryImage.
+
+// Checked in order; the first matching rule names the drop reason
+const DROP_RULES = [
+    // "https:/static/...", "https:https://...", relative paths
+    ['broken_url', (url) => !/^https?:\/\/[a-z0-9.-]+\.[a-z]{2,}\//i.test(url) || /^https?:\/\/[^/]*https?:/i.test(url)],
+    ['tracking', (url) => /Special:CentralAutoLogin|\/beacon\//i.test(url)],
+    ['pin', (url, name) => /^(Red_pog|Blue_pog|Green_pog|Map_pin|Locator_Dot)/i.test(name)],
+    ['flag', (url, name) => /^Flag_(of_|placeholder)/i.test(name)],
+    ['icon', (url, name) => /^(OOjs_UI_icon|Ambox_|Question_book|Edit-clear|Text_document_with|Symbol_.*_class|Pfeil_|Increase\d*|Decrease\d*|Steady\d*|Commons-logo|Wikivoyage-Logo|Wiktionary-logo|Wikiquote-logo|Wikisource-logo|Wikidata-logo|Wikipedia|Portal-puzzle|Folder_Hexagonal_Icon|Lock-)/i.test(name)],
+    // Thumbnails this small are navbox and list icons, not pictures of the place
+    ['icon', (url, name, width) => width !== null && width < 100]
+];
+
+const MAP_PATTERN = /(location_map|relief_map|locator|openstreetmap|_map[._]|^map_|orthographic_projection|zones.*map)/i;
+const LOGO_PATTERN = /(logo|emblem|seal|symbol|coat_of_arms)/i;
+
+// File name of a Wikimedia URL without the "250px-" thumbnail prefix, and the thumbnail width
+function describeUrl(url) {
+    const raw = String(url).split(/[?#]/)[0].split('/').pop() || '';
+    let last = raw;
+    try {
+        last = decodeURIComponent(raw);
+    } catch (error) {
+        // Malformed escapes: match on the name as written
+    }
+    const thumb = last.match(/^(\d+)px-(.+)$/);
+    return thumb ? { name: thumb[2], width: parseInt(thumb[1]) } : { name: last, width: null };
+}
+
+function imageType(name) {
+    if (MAP_PATTERN.test(name)) return 'map';
+    // Wikimedia renders SVGs as "<name>.svg.png"; outside maps those are symbols and logos
+    if (LOGO_PATTERN.test(name) || /\.svg(\.png)?$/i.test(name)) return 'logo';
+    return 'photo';
+}
+
+// urls → { images: [{ url, type, width }], primaryImage, dropped: [{ url, reason }] }
+function curateImageUrls(urls) {
+    const images = [];
+    const dropped = [];
+    const seen = new Set();
+
+    (Array.isArray(urls) ? urls : []).forEach(url => {
+        if (typeof url !== 'string' || !url.trim()) {
+            dropped.push({ url, reason: 'broken_url' });
+            return;
+        }
+        if (seen.has(url)) {
+            dropped.push({ url, reason: 'duplicate' });
+            return;
+        }
+        seen.add(url);
+
+        const { name, width } = describeUrl(url);
+        const rule = DROP_RULES.find(([, test]) => test(url, name, width));
+        if (rule) {
+            dropped.push({ url, reason: rule[0] });
+            return;
+        }
+        images.push({ url, type: imageType(name), width });
+    });
+
+    // The infobox photo comes first on a Wikipedia page; fall back to a map
+    const primary = images.find(image => image.type === 'photo') || images.find(image => image.type === 'map');
+    return { images, primaryImage: primary ? primary.url : null, dropped };
+}
+
+// Curate every place in place: imageUrls keeps only the kept URLs, and
+// `images` / `primaryImage` are added. Returns per-place drop counts.
+function curatePlaceImages(places) {
+    const totals = { places: places.length, kept: 0, dropped: 0, dropped_by_reason: {} };
+    const report = places.map((place, index) => {
+        const curated = curateImageUrls(place.imageUrls);
+        place.imageUrls = curated.images.map(image => image.url);
+        place.images = curated.images;
+        place.primaryImage = curated.primaryImage;
+
+        const droppedByReason = {};
+        curated.dropped.forEach(({ reason }) => {
+            droppedByReason[reason] = (droppedByReason[reason] || 0) + 1;
+            totals.dropped_by_reason[reason] = (totals.dropped_by_reason[reason] || 0) + 1;
+        });
+        totals.kept += curated.images.length;
+        totals.dropped += curated.dropped.length;
+
+        return {
+            index,
+            placeName: place.placeName,
+            district: place.district,
+            kept: curated.images.length,
+            dropped: curated.dropped.length,
+            dropped_by_reason: droppedByReason,
+            dropped_urls: curated.dropped.map(({ url, reason }) => ({ url, reason })),
+            primaryImage: curated.primaryImage
+        };
+    });
+    return { totals, places: report };
+}
+
+module.exports = { curateImageUrls, curatePlaceImages };
@@ -0,0 +1,109 @@
+// Clip metadata for phrase items. Each item's `youtube_url` is a tubeloop.io
+// loop link ("https://tubeloop.io/?videoId=…&start=131.255&end=134.255&rate=1")
+// over a YouTube lesson video; plain YouTube watch, short and embed links are
+// read too. The clip's bounds come out in seconds, rounded to milliseconds
+// since the scraped values carry float noise (162.01999999999998).
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+
+const roundSeconds = (value) => Math.round(value * 1000) / 1000;
+
+// "131.255", "90", "1m30s", "1h2m3s" → seconds, or null
+function readSeconds(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?s?$/.test(text)) return roundSeconds(parseFloat(text));
+    const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+    if (!match) return null;
+    return roundSeconds((parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + (parseFloat(match[3]) || 0));
+}
+
+// Video link → { provider, video_id, start, end, duration, rate, embed_url,
+// watch_url, source_url }, or null when it is not a link to a YouTube video
+function parseVideoUrl(link) {
+    if (typeof link !== 'string' || !link.trim()) return null;
+    let url;
+    try {
+        url = new URL(link.trim());
+    } catch (error) {
+        return null;
+    }
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    const params = url.searchParams;
+
+    let videoId = null;
+    if (host === 'tubeloop.io') {
+        videoId = params.get('videoId');
+    } else if (host === 'youtu.be') {
+        videoId = url.pathname.slice(1).split('/')[0];
+    } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        const path = url.pathname.split('/').filter(Boolean);
+        videoId = path[0] === 'watch' ? params.get('v') : (['embed', 'shorts', 'v'].includes(path[0]) ? path[1] : null);
+    }
+    if (!videoId || !YOUTUBE_ID.test(videoId)) return null;
+
+    const start = readSeconds(params.get('start') || params.get('t'));
+    const end = readSeconds(params.get('end'));
+    const rate = params.has('rate') ? parseFloat(params.get('rate')) : 1;
+
+    // The embed player only takes whole seconds
+    const embedParams = new URLSearchParams();
+    if (start !== null) embedParams.set('start', Math.floor(start));
+    if (end !== null) embedParams.set('end', Math.ceil(end));
+    const embedQuery = embedParams.toString();
+
+    return {
+        provider: 'youtube',
+        video_id: videoId,
+        start,
+        end,
+        duration: start !== null && end !== null && end > start ? roundSeconds(end - start) : null,
+        rate: isFinite(rate) && rate > 0 ? rate : 1,
+        embed_url: `https://www.youtube.com/embed/${videoId}${embedQuery ? `?${embedQuery}` : ''}`,
+        watch_url: `https://www.youtube.com/watch?v=${videoId}${start !== null ? `&t=${Math.floor(start)}s` : ''}`,
+        source_url: link
+    };
+}
+
+const linkOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// Item → { video, gif, thumbnail }, video null when the item has no readable video link
+function itemMedia(item) {
+    return {
+        video: parseVideoUrl(item.youtube_url),
+        gif: linkOrNull(item.gif),
+        thumbnail: linkOrNull(item.thumbnail_gif)
+    };
+}
+
+// Items grouped by source video, clips in timeline order (start, then end) →
+// [{ video_id, provider, clip_count, start, end, total_duration, clips: [{ item, video }] }],
+// the videos in order of their first item
+function groupClipsByVideo(items) {
+    const videos = new Map();
+    items.forEach(item => {
+        const video = parseVideoUrl(item.youtube_url);
+        if (!video) return;
+        if (!videos.has(video.video_id)) videos.set(video.video_id, []);
+        videos.get(video.video_id).push({ item, video });
+    });
+
+    const bound = (value, fallback) => (value === null ? fallback : value);
+    return Array.from(videos, ([videoId, clips]) => {
+        clips.sort((a, b) => bound(a.video.start, Infinity) - bound(b.video.start, Infinity) ||
+            bound(a.video.end, Infinity) - bound(b.video.end, Infinity));
+        const starts = clips.map(clip => clip.video.start).filter(value => value !== null);
+        const ends = clips.map(clip => clip.video.end).filter(value => value !== null);
+        return {
+            video_id: videoId,
+            provider: 'youtube',
+            clip_count: clips.length,
+            start: starts.length ? Math.min(...starts) : null,
+            end: ends.length ? Math.max(...ends) : null,
+            total_duration: roundSeconds(clips.reduce((sum, clip) => sum + (clip.video.duration || 0), 0)),
+            clips
+        };
+    });
+}
+
+module.exports = { parseVideoUrl, itemMedia, groupClipsByVideo };
@@ -0,0 +1,71 @@
+// One-way migrations applied to the phrase items when data.json is loaded.
+// Each migration returns the items unchanged when there is nothing to do, so
+// server.js only rewrites data.json when a migration actually changed it.
+
+const crypto = require('crypto');
+
+function generateItemId() {
+    return crypto.randomUUID();
+}
+
+// Give every item a permanent unique `id` ("category-id" is shared by many items)
+function ensureItemIds(items) {
+    const seen = new Set();
+    let changed = false;
+    const migrated = items.map(item => {
+        if (item.id && !seen.has(item.id)) {
+            seen.add(item.id);
+            return item;
+        }
+        changed = true;
+        let id = generateItemId();
+        while (seen.has(id)) id = generateItemId();
+        seen.add(id);
+        const { id: _duplicate, ...rest } = item;
+        return { id, ...rest };
+    });
+    return { items: changed ? migrated : items, changed };
+}
+
+// Line order of multiline_text before items carried a "languages" list
+// (the old hard-coded langMapping in server.js)
+const LEGACY_LINE_ORDER = ['en', 'ta', 'hi', 'te', 'kn', 'ml'];
+
+// "line 1\nline 2" + ["en", "ta"] → { en: "line 1", ta: "line 2" }; blank lines are skipped
+function toTranslations(multilineText, languages) {
+    const order = Array.isArray(languages) && languages.length ? languages : LEGACY_LINE_ORDER;
+    const lines = String(multilineText || '').split('\n');
+    const translations = {};
+    order.forEach((lang, index) => {
+        const text = (lines[index] || '').trim();
+        if (text) translations[lang] = text;
+    });
+    return translations;
+}
+
+// Replace multiline_text + languages with a language → text map
+function splitTranslations(items) {
+    let changed = false;
+    const migrated = items.map(item => {
+        if (item.translations && item.multiline_text === undefined) return item;
+        changed = true;
+        const { multiline_text: multilineText, languages, translations: existing, ...rest } = item;
+        const translations = { ...toTranslations(multilineText, languages), ...(existing || {}) };
+        return { id: rest.id, translations, ...rest };
+    });
+    return { items: changed ? migrated : items, changed };
+}
+
+const MIGRATIONS = [ensureItemIds, splitTranslations];
+
+function migrateItems(items) {
+    let changed = false;
+    const migrated = MIGRATIONS.reduce((current, migration) => {
+        const result = migration(current);
+        changed = changed || result.changed;
+        return result.items;
+    }, items);
+    return { items: migrated, changed };
+}
+
+module.exports = { LEGACY_LINE_ORDER, generateItemId, toTranslations, migrateItems };
@@ -0,0 +1,117 @@
+// Disk persistence for the phrase items in data.json.
+// Every write goes to a temp file that is renamed over data.json, so a crash
+// mid-write never leaves a truncated file. The previous data.json is kept as
+// a timestamped snapshot first (like the hand-made backup.json), and only the
+// newest `maxSnapshots` are kept.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_SNAPSHOTS = 20;
+const SNAPSHOT_PATTERN = /^data-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-(\d+))?\.json$/;
+
+function createItemStore(filePath, options = {}) {
+    const snapshotDir = options.snapshotDir || path.join(path.dirname(filePath), 'data_backups');
+    const maxSnapshots = options.maxSnapshots || DEFAULT_MAX_SNAPSHOTS;
+
+    // Wrapper fields of data.json ("total_count", "keyword", ...) kept as-is around "items"
+    let wrapper = null;
+
+    function writeAtomic(targetPath, contents) {
+        const tempPath = `${targetPath}.tmp-${process.pid}`;
+        fs.writeFileSync(tempPath, contents, 'utf8');
+        fs.renameSync(tempPath, targetPath);
+    }
+
+    function parseItems(raw) {
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) {
+            return { wrapper: null, items: parsed };
+        }
+        if (!parsed || !Array.isArray(parsed.items)) {
+            throw new Error('expected an array of items or an object with an "items" array');
+        }
+        return { wrapper: parsed, items: parsed.items };
+    }
+
+    function load() {
+        const parsed = parseItems(fs.readFileSync(filePath, 'utf8'));
+        wrapper = parsed.wrapper;
+        return parsed.items;
+    }
+
+    function serialize(items) {
+        return JSON.stringify(wrapper ? { ...wrapper, items } : items, null, 2);
+    }
+
+    function listSnapshots() {
+        if (!fs.existsSync(snapshotDir)) return [];
+        return fs.readdirSync(snapshotDir)
+            .map(name => ({ name, match: name.match(SNAPSHOT_PATTERN) }))
+            .filter(({ match }) => match)
+            // Newest first; same-millisecond snapshots carry a -1, -2... suffix
+            .sort((a, b) => b.match[1].localeCompare(a.match[1]) || (Number(b.match[2]) || 0) - (Number(a.match[2]) || 0))
+            .map(({ name, match }) => {
+                const stat = fs.statSync(path.join(snapshotDir, name));
+                const stamp = match[1];
+                // 2025-01-31T10-20-30-123Z → 2025-01-31T10:20:30.123Z
+                const createdAt = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+                return { id: name.replace(/\.json$/, ''), created_at: createdAt, size_bytes: stat.size };
+            });
+    }
+
+    // Copy the current data.json into the snapshot directory
+    function snapshotCurrent() {
+        if (!fs.existsSync(filePath)) return null;
+        fs.mkdirSync(snapshotDir, { recursive: true });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let id = `data-${stamp}`;
+        for (let n = 1; fs.existsSync(path.join(snapshotDir, `${id}.json`)); n++) {
+            id = `data-${stamp}-${n}`;
+        }
+        writeAtomic(path.join(snapshotDir, `${id}.json`), fs.readFileSync(filePath, 'utf8'));
+
+        listSnapshots().slice(maxSnapshots).forEach(old => {
+            fs.unlinkSync(path.join(snapshotDir, `${old.id}.json`));
+        });
+        return id;
+    }
+
+    // Persist items, snapshotting the previous file first. Returns the snapshot id.
+    function save(items) {
+        const snapshotId = snapshotCurrent();
+        writeAtomic(filePath, serialize(items));
+        return snapshotId;
+    }
+
+    // Replace data.json with text that is already serialized (an admin import);
+    // the next load() picks up its layout
+    function saveText(contents) {
+        const snapshotId = snapshotCurrent();
+        writeAtomic(filePath, contents);
+        return snapshotId;
+    }
+
+    function readSnapshot(id) {
+        if (!SNAPSHOT_PATTERN.test(`${id}.json`)) return null;
+        const snapshotPath = path.join(snapshotDir, `${id}.json`);
+        if (!fs.existsSync(snapshotPath)) return null;
+        return parseItems(fs.readFileSync(snapshotPath, 'utf8'));
+    }
+
+    // Make a snapshot the live data.json again (the current file is snapshotted
+    // too, so a restore can itself be undone). Returns the restored items or null.
+    function restore(id) {
+        const snapshot = readSnapshot(id);
+        if (!snapshot) return null;
+        wrapper = snapshot.wrapper;
+        const snapshotId = snapshotCurrent();
+        writeAtomic(filePath, serialize(snapshot.items));
+        return { items: snapshot.items, snapshotId };
+    }
+
+    return { load, save, saveText, listSnapshots, readSnapshot, restore };
+}
+
+module.exports = { createItemStore };
@@ -0,0 +1,40 @@
+// Registry of the languages phrase items can be translated into, loaded from
+// languages.json. Adding a language means adding an entry there; the order of
+// the entries is the order translations are listed and joined in.
+
+const fs = require('fs');
+
+function createLanguageRegistry(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('languages.json must contain an array of languages');
+    }
+
+    const byCode = new Map();
+    entries.forEach(entry => {
+        if (!entry || typeof entry.code !== 'string' || !entry.code) {
+            throw new Error('every language needs a "code"');
+        }
+        byCode.set(entry.code, entry);
+    });
+    const codes = Array.from(byCode.keys());
+
+    // Sort language codes into registry order, unknown codes last
+    function sortCodes(list) {
+        const rank = code => (byCode.has(code) ? codes.indexOf(code) : codes.length);
+        return list.slice().sort((a, b) => rank(a) - rank(b));
+    }
+
+    return {
+        list: () => Array.from(byCode.values()),
+        codes: () => codes.slice(),
+        get: code => byCode.get(code) || null,
+        has: code => byCode.has(code),
+        sortCodes
+    };
+}
+
+function loadLanguageRegistry(filePath) {
+    return createLanguageRegistry(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = { createLanguageRegistry, loadLanguageRegistry };
@@ -0,0 +1,221 @@
+// Serializers for location results: GeoJSON, KML, GPX and CSV.
+// Routes hand over their records in named layers ("neighborhoods", "pincodes")
+// and the area searched: a circle for radius queries, the box or polygon for
+// viewport and polygon queries. Record fields become feature properties; the
+// area is written as its own polygon feature so it can be drawn next to the results.
+
+const { EARTH_RADIUS_KM, toRad } = require('./geo_utils');
+
+const FORMATS = {
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' },
+    gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Points on the circle outline; enough for a smooth ring at city scale
+const CIRCLE_SEGMENTS = 64;
+
+const isCoordinate = (value) => typeof value === 'number' && isFinite(value);
+
+// Neighborhood records use latitude/longitude, pincode CSV records Latitude/Longitude
+function coordinatesOf(record) {
+    const lat = record.latitude !== undefined ? record.latitude : record.Latitude;
+    const lng = record.longitude !== undefined ? record.longitude : record.Longitude;
+    return isCoordinate(lat) && isCoordinate(lng) ? { lat, lng } : null;
+}
+
+function featureName(record) {
+    return record.placeName || record.OfficeName || record.name || record.label || '';
+}
+
+// { a: { b: 1 }, tags: ['x', 'y'] } → { 'a.b': 1, tags: 'x; y' } for formats without nesting
+function flattenProperties(record, prefix = '', target = {}) {
+    Object.entries(record).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) {
+            target[name] = value.every(item => item === null || typeof item !== 'object')
+                ? value.join('; ')
+                : JSON.stringify(value);
+        } else if (value && typeof value === 'object') {
+            flattenProperties(value, name, target);
+        } else {
+            target[name] = value === undefined || value === null ? '' : value;
+        }
+    });
+    return target;
+}
+
+// Ring of [lng, lat] points `radiusKm` around the centre (closed: first point repeated)
+function circleRing({ lat, lng, radiusKm }) {
+    const angularRadius = radiusKm / EARTH_RADIUS_KM;
+    const latRad = toRad(lat);
+    const lngRad = toRad(lng);
+    const ring = [];
+    for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+        const bearing = (2 * Math.PI * (i % CIRCLE_SEGMENTS)) / CIRCLE_SEGMENTS;
+        const pointLat = Math.asin(Math.sin(latRad) * Math.cos(angularRadius) +
+            Math.cos(latRad) * Math.sin(angularRadius) * Math.cos(bearing));
+        const pointLng = lngRad + Math.atan2(Math.sin(bearing) * Math.sin(angularRadius) * Math.cos(latRad),
+            Math.cos(angularRadius) - Math.sin(latRad) * Math.sin(pointLat));
+        ring.push([
+            parseFloat(((((pointLng * 180) / Math.PI) + 540) % 360 - 180).toFixed(6)),
+            parseFloat(((pointLat * 180) / Math.PI).toFixed(6))
+        ]);
+    }
+    return ring;
+}
+
+// searchArea: { lat, lng, radiusKm } for a circle, or { lat, lng, polygons } with
+// GeoJSON polygon coordinates (rings of [lng, lat], holes after the outer ring)
+const searchAreaPolygons = (searchArea) => searchArea.polygons || [[circleRing(searchArea)]];
+
+const searchAreaProperties = (searchArea) => (searchArea.polygons ? {
+    layer: 'search_area',
+    name: 'Search area',
+    center_lat: searchArea.lat,
+    center_lng: searchArea.lng
+} : {
+    layer: 'search_area',
+    name: `Search area (${searchArea.radiusKm} km)`,
+    center_lat: searchArea.lat,
+    center_lng: searchArea.lng,
+    radius_km: searchArea.radiusKm
+});
+
+// Every record of every layer with its layer name
+function eachRecord(layers, callback) {
+    layers.forEach(({ name, records }) => records.forEach(record => callback(record, name)));
+}
+
+function toGeoJSON(layers, searchArea) {
+    const features = [];
+    eachRecord(layers, (record, layer) => {
+        const point = coordinatesOf(record);
+        features.push({
+            type: 'Feature',
+            geometry: point ? { type: 'Point', coordinates: [point.lng, point.lat] } : null,
+            properties: { layer, ...record }
+        });
+    });
+    if (searchArea) {
+        const polygons = searchAreaPolygons(searchArea);
+        features.push({
+            type: 'Feature',
+            geometry: polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons },
+            properties: searchAreaProperties(searchArea)
+        });
+    }
+    return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[char]));
+
+function toKML(layers, searchArea, title) {
+    const placemarks = [];
+    eachRecord(layers, (record, layer) => {
+        const point = coordinatesOf(record);
+        const data = Object.entries(flattenProperties({ layer, ...record }))
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+        placemarks.push(
+            `<Placemark><name>${escapeXml(featureName(record))}</name>` +
+            `<ExtendedData>${data}</ExtendedData>` +
+            (point ? `<Point><coordinates>${point.lng},${point.lat}</coordinates></Point>` : '') +
+            '</Placemark>'
+        );
+    });
+    if (searchArea) {
+        const properties = searchAreaProperties(searchArea);
+        const data = Object.entries(properties)
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+        const linearRing = ring => `<LinearRing><coordinates>${ring.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LinearRing>`;
+        const polygons = searchAreaPolygons(searchArea).map(([outer, ...holes]) =>
+            `<Polygon><outerBoundaryIs>${linearRing(outer)}</outerBoundaryIs>` +
+            holes.map(hole => `<innerBoundaryIs>${linearRing(hole)}</innerBoundaryIs>`).join('') +
+            '</Polygon>'
+        );
+        placemarks.push(
+            `<Placemark><name>${escapeXml(properties.name)}</name><ExtendedData>${data}</ExtendedData>` +
+            (polygons.length === 1 ? polygons[0] : `<MultiGeometry>${polygons.join('')}</MultiGeometry>`) +
+            '</Placemark>'
+        );
+    }
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        `<name>${escapeXml(title)}</name>\n${placemarks.join('\n')}\n</Document></kml>\n`;
+}
+
+// GPX has no free-form properties: they go into the waypoint description, one per line
+function toGPX(layers, searchArea, title) {
+    const waypoints = [];
+    eachRecord(layers, (record, layer) => {
+        const point = coordinatesOf(record);
+        if (!point) return;
+        const description = Object.entries(flattenProperties(record))
+            .filter(([, value]) => value !== '')
+            .map(([key, value]) => `${key}: ${value}`)
+            .join('\n');
+        waypoints.push(
+            `<wpt lat="${point.lat}" lon="${point.lng}"><name>${escapeXml(featureName(record))}</name>` +
+            `<desc>${escapeXml(description)}</desc><type>${escapeXml(layer)}</type></wpt>`
+        );
+    });
+    let track = '';
+    if (searchArea) {
+        const properties = searchAreaProperties(searchArea);
+        // One segment per outline; GPX has no notion of holes
+        const segments = searchAreaPolygons(searchArea).map(([outer]) =>
+            `<trkseg>${outer.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`).join('')}</trkseg>`
+        ).join('');
+        track = `<trk><name>${escapeXml(properties.name)}</name><type>search_area</type>${segments}</trk>`;
+    }
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="expressapi" xmlns="http://www.topografix.com/GPX/1/1">' +
+        `<metadata><name>${escapeXml(title)}</name></metadata>\n${waypoints.join('\n')}\n${track}</gpx>\n`;
+}
+
+const csvCell = (value) => {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per record (layer, latitude, longitude first), plus a search_area row
+function toCSV(layers, searchArea) {
+    const rows = [];
+    eachRecord(layers, (record, layer) => {
+        const point = coordinatesOf(record);
+        rows.push({ layer, latitude: point ? point.lat : '', longitude: point ? point.lng : '', ...flattenProperties(record) });
+    });
+    if (searchArea) {
+        const properties = searchAreaProperties(searchArea);
+        rows.push({ layer: properties.layer, latitude: searchArea.lat, longitude: searchArea.lng, name: properties.name, radius_km: searchArea.radiusKm });
+    }
+    const columns = [];
+    const seen = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (!seen.has(column)) {
+            seen.add(column);
+            columns.push(column);
+        }
+    }));
+    return [columns.map(csvCell).join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// layers: [{ name, records }]; searchArea: see searchAreaPolygons, or null
+function serializeLocations(format, layers, { searchArea = null, title = 'Locations' } = {}) {
+    switch (format) {
+        case 'geojson': return toGeoJSON(layers, searchArea);
+        case 'kml': return toKML(layers, searchArea, title);
+        case 'gpx': return toGPX(layers, searchArea, title);
+        case 'csv': return toCSV(layers, searchArea);
+        default: throw new Error(`unknown format "${format}"`);
+    }
+}
+
+module.exports = { FORMATS, csvCell, flattenProperties, serializeLocations };
@@ -0,0 +1,223 @@
+// Performance scorecards, rankings and group statistics for MPs, from the
+// PRS Lok Sabha track CSV (lok_sabha_data/18-LS-MP-Track.csv).
+// Ministers, the Speaker and the Leader of Opposition have blank metrics in the
+// CSV because their role keeps them out of debates, questions or the attendance
+// register (mp_note says which). Those blanks are "not reported", never zero:
+// such MPs get no percentile, are left out of rankings and averages, and are
+// counted separately.
+
+const { normalizeName } = require('./name_matching');
+
+// CSV columns for each metric and its national / state averages
+const METRICS = {
+    debates: { field: 'debates', national: 'national_average_debate', state: 'state_average_debate' },
+    questions: { field: 'questions', national: 'national_average_questions', state: 'state_average_questions' },
+    private_member_bills: { field: 'private_member_bills', national: 'national_average_pmb', state: 'state_average_pmb' },
+    attendance: { field: 'attendance', national: 'attendance_national_average', state: 'attendance_state_average' }
+};
+
+const GROUP_BY = ['party', 'state', 'gender', 'age_band', 'education'];
+
+const AGE_BANDS = [[25, 34], [35, 44], [45, 54], [55, 64], [65, 74]];
+
+// Roles whose metrics PRS does not report, recognised from mp_note
+const ROLE_PATTERNS = [
+    ['minister', /\bminister\b/i],
+    ['speaker', /\bspeaker\b/i],
+    ['leader_of_opposition', /leader of opposition/i]
+];
+
+function classifyRole(row) {
+    const note = row.mp_note || '';
+    const match = ROLE_PATTERNS.find(([, pattern]) => pattern.test(note));
+    return match ? match[0] : 'member';
+}
+
+// Blank cells are "not reported", not zero
+function metricValue(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+}
+
+const round = (value, digits = 3) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+function ageBand(age) {
+    const years = parseInt(age);
+    if (isNaN(years)) return 'Unknown';
+    const band = AGE_BANDS.find(([low, high]) => years >= low && years <= high);
+    if (band) return `${band[0]}-${band[1]}`;
+    return years < AGE_BANDS[0][0] ? `Under ${AGE_BANDS[0][0]}` : `${AGE_BANDS[AGE_BANDS.length - 1][1] + 1}+`;
+}
+
+// Share of values below `value`, counting ties as half (0-100)
+function percentileRank(sortedValues, value) {
+    let below = 0;
+    let equal = 0;
+    sortedValues.forEach(other => {
+        if (other < value) below++;
+        else if (other === value) equal++;
+    });
+    return round(((below + equal / 2) / sortedValues.length) * 100, 1);
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function median(sortedValues) {
+    if (!sortedValues.length) return null;
+    const middle = sortedValues.length >> 1;
+    return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+function createMpAnalytics(rows) {
+    const mps = rows.map(row => {
+        const metrics = {};
+        Object.entries(METRICS).forEach(([metric, columns]) => {
+            metrics[metric] = metricValue(row[columns.field]);
+        });
+        return {
+            row,
+            role: classifyRole(row),
+            metrics,
+            groups: {
+                party: row.mp_political_party || 'Unknown',
+                state: row.state || 'Unknown',
+                gender: row.mp_gender || 'Unknown',
+                age_band: ageBand(row.mp_age),
+                education: row.educational_qualification || 'Unknown'
+            }
+        };
+    });
+
+    // Sorted reported values per metric, nationally and per state
+    const reported = (list, metric) => list
+        .map(mp => mp.metrics[metric])
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+    const nationalValues = {};
+    const stateValues = new Map();
+    Object.keys(METRICS).forEach(metric => {
+        nationalValues[metric] = reported(mps, metric);
+    });
+    function valuesInState(state, metric) {
+        const key = `${normalizeName(state)}:${metric}`;
+        if (!stateValues.has(key)) {
+            stateValues.set(key, reported(mps.filter(mp => normalizeName(mp.groups.state) === normalizeName(state)), metric));
+        }
+        return stateValues.get(key);
+    }
+
+    function scorecard(mp) {
+        const metrics = {};
+        Object.entries(METRICS).forEach(([metric, columns]) => {
+            const value = mp.metrics[metric];
+            const nationalAverage = metricValue(mp.row[columns.national]);
+            const stateAverage = metricValue(mp.row[columns.state]);
+            metrics[metric] = {
+                value,
+                reported: value !== null,
+                national_average: round(nationalAverage),
+                state_average: round(stateAverage),
+                vs_national_average: value !== null && nationalAverage !== null ? round(value - nationalAverage) : null,
+                vs_state_average: value !== null && stateAverage !== null ? round(value - stateAverage) : null,
+                national_percentile: value !== null ? percentileRank(nationalValues[metric], value) : null,
+                state_percentile: value !== null ? percentileRank(valuesInState(mp.groups.state, metric), value) : null
+            };
+        });
+        return {
+            mp_name: mp.row.mp_name,
+            pc_name: mp.row.pc_name,
+            state: mp.row.state,
+            party: mp.row.mp_political_party,
+            role: mp.role,
+            metrics_reported: Object.values(mp.metrics).some(value => value !== null),
+            note: mp.row.mp_note ? mp.row.mp_note.trim() : null,
+            term_start_date: mp.row.term_start_date,
+            term_end_date: mp.row.term_end_date,
+            metrics
+        };
+    }
+
+    const matchesFilters = (mp, { state, party }) =>
+        (!state || normalizeName(mp.groups.state) === normalizeName(state)) &&
+        (!party || normalizeName(mp.groups.party) === normalizeName(party));
+
+    // Scorecards of the MPs whose row passes `predicate`
+    function scorecards(predicate) {
+        return mps.filter(mp => predicate(mp.row)).map(scorecard);
+    }
+
+    // MPs ordered by one metric; equal values share a rank (1, 2, 2, 4)
+    function rank(metric, { state, party, order = 'desc', limit } = {}) {
+        const candidates = mps.filter(mp => matchesFilters(mp, { state, party }));
+        const ranked = candidates
+            .filter(mp => mp.metrics[metric] !== null)
+            .sort((a, b) => (order === 'asc' ? a.metrics[metric] - b.metrics[metric] : b.metrics[metric] - a.metrics[metric]));
+
+        let previous = null;
+        let previousRank = 0;
+        const rankings = ranked.map((mp, index) => {
+            const value = mp.metrics[metric];
+            const position = value === previous ? previousRank : index + 1;
+            previous = value;
+            previousRank = position;
+            return {
+                rank: position,
+                mp_name: mp.row.mp_name,
+                pc_name: mp.row.pc_name,
+                state: mp.row.state,
+                party: mp.row.mp_political_party,
+                value
+            };
+        });
+
+        const notRanked = candidates
+            .filter(mp => mp.metrics[metric] === null)
+            .map(mp => ({ mp_name: mp.row.mp_name, pc_name: mp.row.pc_name, state: mp.row.state, role: mp.role }));
+
+        return {
+            ranked_count: rankings.length,
+            rankings: limit ? rankings.slice(0, limit) : rankings,
+            not_ranked: notRanked
+        };
+    }
+
+    // Per-group MP counts and metric averages, over MPs with reported metrics only
+    function aggregate(groupBy, filters = {}) {
+        const groups = new Map();
+        mps.filter(mp => matchesFilters(mp, filters)).forEach(mp => {
+            const label = mp.groups[groupBy];
+            // "Post graduate and above" and "Post Graduate and above" are one group
+            const key = normalizeName(label) || label;
+            if (!groups.has(key)) groups.set(key, { labels: new Map(), mps: [] });
+            const group = groups.get(key);
+            group.labels.set(label, (group.labels.get(label) || 0) + 1);
+            group.mps.push(mp);
+        });
+
+        return Array.from(groups.values()).map(({ labels, mps: members }) => {
+            // Shown with the most common spelling
+            const label = Array.from(labels).sort((a, b) => b[1] - a[1])[0][0];
+            const notReported = {};
+            members.filter(mp => mp.role !== 'member').forEach(mp => {
+                notReported[mp.role] = (notReported[mp.role] || 0) + 1;
+            });
+            const metrics = {};
+            Object.keys(METRICS).forEach(metric => {
+                const values = reported(members, metric);
+                metrics[metric] = {
+                    reported_count: values.length,
+                    average: round(average(values)),
+                    median: round(median(values))
+                };
+            });
+            return { [groupBy]: label, mp_count: members.length, roles_not_reported: notReported, metrics };
+        }).sort((a, b) => b.mp_count - a.mp_count || String(a[groupBy]).localeCompare(String(b[groupBy])));
+    }
+
+    return { scorecards, rank, aggregate, get size() { return mps.length; } };
+}
+
+module.exports = { METRICS, GROUP_BY, classifyRole, createMpAnalytics };
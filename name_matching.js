@@ -0,0 +1,114 @@
+// Place / constituency name matching across datasets that spell the same
+// name differently ("Khairtabad" vs "Khairatabad", "Secunderabad (Lok Sabha
+// constituency)" vs "Secunderabad", "Nizamabad (Rural)" vs "Nizamabad Rural").
+
+// Suffixes the scraped and official datasets add to constituency names
+const NOISE_PATTERNS = [
+    /\((?:assembly|vidhan sabha|lok sabha|parliamentary)?\s*constituency\)/g,
+    /\b(?:assembly|vidhan sabha|lok sabha|parliamentary)\s+constituency\b/g,
+    /\((?:sc|st)\)/g
+];
+
+// Lowercase, strip accents, constituency suffixes and punctuation
+function normalizeName(name) {
+    if (name === undefined || name === null) return '';
+    let text = String(name).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    NOISE_PATTERNS.forEach(pattern => { text = text.replace(pattern, ' '); });
+    return text
+        .replace(/\bcantt\b\.?/g, 'cantonment')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Rough transliteration-insensitive key: aspirated consonants folded, doubled
+// letters collapsed and vowels dropped after the first letter of each word
+function phoneticKey(name) {
+    return normalizeName(name)
+        .split(' ')
+        .map(word => {
+            const folded = word
+                .replace(/([kgcjtdpb])h/g, '$1')
+                .replace(/sh/g, 's')
+                .replace(/ph/g, 'f')
+                .replace(/w/g, 'v')
+                .replace(/(.)\1+/g, '$1');
+            return folded.charAt(0) + folded.slice(1).replace(/[aeiouy]/g, '');
+        })
+        .join(' ');
+}
+
+// Edit distance. With maxDistance, gives up early and returns maxDistance + 1
+// as soon as the distance is known to be larger.
+function levenshtein(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (current[j] < rowMin) rowMin = current[j];
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 0..1 similarity of two already-normalized strings
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+const MATCH_SCORES = { exact: 1, normalized: 0.97, phonetic: 0.9 };
+const DEFAULT_MIN_FUZZY_SCORE = 0.75;
+
+// Build a matcher over `records`, keyed by getName(record). match(name)
+// returns every record sharing the best matching name, with how it matched.
+function createNameMatcher(records, getName, options = {}) {
+    const minScore = options.minScore || DEFAULT_MIN_FUZZY_SCORE;
+    const groups = new Map(); // normalized name -> { name, records }
+
+    records.forEach(record => {
+        const name = getName(record);
+        const normalized = normalizeName(name);
+        if (!normalized) return;
+        if (!groups.has(normalized)) {
+            groups.set(normalized, { name, normalized, phonetic: phoneticKey(name), records: [] });
+        }
+        groups.get(normalized).records.push(record);
+    });
+
+    function match(query) {
+        const normalized = normalizeName(query);
+        if (!normalized) return null;
+
+        const exact = groups.get(normalized);
+        if (exact) {
+            const method = exact.name.trim().toLowerCase() === String(query).trim().toLowerCase() ? 'exact' : 'normalized';
+            return { name: exact.name, records: exact.records, method, score: MATCH_SCORES[method] };
+        }
+
+        const phonetic = phoneticKey(query);
+        let best = null;
+        for (const group of groups.values()) {
+            if (group.phonetic === phonetic) {
+                return { name: group.name, records: group.records, method: 'phonetic', score: MATCH_SCORES.phonetic };
+            }
+            const score = similarity(normalized, group.normalized);
+            if (score >= minScore && (!best || score > best.score)) {
+                best = { name: group.name, records: group.records, method: 'fuzzy', score: parseFloat(score.toFixed(2)) };
+            }
+        }
+        return best;
+    }
+
+    return { match };
+}
+
+module.exports = { normalizeName, phoneticKey, levenshtein, similarity, createNameMatcher };
@@ -0,0 +1,160 @@
+// Neighborhood records as the editing API sees them: ids for URLs, checks of a
+// single record against the dataset schema, and merging a scraped record (the
+// Wikipedia import) into an existing one. A merge only fills what the dataset
+// is missing; where both have a value and they disagree, the existing value is
+// kept and the difference reported as a conflict for an editor to settle.
+
+const { slugify } = require('./admin_hierarchy');
+const { DATASETS, checkRecords, isMissing } = require('./dataset_loader');
+const { haversineDistance } = require('./geo_utils');
+const { phoneticKey } = require('./name_matching');
+const { normalizePincode } = require('./pincode_constituency_index');
+
+// Fields a record is written with; images and primaryImage are derived on load
+const NEIGHBORHOOD_FIELDS = ['placeName', 'placeType', 'country', 'state', 'region', 'district', 'pincode',
+    'lokSabhaConstituency', 'vidhanSabhaConstituency', 'imageUrls', 'latitude', 'longitude'];
+
+// Two sources' coordinates for one place rarely agree exactly; this far apart is a conflict
+const SAME_PLACE_KM = 0.5;
+
+// "begumpet--hyderabad": the id a record without one is given
+function neighborhoodSlug(record) {
+    const district = isMissing(record.district) ? '' : slugify(record.district);
+    return [slugify(record.placeName) || 'unnamed', district].filter(Boolean).join('--');
+}
+
+const hasStoredId = (record) => typeof record.id === 'string' && record.id !== '';
+
+// A record's stored "id", so renaming it keeps its URL. Records without one
+// (new, or from a file written by the scraper) get their slug, with "-2",
+// "-3", ... for repeats in dataset order; assignNeighborhoodIds stores those.
+function neighborhoodIds(records) {
+    const taken = new Set(records.filter(hasStoredId).map(record => record.id));
+    const seen = new Map();
+    const ids = new Set();
+    return records.map(record => {
+        if (hasStoredId(record) && !ids.has(record.id)) {
+            ids.add(record.id);
+            return record.id;
+        }
+        const base = neighborhoodSlug(record);
+        let id;
+        do {
+            const count = (seen.get(base) || 0) + 1;
+            seen.set(base, count);
+            id = count === 1 ? base : `${base}-${count}`;
+        } while (taken.has(id) || ids.has(id));
+        ids.add(id);
+        return id;
+    });
+}
+
+// Store the ids of records that have none (or share one), as the first field.
+// Run on the file's records before and after an edit. → number of ids stored
+function assignNeighborhoodIds(records) {
+    let assigned = 0;
+    neighborhoodIds(records).forEach((id, index) => {
+        if (records[index].id === id) return;
+        const { id: _previous, ...rest } = records[index];
+        records[index] = { id, ...rest };
+        assigned++;
+    });
+    return assigned;
+}
+
+// Fields the records API returns but never stores from a request
+const READ_ONLY_FIELDS = ['id', 'curatedImageUrls'];
+
+// Request body fields that are not neighborhood fields (the read-only ones are handled by the routes)
+const unknownFields = (body) => Object.keys(body).filter(field =>
+    !READ_ONLY_FIELDS.includes(field) && !NEIGHBORHOOD_FIELDS.includes(field));
+
+// One record through the dataset schema → { record (values converted), warnings } or { errors }
+function checkNeighborhood(input) {
+    const record = { ...input };
+    if (Array.isArray(record.imageUrls)) record.imageUrls = record.imageUrls.slice();
+    const { records, report } = checkRecords(DATASETS.NEIGHBORHOODS, [{ record, location: {} }]);
+    if (records.length === 0) {
+        return { errors: report.rejected[0].issues };
+    }
+    return { record: records[0], warnings: report.suspicious.length ? report.suspicious[0].issues : [] };
+}
+
+// Spelling-insensitive form of a name ("Khairtabad" / "Khairatabad", "Hyderabad District" / "HYDERABAD")
+const comparable = (field, value) => (field === 'pincode'
+    ? normalizePincode(value)
+    : phoneticKey(String(value).replace(/\s+(?:district|state)$/i, '')));
+
+const hasCoordinates = (record) => !isMissing(record.latitude) && !isMissing(record.longitude) &&
+    isFinite(Number(record.latitude)) && isFinite(Number(record.longitude));
+
+// Merge `incoming` into `existing`. Missing fields are filled and new image
+// URLs appended; disagreeing fields stay as they are unless named in `accept`
+// ('coordinates' for latitude / longitude).
+// → { record, filled, accepted, conflicts: [{ field, existing, incoming }] }
+function mergeNeighborhood(existing, incoming, accept = []) {
+    const record = { ...existing };
+    const filled = [];
+    const accepted = [];
+    const conflicts = [];
+
+    const settle = (field, existingValue, incomingValue, assign, details = {}) => {
+        if (accept.includes(field)) {
+            assign();
+            accepted.push(field);
+        } else {
+            conflicts.push({ field, existing: existingValue, incoming: incomingValue, ...details });
+        }
+    };
+
+    NEIGHBORHOOD_FIELDS.forEach(field => {
+        if (field === 'latitude' || field === 'longitude' || field === 'imageUrls') return;
+        const value = incoming[field];
+        if (isMissing(value)) return;
+        if (isMissing(existing[field])) {
+            record[field] = value;
+            filled.push(field);
+        } else if (comparable(field, existing[field]) !== comparable(field, value)) {
+            settle(field, existing[field], value, () => { record[field] = value; });
+        }
+    });
+
+    if (hasCoordinates(incoming)) {
+        const take = () => {
+            record.latitude = Number(incoming.latitude);
+            record.longitude = Number(incoming.longitude);
+        };
+        if (!hasCoordinates(existing)) {
+            take();
+            filled.push('coordinates');
+        } else {
+            const distance = haversineDistance(Number(existing.latitude), Number(existing.longitude),
+                Number(incoming.latitude), Number(incoming.longitude));
+            if (distance > SAME_PLACE_KM) {
+                settle('coordinates',
+                    { latitude: existing.latitude, longitude: existing.longitude },
+                    { latitude: incoming.latitude, longitude: incoming.longitude },
+                    take,
+                    { distance_km: parseFloat(distance.toFixed(2)) });
+            }
+        }
+    }
+
+    const images = Array.isArray(existing.imageUrls) ? existing.imageUrls : [];
+    const newImages = (incoming.imageUrls || []).filter(url => !images.includes(url));
+    if (newImages.length) {
+        record.imageUrls = [...images, ...newImages];
+        filled.push('imageUrls');
+    }
+    return { record, filled, accepted, conflicts };
+}
+
+module.exports = {
+    NEIGHBORHOOD_FIELDS,
+    neighborhoodSlug,
+    neighborhoodIds,
+    assignNeighborhoodIds,
+    unknownFields,
+    checkNeighborhood,
+    mergeNeighborhood
+};
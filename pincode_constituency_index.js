@@ -0,0 +1,102 @@
+// Pincode → Assembly / Lok Sabha constituency index.
+// Built from the neighborhoods dataset (its `pincode` field) and from the post
+// office coordinates in the pincode CSV, which are located with the same
+// constituency lookup used by /api/v1/reverse.
+
+const { phoneticKey } = require('./name_matching');
+
+// "500 016", "500-016", 500016 → "500016"; null when not a 6 digit pincode
+function normalizePincode(value) {
+    if (value === undefined || value === null) return null;
+    const digits = String(value).replace(/\D/g, '');
+    return /^[1-9]\d{5}$/.test(digits) ? digits : null;
+}
+
+// Post offices are only matched to constituencies this close to them (km)
+const POST_OFFICE_MATCH_RANGE_KM = 5;
+
+function buildPincodeConstituencyIndex({ neighborhoods, pincodeRecords, getVidhanSabha, getLokSabha, resolveConstituencies }) {
+    const neighborhoodsByPincode = new Map();
+    neighborhoods.forEach(place => {
+        const pincode = normalizePincode(place.pincode);
+        if (!pincode) return;
+        if (!neighborhoodsByPincode.has(pincode)) neighborhoodsByPincode.set(pincode, []);
+        neighborhoodsByPincode.get(pincode).push(place);
+    });
+
+    const officesByPincode = new Map();
+    pincodeRecords.forEach(record => {
+        const pincode = normalizePincode(record.Pincode);
+        if (!pincode) return;
+        if (!officesByPincode.has(pincode)) officesByPincode.set(pincode, []);
+        officesByPincode.get(pincode).push(record);
+    });
+
+    // Post office lookups need a constituency resolve per office, so entries
+    // are computed on first use and kept
+    const cache = new Map();
+
+    // The datasets spell one seat differently ("Khairtabad", "Khairatabad
+    // (Assembly constituency)"), so candidates are merged on the phonetic key
+    function addCandidate(list, name, source) {
+        if (!name) return;
+        const key = phoneticKey(name);
+        if (!key) return;
+        let candidate = list.find(entry => entry.key === key);
+        if (!candidate) {
+            candidate = { key, name, sources: [] };
+            list.push(candidate);
+        }
+        // The neighborhoods dataset repeats some places, count each source once
+        if (!candidate.sources.some(existing => existing.type === source.type && existing.name === source.name)) {
+            candidate.sources.push(source);
+        }
+    }
+
+    function lookup(value) {
+        const pincode = normalizePincode(value);
+        if (!pincode) return null;
+        if (cache.has(pincode)) return cache.get(pincode);
+
+        const assembly = [];
+        const parliamentary = [];
+
+        (neighborhoodsByPincode.get(pincode) || []).forEach(place => {
+            const source = { type: 'neighborhood', name: place.placeName };
+            addCandidate(assembly, getVidhanSabha(place), source);
+            addCandidate(parliamentary, getLokSabha(place), source);
+        });
+
+        (officesByPincode.get(pincode) || []).forEach(record => {
+            if (typeof record.Latitude !== 'number' || typeof record.Longitude !== 'number') return;
+            const located = resolveConstituencies(record.Latitude, record.Longitude, POST_OFFICE_MATCH_RANGE_KM);
+            [[assembly, located.vidhanSabhaConstituency], [parliamentary, located.lokSabhaConstituency]]
+                .forEach(([list, match]) => {
+                    if (!match) return;
+                    addCandidate(list, match.name, {
+                        type: 'post_office',
+                        name: record.OfficeName,
+                        method: match.method,
+                        distance_km: match.method === 'polygon' ? 0 : match.matchDistance
+                    });
+                });
+        });
+
+        const strip = list => list
+            .sort((a, b) => b.sources.length - a.sources.length)
+            .map(({ name, sources }) => ({ name, sources }));
+
+        const entry = {
+            pincode,
+            known: neighborhoodsByPincode.has(pincode) || officesByPincode.has(pincode),
+            assemblyConstituencies: strip(assembly),
+            parliamentaryConstituencies: strip(parliamentary)
+        };
+        cache.set(pincode, entry);
+        return entry;
+    }
+
+    return { lookup };
+}
+
+module.exports = { normalizePincode, buildPincodeConstituencyIndex };
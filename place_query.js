@@ -0,0 +1,254 @@
+// Query options shared by the place listing routes (/neighborhoods/*,
+// /pincode/nearby|within, /places/*):
+//   area    range=  radius around lat/lng (the default, 50 km)
+//           k=      the k nearest to lat/lng (range= caps the distance)
+//           bbox=   minLng,minLat,maxLng,maxLat map viewport
+//           polygon GeoJSON Polygon / MultiPolygon in a POST body
+//   type=   neighborhood and/or pincode
+//   fields= comma-separated projection, dotted paths for nested fields
+//   limit= / cursor=  keyset pagination over the distance ordering
+// Distances are measured from lat/lng, or from the centre of a bbox / polygon
+// when no point is given.
+
+const crypto = require('crypto');
+const { haversineDistance } = require('./geo_utils');
+const { pointInPolygon } = require('./constituency_boundaries');
+
+const DEFAULT_RANGE_KM = 50;
+const MAX_K = 1000;
+const MAX_PAGE_SIZE = 1000;
+const PLACE_TYPES = ['neighborhood', 'pincode'];
+
+const toNumber = (value) => (value === undefined || value === '' ? NaN : Number(value));
+
+// Outer rings' extent of GeoJSON polygon coordinates
+function polygonsBox(polygons) {
+    const box = { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity };
+    polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+        box.minLat = Math.min(box.minLat, lat);
+        box.maxLat = Math.max(box.maxLat, lat);
+        box.minLng = Math.min(box.minLng, lng);
+        box.maxLng = Math.max(box.maxLng, lng);
+    }));
+    return box;
+}
+
+// GeoJSON Polygon / MultiPolygon geometry (or a Feature holding one) → polygons, or an error
+function readPolygon(input) {
+    const geometry = input && input.type === 'Feature' ? input.geometry : input;
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        return { error: "polygon must be a GeoJSON Polygon or MultiPolygon geometry" };
+    }
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const validPosition = position => Array.isArray(position) &&
+        isFinite(position[0]) && isFinite(position[1]) && typeof position[0] === 'number' && typeof position[1] === 'number';
+    const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every(rings =>
+        Array.isArray(rings) && rings.length > 0 &&
+        rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(validPosition)));
+    return valid ? { polygons } : { error: "polygon rings need at least 4 [lng, lat] positions" };
+}
+
+// Point from lat/lng, or the box centre when neither is given
+function referencePoint(query, box) {
+    if (query.lat === undefined && query.lng === undefined && box) {
+        const centre = (min, max) => parseFloat(((min + max) / 2).toFixed(6));
+        return { lat: centre(box.minLat, box.maxLat), lng: centre(box.minLng, box.maxLng) };
+    }
+    const lat = toNumber(query.lat);
+    const lng = toNumber(query.lng);
+    if (isNaN(lat) || isNaN(lng)) return null;
+    return { lat, lng };
+}
+
+// Request → { area } or { error }. `polygon` is the POST body's polygon, if any.
+function parseArea(query, polygon) {
+    if (polygon !== undefined) {
+        const parsed = readPolygon(polygon);
+        if (parsed.error) return parsed;
+        const box = polygonsBox(parsed.polygons);
+        const point = referencePoint(query, box);
+        if (!point) return { error: "lat and lng must be valid numbers" };
+        return { area: { mode: 'polygon', ...point, box, polygons: parsed.polygons } };
+    }
+
+    if (query.bbox !== undefined) {
+        const [minLng, minLat, maxLng, maxLat] = String(query.bbox).split(',').map(toNumber);
+        if ([minLng, minLat, maxLng, maxLat].some(isNaN) || minLng > maxLng || minLat > maxLat) {
+            return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+        }
+        const box = { minLat, minLng, maxLat, maxLng };
+        const point = referencePoint(query, box);
+        if (!point) return { error: "lat and lng must be valid numbers" };
+        return { area: { mode: 'bbox', ...point, box } };
+    }
+
+    if (!query.lat || !query.lng) {
+        return { error: "lat and lng query parameters are required" };
+    }
+    const point = referencePoint(query, null);
+    const radiusKm = query.range === undefined || query.range === '' ? null : parseFloat(query.range);
+    if (!point || (radiusKm !== null && isNaN(radiusKm))) {
+        return { error: "lat, lng, and range must be valid numbers" };
+    }
+
+    if (query.k !== undefined) {
+        const k = Number(query.k);
+        if (!Number.isInteger(k) || k < 1 || k > MAX_K) {
+            return { error: `k must be a whole number between 1 and ${MAX_K}` };
+        }
+        return { area: { mode: 'k', ...point, k, radiusKm } };
+    }
+    return { area: { mode: 'radius', ...point, radiusKm: radiusKm === null ? DEFAULT_RANGE_KM : radiusKm } };
+}
+
+// Routes round distance_km to 2 decimals before the range check, so radius
+// searches look a little past the range and drop what rounds outside it
+const RANGE_ROUNDING_SLACK_KM = 0.01;
+const roundedKm = (distance) => parseFloat(distance.toFixed(2));
+
+// Spatial index matches for the area: [{ record, index, distance }], nearest first
+function findInArea(spatialIndex, area) {
+    let matches;
+    if (area.mode === 'radius') {
+        matches = spatialIndex.within(area.lat, area.lng, area.radiusKm + RANGE_ROUNDING_SLACK_KM)
+            .filter(match => roundedKm(match.distance) <= area.radiusKm);
+    } else if (area.mode === 'k') {
+        matches = spatialIndex.nearestK(area.lat, area.lng, area.k,
+            area.radiusKm === null ? Infinity : area.radiusKm + RANGE_ROUNDING_SLACK_KM)
+            .filter(match => area.radiusKm === null || roundedKm(match.distance) <= area.radiusKm);
+    } else {
+        const { minLat, minLng, maxLat, maxLng } = area.box;
+        matches = spatialIndex.withinBox(minLat, minLng, maxLat, maxLng)
+            .filter(entry => area.mode === 'bbox' ||
+                area.polygons.some(rings => pointInPolygon(entry.lng, entry.lat, rings)))
+            .map(entry => ({
+                record: entry.record,
+                index: entry.index,
+                distance: haversineDistance(area.lat, area.lng, entry.lat, entry.lng)
+            }));
+    }
+    return matches.sort((a, b) => a.distance - b.distance || a.index - b.index);
+}
+
+// Echo of the area for the response's `input`
+function describeArea(area) {
+    switch (area.mode) {
+        case 'radius': return { lat: area.lat, lng: area.lng, range: area.radiusKm };
+        case 'k': return { lat: area.lat, lng: area.lng, k: area.k, range: area.radiusKm };
+        case 'bbox': return { bbox: [area.box.minLng, area.box.minLat, area.box.maxLng, area.box.maxLat], lat: area.lat, lng: area.lng };
+        default: return {
+            polygon: { polygons: area.polygons.length, bbox: [area.box.minLng, area.box.minLat, area.box.maxLng, area.box.maxLat] },
+            lat: area.lat,
+            lng: area.lng
+        };
+    }
+}
+
+// The area as location_formats draws it
+function searchAreaOf(area) {
+    if (area.mode === 'radius') return { lat: area.lat, lng: area.lng, radiusKm: area.radiusKm };
+    if (area.mode === 'k') return null;
+    if (area.mode === 'polygon') return { lat: area.lat, lng: area.lng, polygons: area.polygons };
+    const { minLat, minLng, maxLat, maxLng } = area.box;
+    return {
+        lat: area.lat,
+        lng: area.lng,
+        polygons: [[[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]]
+    };
+}
+
+// type, fields, limit and cursor → { types, fields, limit, cursor } or { error }.
+// allowedTypes: the types the route lists.
+function parseListOptions(query, allowedTypes = PLACE_TYPES) {
+    let types = allowedTypes;
+    if (query.type) {
+        types = String(query.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+        const unknown = types.find(type => !allowedTypes.includes(type));
+        if (unknown) return { error: `type must be one of: ${allowedTypes.join(', ')}` };
+    }
+
+    const fields = query.fields ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean) : null;
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+    return { types, fields, limit, cursor: query.cursor || null };
+}
+
+// Cursors are tied to the query they came from, so reusing one with another
+// area or type filter is refused instead of silently skipping results
+function queryFingerprint(area, types) {
+    return crypto.createHash('sha1').update(JSON.stringify([area, types])).digest('base64url').slice(0, 12);
+}
+
+const compareKeys = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+// entries: [{ key: [distance, layerRank, datasetIndex], ... }] in any order →
+// { entries (this page, ordered), nextCursor, total } or { error } for a bad cursor.
+// Without limit or cursor everything is returned, as before paging existed.
+function paginate(entries, { area, types, limit, cursor }) {
+    const ordered = entries.slice().sort((a, b) => compareKeys(a.key, b.key));
+    const fingerprint = queryFingerprint(area, types);
+
+    let start = 0;
+    if (cursor) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+        if (!decoded || !Array.isArray(decoded.after) || decoded.after.length !== 3) {
+            return { error: "cursor is not valid" };
+        }
+        if (decoded.query !== fingerprint) {
+            return { error: "cursor belongs to a different query" };
+        }
+        start = ordered.findIndex(entry => compareKeys(entry.key, decoded.after) > 0);
+        if (start === -1) start = ordered.length;
+    }
+
+    const end = limit === null ? ordered.length : Math.min(ordered.length, start + limit);
+    const page = ordered.slice(start, end);
+    const nextCursor = end < ordered.length
+        ? Buffer.from(JSON.stringify({ after: page[page.length - 1].key, query: fingerprint })).toString('base64url')
+        : null;
+    return { entries: page, nextCursor, total: ordered.length };
+}
+
+// Keep only `fields` (dotted paths reach into nested objects)
+function projectFields(record, fields) {
+    if (!fields) return record;
+    const projected = {};
+    fields.forEach(path => {
+        const parts = path.split('.');
+        let value = record;
+        for (const part of parts) {
+            if (value === null || typeof value !== 'object' || !(part in value)) return;
+            value = value[part];
+        }
+        let target = projected;
+        parts.slice(0, -1).forEach(part => {
+            if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+            target = target[part];
+        });
+        target[parts[parts.length - 1]] = value;
+    });
+    return projected;
+}
+
+module.exports = {
+    DEFAULT_RANGE_KM,
+    PLACE_TYPES,
+    parseArea,
+    findInArea,
+    describeArea,
+    searchAreaOf,
+    parseListOptions,
+    paginate,
+    projectFields
+};
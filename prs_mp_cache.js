@@ -0,0 +1,84 @@
+// Local cache of MP records parsed from PRS MP Track pages, keyed by pincode,
+// so /api/mp/:pincode answers without network once a pincode has been fetched.
+// Written the same way as data.json: temp file, then rename.
+//
+// Seed or refresh an entry from saved profile pages, without network:
+//   node prs_mp_cache.js <pincode> saved_profile.html [more.html ...]
+
+const fs = require('fs');
+const path = require('path');
+const { normalizePincode } = require('./pincode_constituency_index');
+
+function createPrsMpCache(filePath) {
+    let entries = null; // pincode -> { pincode, fetched_at, source, profile_urls, mps }
+    let loadedMtime = null;
+
+    // Re-read when the file changed on disk (e.g. seeded by the command below)
+    function read() {
+        const mtime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+        if (entries && mtime === loadedMtime) return entries;
+        entries = new Map();
+        loadedMtime = mtime;
+        if (mtime === null) return entries;
+        try {
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            Object.values(parsed.pincodes || {}).forEach(entry => entries.set(entry.pincode, entry));
+        } catch (error) {
+            // It is only a cache: start over rather than fail every lookup
+            console.error("❌ Error reading PRS MP cache, starting empty:", error.message);
+        }
+        return entries;
+    }
+
+    function write() {
+        const pincodes = {};
+        Array.from(entries.keys()).sort().forEach(pincode => {
+            pincodes[pincode] = entries.get(pincode);
+        });
+        const tempPath = `${filePath}.tmp-${process.pid}`;
+        fs.writeFileSync(tempPath, JSON.stringify({ pincodes }, null, 2), 'utf8');
+        fs.renameSync(tempPath, filePath);
+        loadedMtime = fs.statSync(filePath).mtimeMs;
+    }
+
+    function get(pincode) {
+        return read().get(normalizePincode(pincode)) || null;
+    }
+
+    // Store (or replace) the MPs for a pincode and persist the cache
+    function set(pincode, { mps, source, profileUrls = [] }) {
+        const entry = {
+            pincode: normalizePincode(pincode),
+            fetched_at: new Date().toISOString(),
+            source,
+            profile_urls: profileUrls,
+            mps
+        };
+        read().set(entry.pincode, entry);
+        write();
+        return entry;
+    }
+
+    function list() {
+        return Array.from(read().values()).map(({ pincode, fetched_at, source, mps }) => ({
+            pincode, fetched_at, source, mp_count: mps.length
+        }));
+    }
+
+    return { get, set, list };
+}
+
+module.exports = { createPrsMpCache };
+
+if (require.main === module) {
+    const { parseMpProfilePage } = require('./prs_mp_parser');
+    const [pincode, ...files] = process.argv.slice(2);
+    if (!normalizePincode(pincode) || files.length === 0) {
+        console.error('usage: node prs_mp_cache.js <pincode> <saved profile.html> [...]');
+        process.exit(1);
+    }
+    const cache = createPrsMpCache(path.join(__dirname, 'prs_mp_cache.json'));
+    const mps = files.map(file => parseMpProfilePage(fs.readFileSync(file, 'utf8')));
+    cache.set(pincode, { mps, source: 'saved_pages' });
+    console.log(`✅ Cached ${mps.length} MP record(s) for pincode ${normalizePincode(pincode)}`);
+}
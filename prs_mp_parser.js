@@ -0,0 +1,204 @@
+// HTML → JSON extraction for PRS Legislative Research "MP Track" pages
+// (prsindia.org/mptrack): the search results page and the MP profile page.
+// Fields are found by their visible labels ("Constituency", "Attendance", ...)
+// rather than by CSS classes, so dt/dd lists, table rows and "Label: value"
+// blocks all parse, and a site restyle does not silently empty every field.
+// Records use the column names of lok_sabha_data/18-LS-MP-Track.csv.
+//
+// Run directly to check the parser against saved pages:
+//   node prs_mp_parser.js saved_profile.html [more.html ...]
+//   node prs_mp_parser.js --search saved_search_results.html
+// Pages in test/fixtures/prs are checked field by field by `npm test`.
+
+const cheerio = require('cheerio');
+const { METRICS } = require('./mp_analytics');
+
+const PRS_BASE_URL = 'https://prsindia.org';
+
+// Columns of the Lok Sabha track CSV, in file order
+const MP_TRACK_COLUMNS = [
+    'mp_election_index', 'mp_name', 'nature_membership', 'term_start_date', 'term_end_date', 'term',
+    'pc_name', 'state', 'mp_political_party', 'mp_gender', 'educational_qualification',
+    'educational_qualification_details', 'mp_age', 'debates', 'private_member_bills', 'questions',
+    'attendance', 'mp_note', 'national_average_debate', 'national_average_pmb', 'national_average_questions',
+    'attendance_national_average', 'state_average_debate', 'state_average_pmb', 'state_average_questions',
+    'attendance_state_average', 'mp_house'
+];
+
+// Page labels (lower case, without the trailing colon) → CSV column
+const PROFILE_LABELS = {
+    'constituency': 'pc_name',
+    'state': 'state',
+    'party': 'mp_political_party',
+    'political party': 'mp_political_party',
+    'gender': 'mp_gender',
+    'age': 'mp_age',
+    'education': 'educational_qualification',
+    'educational qualification': 'educational_qualification',
+    'educational qualification details': 'educational_qualification_details',
+    'term': 'term',
+    'nature of membership': 'nature_membership',
+    'start of term': 'term_start_date',
+    'term start date': 'term_start_date',
+    'end of term': 'term_end_date',
+    'term end date': 'term_end_date'
+};
+
+// Metric labels on the page → METRICS key
+const METRIC_LABELS = {
+    'attendance': 'attendance',
+    'debates': 'debates',
+    'debates participated': 'debates',
+    'questions': 'questions',
+    'questions asked': 'questions',
+    'private member bills': 'private_member_bills',
+    'private member bills introduced': 'private_member_bills'
+};
+
+const cleanText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+const labelKey = (text) => cleanText(text).replace(/\s*:$/, '').toLowerCase();
+
+// "92.5%" → 0.925 (the CSV stores attendance as a fraction); "41" → 41; otherwise ''
+function metricNumber(text, isPercentage) {
+    const match = cleanText(text).match(/-?\d+(?:\.\d+)?\s*%?/);
+    if (!match) return '';
+    const number = parseFloat(match[0]);
+    if (isPercentage || match[0].includes('%')) {
+        return String(parseFloat((number > 1 || match[0].includes('%') ? number / 100 : number).toFixed(9)));
+    }
+    return String(number);
+}
+
+// Value next to a label element: its next sibling, or the rest of its parent's text
+function valueAfterLabel($, { element, inlineValue }) {
+    if (inlineValue) return inlineValue;
+    const label = cleanText($(element).text());
+    const next = $(element).next();
+    if (next.length && cleanText(next.text())) return cleanText(next.text());
+    const parentText = cleanText($(element).parent().text());
+    return cleanText(parentText.startsWith(label) ? parentText.slice(label.length) : '').replace(/^:\s*/, '');
+}
+
+// Elements whose text is one of `labels`, or "Label: value" in one element
+function findLabels($, labels) {
+    const found = [];
+    const isLabel = key => Object.prototype.hasOwnProperty.call(labels, key);
+    $('body *').each((_, element) => {
+        if ($(element).children().length > 1) return;
+        const text = cleanText($(element).text());
+        const key = labelKey(text);
+        if (isLabel(key)) {
+            found.push({ element, key });
+            return;
+        }
+        const inline = $(element).children().length === 0 && text.match(/^([^:]{2,40}):\s*(.+)$/);
+        if (inline && isLabel(labelKey(inline[1]))) {
+            found.push({ element, key: labelKey(inline[1]), inlineValue: inline[2] });
+        }
+    });
+    return found;
+}
+
+// "National Average: 13.5" / "State Average 9.2" inside the metric's block
+function averageNear($, element, kind, isPercentage) {
+    const pattern = new RegExp(`${kind}\\s+average\\s*:?\\s*(-?\\d+(?:\\.\\d+)?\\s*%?)`, 'i');
+    let block = $(element).parent();
+    for (let depth = 0; depth < 3 && block.length; depth++, block = block.parent()) {
+        const match = cleanText(block.text()).match(pattern);
+        if (match) return metricNumber(match[1], isPercentage);
+    }
+    return '';
+}
+
+// Record with exactly the track CSV columns, '' for anything not given
+function toTrackRecord(fields = {}) {
+    const record = {};
+    MP_TRACK_COLUMNS.forEach(column => {
+        record[column] = fields[column] === undefined || fields[column] === null ? '' : String(fields[column]);
+    });
+    return record;
+}
+
+// One MP profile page → a record with the track CSV columns ('' where absent)
+function parseMpProfilePage(html, { profileUrl = null } = {}) {
+    const $ = cheerio.load(html);
+    const record = toTrackRecord();
+
+    record.mp_name = cleanText($('h1').first().text()) || cleanText($('title').text()).split('|')[0].trim();
+    record.mp_house = 'Lok Sabha';
+
+    findLabels($, PROFILE_LABELS).forEach(label => {
+        const column = PROFILE_LABELS[label.key];
+        if (!record[column]) record[column] = valueAfterLabel($, label);
+    });
+
+    findLabels($, METRIC_LABELS).forEach(label => {
+        const { element, key } = label;
+        const metric = METRIC_LABELS[key];
+        const columns = METRICS[metric];
+        const isPercentage = metric === 'attendance';
+        if (!record[columns.field]) record[columns.field] = metricNumber(valueAfterLabel($, label), isPercentage);
+        if (!record[columns.national]) record[columns.national] = averageNear($, element, 'national', isPercentage);
+        if (!record[columns.state]) record[columns.state] = averageNear($, element, 'state', isPercentage);
+    });
+
+    // Ministers, the Speaker and the LoP have an explanatory note instead of metrics
+    const note = $('p, div').filter((_, element) =>
+        $(element).children().length === 0 &&
+        /does not sign the attendance|do not sign the attendance|we do not report/i.test($(element).text())
+    ).first();
+    record.mp_note = cleanText(note.text());
+
+    if (profileUrl) {
+        // The index in the CSV ("180006") is the trailing number of the profile URL when present
+        const match = profileUrl.match(/-(\d{5,})\/?$/);
+        if (match) record.mp_election_index = match[1];
+    }
+    return record;
+}
+
+// Search results page → [{ mp_name, pc_name, state, mp_political_party, profile_url }]
+function parseMpSearchPage(html, baseUrl = PRS_BASE_URL) {
+    const $ = cheerio.load(html);
+    const results = [];
+    const seen = new Set();
+
+    $('a[href*="/mptrack/"]').each((_, anchor) => {
+        const href = $(anchor).attr('href');
+        // Profile links look like /mptrack/18th-lok-sabha/<mp-slug>
+        if (!/\/mptrack\/[^/]*lok-sabha\/[^/?#]+/i.test(href)) return;
+        const profileUrl = new URL(href, baseUrl).toString();
+        const name = cleanText($(anchor).text());
+        if (!name || seen.has(profileUrl)) return;
+        seen.add(profileUrl);
+
+        // Constituency, state and party are listed in the same result card when shown
+        const card = $(anchor).closest('tr, li, article, .views-row, div');
+        const result = { mp_name: name, pc_name: '', state: '', mp_political_party: '', profile_url: profileUrl };
+        const $card = cheerio.load(card.html() || '');
+        findLabels($card, PROFILE_LABELS).forEach(label => {
+            const column = PROFILE_LABELS[label.key];
+            if (column in result && !result[column]) result[column] = valueAfterLabel($card, label);
+        });
+        results.push(result);
+    });
+    return results;
+}
+
+module.exports = { PRS_BASE_URL, MP_TRACK_COLUMNS, toTrackRecord, parseMpProfilePage, parseMpSearchPage };
+
+if (require.main === module) {
+    const fs = require('fs');
+    const args = process.argv.slice(2);
+    const searchPages = args.includes('--search');
+    const files = args.filter(arg => arg !== '--search');
+    if (files.length === 0) {
+        console.error('usage: node prs_mp_parser.js [--search] <saved page.html> [...]');
+        process.exit(1);
+    }
+    files.forEach(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        const parsed = searchPages ? { results: parseMpSearchPage(html) } : { record: parseMpProfilePage(html) };
+        console.log(JSON.stringify({ file, ...parsed }, null, 2));
+    });
+}
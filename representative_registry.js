@@ -0,0 +1,106 @@
+// Registry of elected representatives across states and terms.
+// Every CSV in a directory is one slice of the data (one state assembly term,
+// or one Lok Sabha). Rows carry their state, term and the dates the member
+// held the seat, so the registry can answer "who held this seat on date X"
+// as well as "who holds it now".
+
+const { normalizeName } = require('./name_matching');
+
+// "2023-12-03" and "09-06-2024" (day first) → Date at UTC midnight;
+// "In office", blank or unparseable → null
+function parseTermDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return validDate(match[1], match[2], match[3]);
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (match) return validDate(match[3], match[2], match[1]);
+    return null;
+}
+
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    // Rejects 2024-02-31 and the like, which Date would roll over
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day) ? date : null;
+}
+
+const isInOffice = (value) => /^in office$/i.test(String(value || '').trim());
+
+// "3" → 3; blank or not a number → null
+function termNumber(value) {
+    const term = parseInt(value);
+    return isNaN(term) ? null : term;
+}
+
+// accessors: { getState, getTerm, getConstituency, getStart, getEnd }, each (record, location) → value.
+// Rows without a term are rejected when the dataset loads (see dataset_loader);
+// one that gets here anyway is only found by date, and counted in `untermed`.
+function createRepresentativeRegistry(records, locations, accessors) {
+    const entries = records.map((record, index) => {
+        const location = locations[index] || {};
+        const term = termNumber(accessors.getTerm(record, location));
+        const endValue = accessors.getEnd(record, location);
+        return {
+            record,
+            state: accessors.getState(record, location) || '',
+            stateKey: normalizeName(accessors.getState(record, location)),
+            term,
+            constituencyKey: normalizeName(accessors.getConstituency(record, location)),
+            start: parseTermDate(accessors.getStart(record, location)),
+            end: parseTermDate(endValue),
+            inOffice: isInOffice(endValue)
+        };
+    });
+
+    // Latest term loaded per state; the "current" members come from it
+    const latestTermByState = new Map();
+    entries.forEach(entry => {
+        if (entry.term === null) return;
+        const latest = latestTermByState.get(entry.stateKey);
+        if (latest === undefined || entry.term > latest) latestTermByState.set(entry.stateKey, entry.term);
+    });
+
+    // Held the seat on `date`: started on or before it and had not left before it
+    const heldOn = (entry, date) =>
+        entry.start !== null && entry.start <= date &&
+        (entry.inOffice || entry.end === null || entry.end >= date);
+
+    // Records matching every given filter. Without a term or date, only the
+    // latest term of each state is searched.
+    // filters: { state, term (number), date (Date), constituency }
+    function find(filters = {}) {
+        const stateKey = filters.state ? normalizeName(filters.state) : null;
+        const constituencyKey = filters.constituency ? normalizeName(filters.constituency) : null;
+        const current = filters.term === undefined && filters.date === undefined;
+
+        return entries.filter(entry =>
+            (!stateKey || entry.stateKey === stateKey) &&
+            (!constituencyKey || entry.constituencyKey === constituencyKey) &&
+            (filters.term === undefined || entry.term === filters.term) &&
+            (filters.date === undefined || heldOn(entry, filters.date)) &&
+            (!current || entry.term === latestTermByState.get(entry.stateKey))
+        ).map(entry => entry.record);
+    }
+
+    // States with the terms loaded for each
+    function coverage() {
+        const states = new Map();
+        entries.forEach(entry => {
+            if (!states.has(entry.stateKey)) states.set(entry.stateKey, { state: entry.state, terms: new Set(), members: 0 });
+            const state = states.get(entry.stateKey);
+            if (entry.term !== null) state.terms.add(entry.term);
+            state.members++;
+        });
+        return Array.from(states.values())
+            .map(({ state, terms, members }) => ({ state, terms: Array.from(terms).sort((a, b) => a - b), members }))
+            .sort((a, b) => a.state.localeCompare(b.state));
+    }
+
+    return {
+        find,
+        coverage,
+        get size() { return entries.length; },
+        get untermed() { return entries.filter(entry => entry.term === null).length; }
+    };
+}
+
+module.exports = { parseTermDate, createRepresentativeRegistry };
@@ -0,0 +1,244 @@
+// Full-text search over phrase items and place names.
+// An inverted index maps every token to the documents and fields it appears
+// in. Query tokens match index tokens exactly, by prefix (search-as-you-type)
+// or within a small edit distance (typos and transliteration variants such as
+// "vanakam" / "vanagam"). Tokenizing keeps Unicode letters and combining marks,
+// so Telugu, Tamil, Devanagari etc. text is searchable as typed.
+
+const { levenshtein } = require('./name_matching');
+
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Score multipliers per kind of token match
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.6 };
+const MIN_PREFIX_LENGTH = 2;
+
+function normalizeToken(token) {
+    return token
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .toLowerCase();
+}
+
+// Tokens of a text with their offsets in the original string
+function tokenizeWithOffsets(text) {
+    const tokens = [];
+    const source = String(text || '');
+    for (const match of source.matchAll(TOKEN_PATTERN)) {
+        tokens.push({ token: normalizeToken(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function tokenize(text) {
+    return tokenizeWithOffsets(text).map(entry => entry.token);
+}
+
+// Typos allowed for a query token of this length
+function maxEditsFor(token) {
+    const length = Array.from(token).length;
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Field text with the matched tokens wrapped in <mark>
+function highlight(text, matchedTokens) {
+    const source = String(text || '');
+    let result = '';
+    let last = 0;
+    tokenizeWithOffsets(source).forEach(({ token, start, end }) => {
+        if (!matchedTokens.has(token)) return;
+        result += escapeHtml(source.slice(last, start)) + '<mark>' + escapeHtml(source.slice(start, end)) + '</mark>';
+        last = end;
+    });
+    return result + escapeHtml(source.slice(last));
+}
+
+function createSearchIndex() {
+    const documents = new Map(); // id -> { id, type, fields, boosts, payload, tokens }
+    const postings = new Map(); // token -> Map(docId -> Set(field))
+    let sortedVocabulary = null; // lazily rebuilt for prefix lookups
+    let vocabularyByLength = null; // lazily rebuilt for fuzzy lookups
+    let nextSeq = 0;
+
+    function invalidateVocabulary() {
+        sortedVocabulary = null;
+        vocabularyByLength = null;
+    }
+
+    // doc: { id, type, fields: { fieldName: text }, boosts: { fieldName: n }, payload }
+    function add(doc) {
+        if (documents.has(doc.id)) remove(doc.id);
+        const tokens = new Set();
+        Object.entries(doc.fields).forEach(([field, text]) => {
+            tokenize(text).forEach(token => {
+                tokens.add(token);
+                if (!postings.has(token)) {
+                    postings.set(token, new Map());
+                    invalidateVocabulary();
+                }
+                const docs = postings.get(token);
+                if (!docs.has(doc.id)) docs.set(doc.id, new Set());
+                docs.get(doc.id).add(field);
+            });
+        });
+        documents.set(doc.id, { ...doc, boosts: doc.boosts || {}, tokens, seq: nextSeq++ });
+    }
+
+    function remove(id) {
+        const doc = documents.get(id);
+        if (!doc) return;
+        doc.tokens.forEach(token => {
+            const docs = postings.get(token);
+            if (!docs) return;
+            docs.delete(id);
+            if (docs.size === 0) {
+                postings.delete(token);
+                invalidateVocabulary();
+            }
+        });
+        documents.delete(id);
+    }
+
+    function prefixTerms(token) {
+        if (!sortedVocabulary) sortedVocabulary = Array.from(postings.keys()).sort();
+        // Binary search for the first term >= token, then walk while it still matches
+        let low = 0;
+        let high = sortedVocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sortedVocabulary[mid] < token) low = mid + 1; else high = mid;
+        }
+        const terms = [];
+        for (let i = low; i < sortedVocabulary.length && sortedVocabulary[i].startsWith(token); i++) {
+            terms.push(sortedVocabulary[i]);
+        }
+        return terms;
+    }
+
+    function fuzzyTerms(token, maxEdits) {
+        if (!vocabularyByLength) {
+            vocabularyByLength = new Map();
+            postings.forEach((_, term) => {
+                const length = Array.from(term).length;
+                if (!vocabularyByLength.has(length)) vocabularyByLength.set(length, []);
+                vocabularyByLength.get(length).push(term);
+            });
+        }
+        const chars = Array.from(token);
+        const terms = [];
+        for (let length = chars.length - maxEdits; length <= chars.length + maxEdits; length++) {
+            (vocabularyByLength.get(length) || []).forEach(term => {
+                const distance = levenshtein(chars, Array.from(term), maxEdits);
+                if (distance > 0 && distance <= maxEdits) terms.push({ term, distance });
+            });
+        }
+        return terms;
+    }
+
+    // Index terms a query token can stand for, with their match weight
+    function expandToken(token, fuzzy) {
+        const candidates = new Map();
+        const consider = (term, weight) => {
+            if (!candidates.has(term) || candidates.get(term) < weight) candidates.set(term, weight);
+        };
+        if (postings.has(token)) consider(token, MATCH_WEIGHTS.exact);
+        if (Array.from(token).length >= MIN_PREFIX_LENGTH) {
+            // Shorter completions first: "hel" is more likely "hello" than "helutidene"
+            prefixTerms(token).forEach(term => {
+                if (term !== token) consider(term, MATCH_WEIGHTS.prefix * token.length / term.length);
+            });
+        }
+        const maxEdits = fuzzy ? maxEditsFor(token) : 0;
+        if (maxEdits > 0) {
+            fuzzyTerms(token, maxEdits).forEach(({ term, distance }) => {
+                consider(term, MATCH_WEIGHTS.fuzzy / distance);
+            });
+        }
+        return candidates;
+    }
+
+    // Documents matching every query token, best first.
+    // options: { types: [...], limit, fuzzy (default true) }
+    function search(query, options = {}) {
+        const queryTokens = [...new Set(tokenize(query))];
+        if (queryTokens.length === 0) return [];
+        const types = options.types && options.types.length ? new Set(options.types) : null;
+        const fuzzy = options.fuzzy !== false;
+        const total = documents.size;
+
+        let hits = null; // docId -> { score, matchedTokens: Set, fields: Set }
+        for (const queryToken of queryTokens) {
+            const tokenHits = new Map();
+            expandToken(queryToken, fuzzy).forEach((weight, term) => {
+                const docs = postings.get(term);
+                // Damped idf (1..2) so a close match on a common word still
+                // outranks a distant match on a rare one
+                const idf = 1 + Math.log(total / docs.size) / Math.log(total + 1);
+                docs.forEach((fields, docId) => {
+                    const doc = documents.get(docId);
+                    if (types && !types.has(doc.type)) return;
+                    const boost = Math.max(...Array.from(fields, field => doc.boosts[field] || 1));
+                    const score = weight * idf * boost;
+                    const hit = tokenHits.get(docId);
+                    if (!hit) {
+                        tokenHits.set(docId, { score, terms: new Set([term]), fields: new Set(fields) });
+                    } else {
+                        hit.score = Math.max(hit.score, score);
+                        hit.terms.add(term);
+                        fields.forEach(field => hit.fields.add(field));
+                    }
+                });
+            });
+
+            if (hits === null) {
+                hits = new Map();
+                tokenHits.forEach((hit, docId) => hits.set(docId, { score: hit.score, matchedTokens: hit.terms, fields: hit.fields }));
+            } else {
+                // Every query token has to match (AND)
+                hits.forEach((hit, docId) => {
+                    const tokenHit = tokenHits.get(docId);
+                    if (!tokenHit) {
+                        hits.delete(docId);
+                        return;
+                    }
+                    hit.score += tokenHit.score;
+                    tokenHit.terms.forEach(term => hit.matchedTokens.add(term));
+                    tokenHit.fields.forEach(field => hit.fields.add(field));
+                });
+            }
+            if (hits.size === 0) return [];
+        }
+
+        const results = Array.from(hits, ([docId, hit]) => {
+            const doc = documents.get(docId);
+            const highlights = {};
+            hit.fields.forEach(field => {
+                highlights[field] = highlight(doc.fields[field], hit.matchedTokens);
+            });
+            return {
+                id: doc.id,
+                type: doc.type,
+                score: parseFloat(hit.score.toFixed(3)),
+                seq: doc.seq,
+                matched_terms: Array.from(hit.matchedTokens),
+                highlights,
+                payload: doc.payload
+            };
+        });
+        // Equal scores keep the order documents were added in
+        results.sort((a, b) => b.score - a.score || a.seq - b.seq);
+        const ranked = results.map(({ seq, ...result }) => result);
+        return options.limit ? ranked.slice(0, options.limit) : ranked;
+    }
+
+    return { add, remove, search, get size() { return documents.size; } };
+}
+
+module.exports = { tokenize, createSearchIndex };
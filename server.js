@@ -1,9 +1,36 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
-const csv = require('csv-parser');
 const path = require('path');
-const cheerio = require('cheerio');
+const { haversineDistance } = require('./geo_utils');
+const { buildSpatialIndex } = require('./spatial_index');
+const { loadBoundaries } = require('./constituency_boundaries');
+const { normalizeName, phoneticKey, createNameMatcher } = require('./name_matching');
+const { normalizePincode, buildPincodeConstituencyIndex } = require('./pincode_constituency_index');
+const { createItemStore } = require('./item_store');
+const { createAdminGuard } = require('./admin_auth');
+const { LEGACY_LINE_ORDER, generateItemId, toTranslations, migrateItems } = require('./item_migrations');
+const { itemMedia, groupClipsByVideo } = require('./item_media');
+const { compareIds, createCategoryTaxonomy, readCategory, nextCategoryId, seedCategories, loadCategories, saveCategories } = require('./category_taxonomy');
+const { createLanguageRegistry, loadLanguageRegistry } = require('./language_registry');
+const { createSearchIndex } = require('./search_index');
+const { createAutocompleteIndex } = require('./autocomplete_index');
+const { DATASETS, lokSabhaOf, checkRecords, loadDataset, loadDatasetDirectory, summarizeReport } = require('./dataset_loader');
+const { parseTermDate, createRepresentativeRegistry } = require('./representative_registry');
+const { PRS_BASE_URL, toTrackRecord, parseMpProfilePage, parseMpSearchPage } = require('./prs_mp_parser');
+const { createPrsMpCache } = require('./prs_mp_cache');
+const { curatePlaceImages } = require('./image_curation');
+const { FORMATS: LOCATION_FORMATS, serializeLocations } = require('./location_formats');
+const { PLACE_TYPES, parseArea, findInArea, describeArea, searchAreaOf, parseListOptions, paginate, projectFields } = require('./place_query');
+const { METRICS: MP_METRICS, GROUP_BY: MP_GROUP_BY, createMpAnalytics } = require('./mp_analytics');
+const { parseGpx, parseJsonPoints, cleanTrace, analyzeTrace } = require('./trace_analysis');
+const { createGeofenceSessions } = require('./geofence_sessions');
+const { runBatch, findColumn, streamCsvBatch } = require('./batch_lookup');
+const { buildHierarchy } = require('./admin_hierarchy');
+const { createDatasetImports } = require('./dataset_imports');
+const { NEIGHBORHOOD_FIELDS, neighborhoodSlug, neighborhoodIds, assignNeighborhoodIds, unknownFields, checkNeighborhood, mergeNeighborhood } = require('./neighborhood_records');
+const { parseWikipediaPlacePage } = require('./wikipedia_place_parser');
+const { ISSUE_SEVERITY, checkConsistency, formatConsistencyReport } = require('./dataset_consistency');
 
 
 
@@ -12,131 +39,569 @@ const cheerio = require('cheerio');
 const app = express();
 const PORT = 5001; // Changed from 5000 to 5001
 
-const { loadMlaData, mlaData } = require('./load_mla_data');
-
-const csvFilePath = path.join(__dirname, 'telangana_assembly_term_3.csv');
-
-loadMlaData(csvFilePath).then(() => {
-  // Now mlaData array is ready to use in API responses
-  console.log('MLA data ready to use');
-}).catch((err) => {
-  console.error('Error loading MLA data:', err);
-});
-
 // Middleware
 app.use(cors());
+// Recorded traces run to a few MB, and GPX is posted as raw XML
+const TRACE_BODY_LIMIT = '10mb';
+app.use('/api/v1/trace',
+    express.json({ limit: TRACE_BODY_LIMIT }),
+    express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml', 'text/plain'], limit: TRACE_BODY_LIMIT }));
+// Batch lookups post up to 10,000 items as JSON; CSV uploads are streamed by the route
+app.use('/api/v1/batch', express.json({ limit: '5mb' }));
+// Admin dataset uploads are whole files: JSON, or CSV as text
+const DATASET_UPLOAD_LIMIT = '100mb';
+app.use('/api/v1/admin/datasets',
+    express.json({ limit: DATASET_UPLOAD_LIMIT }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: DATASET_UPLOAD_LIMIT }));
+// Saved Wikipedia articles run to a few hundred KB, posted as HTML or inside JSON
+app.use('/api/v1/neighborhoods/records',
+    express.json({ limit: '5mb' }),
+    express.text({ type: ['text/html'], limit: '5mb' }));
 app.use(express.json());
 
+// Routes that change data, and the /admin reports, need "Authorization: Bearer
+// <ADMIN_TOKEN>"; with no ADMIN_TOKEN set they are switched off
+const requireAdmin = createAdminGuard(process.env.ADMIN_TOKEN || null);
+
+
+// Load Language Registry (names and scripts of the item translation languages)
+let languageRegistry;
+try {
+    languageRegistry = loadLanguageRegistry(path.join(__dirname, 'languages.json'));
+    console.log("✅ Language registry loaded. Languages:", languageRegistry.codes().join(', '));
+} catch (error) {
+    console.error("❌ Error reading languages.json:", error.message);
+    languageRegistry = createLanguageRegistry(LEGACY_LINE_ORDER.map(code => ({ code })));
+}
 
 // Load JSON Data
 const dataFilePath = path.join(__dirname, 'data.json');
+const itemStore = createItemStore(dataFilePath);
 let jsonData = [];
+let itemsLoadError = null;
 
 try {
-    const rawData = fs.readFileSync(dataFilePath, 'utf8');
-    jsonData = JSON.parse(rawData);
-
-    // If JSON has a root "items" key, extract it
-    if (jsonData.items) {
-        jsonData = jsonData.items;
+    // Handles both a bare array and the root "items" key layout
+    jsonData = itemStore.load();
+
+    // Bring older data.json layouts up to date and save the result once
+    const migration = migrateItems(jsonData);
+    if (migration.changed) {
+        jsonData = migration.items;
+        itemStore.save(jsonData);
+        console.log("✅ Data migrated and saved to data.json");
     }
 
     console.log("✅ Data loaded successfully. Total records:", jsonData.length);
 } catch (error) {
     console.error("❌ Error reading JSON file:", error);
+    itemsLoadError = error.message;
 }
 
-// Load Neighborhoods Data
-const neighborhoodsFilePath = path.join(__dirname, 'neighborhoods_data_ss.json');
-let neighborhoodsData = [];
+// Load the Category Taxonomy (categories.json, next to data.json)
+const categoriesFilePath = path.join(path.dirname(dataFilePath), 'categories.json');
+let categoryTaxonomy;
 try {
-    const rawNeighborhoods = fs.readFileSync(neighborhoodsFilePath, 'utf8');
-    neighborhoodsData = JSON.parse(rawNeighborhoods);
-    console.log("✅ Neighborhoods data loaded. Total records:", neighborhoodsData.length);
+    const entries = loadCategories(categoriesFilePath);
+    if (entries) {
+        categoryTaxonomy = createCategoryTaxonomy(entries);
+        console.log("✅ Categories loaded. Total categories:", categoryTaxonomy.list().length);
+    } else {
+        categoryTaxonomy = createCategoryTaxonomy(seedCategories(jsonData));
+        console.log(`ℹ️ categories.json not found. Listing the ${categoryTaxonomy.list().length} category ids data.json uses, unnamed; name and arrange them with PUT /api/v1/categories/{id}.`);
+    }
 } catch (error) {
-    console.error("❌ Error reading neighborhoods JSON file:", error);
-    console.log("ℹ️ Using empty neighborhoods data array. Please ensure neighborhoods_data_ss.json exists with valid JSON data.");
+    console.error("❌ Error reading categories.json:", error.message);
+    categoryTaxonomy = createCategoryTaxonomy(seedCategories(jsonData));
 }
 
-// Load Pincode Data from CSV
-const pincodeFilePath = path.join(__dirname, 'pincode_with_lat_long.csv');
-let pincodeData = [];
+// Validation reports per dataset, served by /api/v1/admin/data-health
+const dataHealth = {};
 
-try {
-    const rawPincodeData = fs.readFileSync(pincodeFilePath, 'utf8');
-    const lines = rawPincodeData.split('\n');
-    const headers = lines[0].split(',');
-    
-    for (let i = 1; i < lines.length; i++) {
-        if (lines[i].trim()) {
-            const values = lines[i].split(',');
-            const pincodeRecord = {};
-            
-            headers.forEach((header, index) => {
-                pincodeRecord[header.trim()] = values[index] ? values[index].trim() : '';
-            });
-            
-            // Convert latitude and longitude to numbers
-            if (pincodeRecord.Latitude && pincodeRecord.Longitude) {
-                pincodeRecord.Latitude = parseFloat(pincodeRecord.Latitude);
-                pincodeRecord.Longitude = parseFloat(pincodeRecord.Longitude);
+// Log what a dataset load kept, rejected or flagged
+function logDatasetLoad(definition, { records, report }, label, source) {
+    dataHealth[definition.name] = report;
+    if (report.error) {
+        console.error(`❌ Error reading ${label}:`, report.error);
+    }
+    if (records.length === 0) {
+        console.log(`ℹ️ Using empty ${label} array. Please ensure ${source} exists with valid data.`);
+        return;
+    }
+    console.log(`✅ ${label} loaded. Total records:`, records.length);
+    // Representatives without a term cannot be looked up at all, so say so loudly
+    if (report.issue_counts.missing_term) {
+        const example = report.rejected.find(row => row.issues.some(issue => issue.code === 'missing_term'));
+        console.error(`❌ ${label}: ${report.issue_counts.missing_term} rows left out for having no term (${example.issues[0].message})`);
+    }
+    if (report.rejected_count || report.suspicious_count) {
+        console.log(`ℹ️ ${label}: ${report.rejected_count} rows rejected, ${report.suspicious_count} flagged. See /api/v1/admin/data-health?dataset=${definition.name}`);
+    }
+}
+
+// Dataset files behind the place lookups. MLA and MP data is every CSV in
+// these directories, one per state assembly term (with State and Term columns)
+// or per Lok Sabha ("18-LS-MP-Track.csv").
+const ASSEMBLY_DATA_DIR = process.env.ASSEMBLY_DATA_DIR || path.join(__dirname, 'assembly_data');
+const LOK_SABHA_DATA_DIR = process.env.LOK_SABHA_DATA_DIR || path.join(__dirname, 'lok_sabha_data');
+const PLACE_DATASETS = {
+    neighborhoods: { definition: DATASETS.NEIGHBORHOODS, file: path.join(__dirname, 'neighborhoods_data_ss.json'), label: "Neighborhoods data" },
+    pincodes: { definition: DATASETS.PINCODES, file: path.join(__dirname, 'pincode_with_lat_long.csv'), label: "Pincode data" },
+    mlas: { definition: DATASETS.MLAS, dir: ASSEMBLY_DATA_DIR, label: "MLA data" },
+    mps: { definition: DATASETS.MPS, dir: LOK_SABHA_DATA_DIR, label: "MP data" }
+};
+
+// Read one of them through its schema → { records, locations, report }
+function readPlaceDataset(name) {
+    const source = PLACE_DATASETS[name];
+    const loaded = source.dir
+        ? loadDatasetDirectory(source.definition, source.dir)
+        : loadDataset(source.definition, source.file);
+    if (name === 'neighborhoods') {
+        // Strip Wikipedia icons, flags, map pins and broken links from the scraped
+        // imageUrls; once per load, as it rewrites the records. The lists as
+        // stored are kept for the editing routes.
+        loaded.storedImageUrls = loaded.records.map(place => place.imageUrls);
+        loaded.imageCuration = curatePlaceImages(loaded.records);
+    }
+    return loaded;
+}
+
+function logPlaceDataset(name, loaded) {
+    const source = PLACE_DATASETS[name];
+    logDatasetLoad(source.definition, loaded, source.label, source.dir || path.basename(source.file));
+    if (loaded.imageCuration) {
+        console.log("✅ Neighborhood images curated. Kept:", loaded.imageCuration.totals.kept, "Dropped:", loaded.imageCuration.totals.dropped);
+    }
+}
+
+// Load Constituency Boundaries (GeoJSON polygons) for point-in-polygon lookups
+const boundariesDir = path.join(__dirname, 'boundaries');
+const constituencyBoundaries = { assembly: null, parliamentary: null };
+[
+    ['assembly', 'assembly_constituencies.geojson'],
+    ['parliamentary', 'parliamentary_constituencies.geojson']
+].forEach(([kind, fileName]) => {
+    try {
+        constituencyBoundaries[kind] = loadBoundaries(path.join(boundariesDir, fileName), kind);
+        console.log(`✅ ${kind} constituency boundaries loaded. Total polygons:`, constituencyBoundaries[kind].size);
+    } catch (error) {
+        // No boundary files is the usual setup (see constituency_boundaries.js); only a broken one is an error
+        if (error.code !== 'ENOENT') console.error(`❌ Error reading ${kind} constituency boundaries:`, error.message);
+        console.log(`ℹ️ Reverse geocoding will use the nearest neighborhood instead. Add boundaries/${fileName} to enable polygon matching.`);
+    }
+});
+
+// State → district → region / division tree over neighborhoods and post offices
+function buildPlaceHierarchy(neighborhoods, pincodes) {
+    return buildHierarchy([
+        ...neighborhoods.map(place => ({
+            kind: 'neighborhood',
+            state: place.state,
+            district: place.district,
+            area: place.region,
+            areaKind: 'region',
+            lat: place.latitude,
+            lng: place.longitude,
+            pincode: normalizePincode(place.pincode),
+            record: {
+                placeName: place.placeName,
+                placeType: place.placeType,
+                pincode: place.pincode,
+                latitude: place.latitude,
+                longitude: place.longitude
+            }
+        })),
+        ...pincodes.map(record => ({
+            kind: 'post_office',
+            state: record.StateName,
+            district: record.District,
+            area: record.DivisionName,
+            areaKind: 'division',
+            lat: record.Latitude,
+            lng: record.Longitude,
+            pincode: normalizePincode(record.Pincode),
+            record: {
+                officeName: record.OfficeName,
+                officeType: record.OfficeType,
+                pincode: record.Pincode,
+                latitude: record.Latitude,
+                longitude: record.Longitude
+            }
+        }))
+    ]);
+}
+
+// Search index document for a phrase item
+const itemDocument = (item) => ({
+    id: `item:${item.id}`,
+    type: "item",
+    fields: { ...item.translations },
+    payload: { id: item.id }
+});
+
+// Search index over item translations and place / constituency names
+function buildSearchIndex({ neighborhoods, pincodes, mlaData, mpData }) {
+    const index = createSearchIndex();
+    jsonData.forEach(item => index.add(itemDocument(item)));
+
+    // Constituency names from every dataset that has them
+    const addConstituency = (type, name, source) => {
+        if (!name) return;
+        const key = normalizeName(name);
+        if (!key) return;
+        index.add({
+            id: `${type}:${key}`,
+            type,
+            fields: { name },
+            boosts: { name: 2 },
+            payload: { name, source }
+        });
+    };
+    neighborhoods.forEach(place => {
+        addConstituency("assembly_constituency", getVidhanSabhaConstituency(place), "neighborhoods");
+        addConstituency("parliamentary_constituency", getLokSabhaConstituency(place), "neighborhoods");
+    });
+    mlaData.forEach(row => addConstituency("assembly_constituency", row.Constituency, "mla"));
+    mpData.forEach(row => addConstituency("parliamentary_constituency", row.pc_name, "mp"));
+
+    neighborhoods.forEach((place, position) => {
+        index.add({
+            id: `neighborhood:${position}`,
+            type: "neighborhood",
+            fields: { placeName: place.placeName, region: place.region, district: place.district },
+            boosts: { placeName: 2 },
+            payload: {
+                placeName: place.placeName,
+                district: place.district,
+                state: place.state,
+                pincode: place.pincode,
+                latitude: place.latitude,
+                longitude: place.longitude
+            }
+        });
+    });
+    pincodes.forEach((record, position) => {
+        index.add({
+            id: `post_office:${position}`,
+            type: "post_office",
+            fields: { officeName: record.OfficeName, district: record.District },
+            boosts: { officeName: 2 },
+            payload: {
+                officeName: record.OfficeName,
+                pincode: record.Pincode,
+                district: record.District,
+                stateName: record.StateName,
+                latitude: record.Latitude,
+                longitude: record.Longitude
             }
-            
-            pincodeData.push(pincodeRecord);
+        });
+    });
+    console.log("✅ Search index built. Documents:", index.size);
+    return index;
+}
+
+const knownValue = (value) => (value && value !== 'N/A' ? value : null);
+
+// Prefix index for place-name autocomplete
+function buildAutocompleteIndex({ neighborhoods, pincodes }) {
+    const index = createAutocompleteIndex();
+    neighborhoods.forEach(place => {
+        const point = { latitude: place.latitude, longitude: place.longitude };
+        if (knownValue(place.placeName)) {
+            index.add({ type: "neighborhood", name: place.placeName, detail: knownValue(place.district), ...point });
+        }
+        if (knownValue(place.district)) {
+            index.add({ type: "district", name: place.district, detail: knownValue(place.state), ...point });
         }
+        const vidhanSabha = getVidhanSabhaConstituency(place);
+        if (vidhanSabha) {
+            index.add({ type: "assembly_constituency", name: vidhanSabha, detail: knownValue(place.state), ...point });
+        }
+        const lokSabha = getLokSabhaConstituency(place);
+        if (lokSabha) {
+            index.add({ type: "parliamentary_constituency", name: lokSabha, detail: knownValue(place.state), ...point });
+        }
+    });
+    pincodes.forEach(record => {
+        const point = { latitude: record.Latitude, longitude: record.Longitude };
+        if (record.OfficeName) {
+            index.add({ type: "post_office", name: record.OfficeName, detail: record.Pincode, ...point });
+        }
+        if (record.District) {
+            index.add({ type: "district", name: record.District, detail: record.StateName, ...point });
+        }
+    });
+    console.log("✅ Autocomplete index built. Suggestions:", index.size);
+    return index;
+}
+
+// Everything derived from the place and representative datasets, built from
+// their loads ({ neighborhoods, pincodes, mlas, mps }) without touching the
+// live state
+function buildPlaceData(loads) {
+    const neighborhoods = loads.neighborhoods.records;
+    const pincodes = loads.pincodes.records;
+
+    const mlaRegistry = createRepresentativeRegistry(loads.mlas.records, loads.mlas.locations, {
+        getState: row => row.State,
+        getTerm: row => row.Term,
+        getConstituency: row => row.Constituency,
+        getStart: row => row['Start of term'],
+        getEnd: row => row['End of Term']
+    });
+    const mpRegistry = createRepresentativeRegistry(loads.mps.records, loads.mps.locations, {
+        getState: row => row.state,
+        getTerm: lokSabhaOf,
+        getConstituency: row => row.pc_name,
+        getStart: row => row.term_start_date,
+        getEnd: row => row.term_end_date
+    });
+    // Members of the latest loaded term, as used by the representative lookups
+    const mlaData = mlaRegistry.find();
+    const mpData = mpRegistry.find();
+
+    // Spatial indexes for radius queries
+    const neighborhoodIndex = buildSpatialIndex(neighborhoods);
+    const pincodeIndex = buildSpatialIndex(pincodes, {
+        getLat: record => record.Latitude,
+        getLng: record => record.Longitude
+    });
+    console.log("✅ Spatial indexes built. Neighborhoods:", neighborhoodIndex.size, "Pincodes:", pincodeIndex.size);
+
+    // First pincode record for each pincode, for exact pincode matching
+    const pincodeByCode = new Map();
+    pincodes.forEach(record => {
+        if (record.Pincode && !pincodeByCode.has(record.Pincode.toString())) {
+            pincodeByCode.set(record.Pincode.toString(), record);
+        }
+    });
+
+    // Neighborhoods listing each pincode, for pincodes whose post offices have no coordinates
+    const neighborhoodsByPincode = new Map();
+    neighborhoods.forEach(place => {
+        const pincode = normalizePincode(place.pincode);
+        if (pincode && !neighborhoodsByPincode.has(pincode)) neighborhoodsByPincode.set(pincode, place);
+    });
+
+    // Ids of the editing routes, and id → position
+    const neighborhoodIdOf = neighborhoodIds(neighborhoods);
+    const neighborhoodById = new Map(neighborhoodIdOf.map((id, position) => [id, position]));
+
+    return {
+        loads,
+        neighborhoods,
+        neighborhoodIdOf,
+        neighborhoodById,
+        pincodes,
+        imageCuration: loads.neighborhoods.imageCuration,
+        mlaRegistry,
+        mpRegistry,
+        mlaData,
+        mpData,
+        mpAnalytics: createMpAnalytics(mpData),
+        neighborhoodIndex,
+        pincodeIndex,
+        pincodeByCode,
+        neighborhoodsByPincode,
+        placeHierarchy: buildPlaceHierarchy(neighborhoods, pincodes),
+        // Pincode → constituency candidates, from neighborhood pincodes and post
+        // office locations (resolved on lookup, against the live indexes)
+        pincodeConstituencyIndex: buildPincodeConstituencyIndex({
+            neighborhoods,
+            pincodeRecords: pincodes,
+            getVidhanSabha: getVidhanSabhaConstituency,
+            getLokSabha: getLokSabhaConstituency,
+            resolveConstituencies
+        }),
+        searchIndex: buildSearchIndex({ neighborhoods, pincodes, mlaData, mpData }),
+        indexedItemIds: jsonData.map(item => item.id),
+        autocompleteIndex: buildAutocompleteIndex({ neighborhoods, pincodes })
+    };
+}
+
+// The live state. Only applyPlaceData assigns it, all in one synchronous step,
+// so a request never sees a reloaded dataset next to the previous indexes.
+let placeLoads, neighborhoodsData, neighborhoodIdOf, neighborhoodById, imageCuration, pincodeData;
+let mlaRegistry, mpRegistry, mlaData, mpDataCsv, mpAnalytics;
+let neighborhoodIndex, pincodeIndex, pincodeByCode, neighborhoodsByPincode, placeHierarchy, pincodeConstituencyIndex;
+let searchIndex, autocompleteIndex;
+let indexedItemIds = [];
+
+function applyPlaceData(data) {
+    placeLoads = data.loads;
+    neighborhoodsData = data.neighborhoods;
+    neighborhoodIdOf = data.neighborhoodIdOf;
+    neighborhoodById = data.neighborhoodById;
+    imageCuration = data.imageCuration;
+    pincodeData = data.pincodes;
+    mlaRegistry = data.mlaRegistry;
+    mpRegistry = data.mpRegistry;
+    mlaData = data.mlaData;
+    mpDataCsv = data.mpData;
+    mpAnalytics = data.mpAnalytics;
+    neighborhoodIndex = data.neighborhoodIndex;
+    pincodeIndex = data.pincodeIndex;
+    pincodeByCode = data.pincodeByCode;
+    neighborhoodsByPincode = data.neighborhoodsByPincode;
+    placeHierarchy = data.placeHierarchy;
+    pincodeConstituencyIndex = data.pincodeConstituencyIndex;
+    searchIndex = data.searchIndex;
+    indexedItemIds = data.indexedItemIds;
+    autocompleteIndex = data.autocompleteIndex;
+}
+
+// (Re)index every phrase item, after load and after each write
+function reindexItems() {
+    indexedItemIds.forEach(id => searchIndex.remove(`item:${id}`));
+    jsonData.forEach(item => searchIndex.add(itemDocument(item)));
+    indexedItemIds = jsonData.map(item => item.id);
+}
+
+// Load Neighborhoods, Pincode (CSV), MLA and MP data
+const initialLoads = {};
+Object.keys(PLACE_DATASETS).forEach(name => {
+    initialLoads[name] = readPlaceDataset(name);
+    logPlaceDataset(name, initialLoads[name]);
+});
+applyPlaceData(buildPlaceData(initialLoads));
+
+// Send a location route's result as JSON, or with ?format= as GeoJSON, KML,
+// GPX or CSV. layers: [{ name, records }]; options: { searchArea, title }
+function sendLocations(req, res, body, layers, options = {}) {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format === 'json') {
+        return res.json(body);
     }
-    
-    console.log("✅ Pincode data loaded successfully. Total records:", pincodeData.length);
-} catch (error) {
-    console.error("❌ Error reading pincode CSV file:", error);
-    console.log("ℹ️ Using empty pincode data array. Please ensure pincode_with_lat_long.csv exists.");
-}
-
-// Haversine formula to calculate distance between two lat/lng points in km
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    function toRad(x) { return x * Math.PI / 180; }
-    const R = 6371; // Earth radius in km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+    const spec = LOCATION_FORMATS[format];
+    if (!spec) {
+        return res.status(400).json({ message: "format must be one of: json, " + Object.keys(LOCATION_FORMATS).join(", ") });
+    }
+    const title = options.title || 'locations';
+    res.type(spec.contentType);
+    res.set('Content-Disposition', `inline; filename="${title}.${spec.extension}"`);
+    res.send(serializeLocations(format, layers, { ...options, title }));
 }
-const axios = require('axios');
 
- // can be removed if no scraping
+// Shared by the place listing routes (neighborhoods, pincodes, places): parse
+// the area (radius, k nearest, bbox, or a POSTed polygon) and the type / fields /
+// limit / cursor options, page through collect()'s entries and send the page.
+//   types: the place types the route lists
+//   collect(area, types) → [{ layer, key: [distance, layerRank, datasetIndex], record }]
+//   respond(recordsOf, input) → response body; recordsOf(layer) lists the page's records
+//   layers: layer names, in the order the map formats write them
+function listPlaces(req, res, { types, collect, respond, layers, title }) {
+    const polygon = req.method === 'POST' ? (req.body || {}).polygon : undefined;
+    if (req.method === 'POST' && polygon === undefined) {
+        return res.status(400).json({ message: "polygon (a GeoJSON Polygon or MultiPolygon) is required in the request body" });
+    }
+    const { area, error: areaError } = parseArea(req.query, polygon);
+    if (areaError) {
+        return res.status(400).json({ message: areaError });
+    }
+    const options = parseListOptions(req.query, types);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
+
+    let entries = collect(area, options.types);
+    // Routes listing two datasets collect k from each; keep the k nearest overall
+    if (area.mode === 'k') {
+        entries = entries.sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.key[2] - b.key[2]).slice(0, area.k);
+    }
+    const page = paginate(entries, { area, types: options.types, limit: options.limit, cursor: options.cursor });
+    if (page.error) {
+        return res.status(400).json({ message: page.error });
+    }
 
+    // Map formats need the coordinates whatever the projection
+    const format = String(req.query.format || 'json').toLowerCase();
+    const fields = options.fields && format !== 'json' ? [...options.fields, 'latitude', 'longitude'] : options.fields;
+    const recordsOf = (layer) => page.entries
+        .filter(entry => entry.layer === layer)
+        .map(entry => projectFields(entry.record, fields));
 
-let mpDataCsv = [];
+    const body = respond(recordsOf, describeArea(area));
+    if (options.limit !== null || options.cursor) {
+        body.page = { limit: options.limit, total: page.total, next_cursor: page.nextCursor };
+    }
+    sendLocations(req, res, body, layers.map(name => ({ name, records: recordsOf(name) })), {
+        searchArea: searchAreaOf(area),
+        title
+    });
+}
+
+// Spatial index matches for the area as listPlaces entries
+function placeEntries(spatialIndex, area, layer, layerRank, toRecord) {
+    return findInArea(spatialIndex, area).map(({ record, index, distance }) => ({
+        layer,
+        key: [distance, layerRank, index],
+        record: toRecord(record, distance)
+    }));
+}
+
+const axios = require('axios');
+
+// MP Track pages from prsindia.org, parsed and cached per pincode
+const prsMpCache = createPrsMpCache(path.join(__dirname, 'prs_mp_cache.json'));
+const PRS_TIMEOUT_MS = 10000;
+// Profiles fetched per search; a pincode rarely spans more than a couple of constituencies
+const PRS_MAX_PROFILES = 5;
+
+// Search PRS MP Track for a pincode and parse each MP profile it lists
+async function fetchPrsMps(pincode) {
+    const search = await axios.post(`${PRS_BASE_URL}/mptrack`, { search: pincode }, { timeout: PRS_TIMEOUT_MS });
+    const results = parseMpSearchPage(search.data).slice(0, PRS_MAX_PROFILES);
+
+    const mps = [];
+    for (const result of results) {
+        try {
+            const profile = await axios.get(result.profile_url, { timeout: PRS_TIMEOUT_MS });
+            const record = parseMpProfilePage(profile.data, { profileUrl: result.profile_url });
+            // Fields only shown on the search results fill gaps in the profile
+            ['mp_name', 'pc_name', 'state', 'mp_political_party'].forEach(column => {
+                if (!record[column]) record[column] = result[column];
+            });
+            mps.push(record);
+        } catch (error) {
+            console.error("❌ Error fetching PRS profile:", result.profile_url, error.message);
+            mps.push(toTrackRecord(result));
+        }
+    }
+    return { mps, profileUrls: results.map(result => result.profile_url) };
+}
 
-// Load MP CSV once at server startup
-const loadMpCsv = () => {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(path.join(__dirname, '18-LS-MP-Track.csv'))
-      .pipe(csv())
-      .on('data', data => results.push(data))
-      .on('end', () => {
-        mpDataCsv = results;
-        resolve();
-      })
-      .on('error', reject);
-  });
-};
 
-loadMpCsv()
-  .then(() => console.log('MP CSV data loaded.'))
-  .catch(console.error);
+// state / term / date filters of the MLA and MP lookups; without term or date
+// the latest term is searched
+function parseTermFilters(query) {
+  const filters = {};
+  if (query.state) filters.state = query.state;
+  if (query.term !== undefined) {
+    filters.term = parseInt(query.term);
+    if (isNaN(filters.term) || filters.term < 1) {
+      return { error: 'term must be a positive number' };
+    }
+  }
+  if (query.date !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query.date) || !(filters.date = parseTermDate(query.date))) {
+      return { error: 'date must be a valid YYYY-MM-DD date' };
+    }
+  }
+  return { filters };
+}
 
-// Your existing MLA API routes (unchanged)
+// MLA API routes
 app.get('/api/v1/mla-info', (req, res) => {
   const constituency = req.query.constituency;
   if (!constituency) {
     return res.status(400).json({ error: 'constituency parameter is required' });
   }
-  const results = mlaData.filter(row => row.Constituency.toLowerCase() === constituency.toLowerCase());
+  const { filters, error } = parseTermFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const results = mlaRegistry.find({ ...filters, constituency });
   if (results.length === 0) {
     return res.status(404).json({ error: 'No MLA data found for constituency' });
   }
@@ -144,15 +609,73 @@ app.get('/api/v1/mla-info', (req, res) => {
 });
 
 app.get('/api/v1/mla-constituencies', (req, res) => {
-  const constituencies = mlaData.map(row => row.Constituency);
+  const { filters, error } = parseTermFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const constituencies = mlaRegistry.find(filters).map(row => row.Constituency);
+  res.json({ constituencies });
+});
+
+// MP API routes; term is the Lok Sabha number (18 for the 18th Lok Sabha)
+app.get('/api/v1/mp-info', (req, res) => {
+  const constituency = req.query.constituency;
+  if (!constituency) {
+    return res.status(400).json({ error: 'constituency parameter is required' });
+  }
+  const { filters, error } = parseTermFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const results = mpRegistry.find({ ...filters, constituency });
+  if (results.length === 0) {
+    return res.status(404).json({ error: 'No MP data found for constituency' });
+  }
+  res.json({ mp: results });
+});
+
+app.get('/api/v1/mp-constituencies', (req, res) => {
+  const { filters, error } = parseTermFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const constituencies = mpRegistry.find(filters).map(row => row.pc_name);
   res.json({ constituencies });
 });
 
+// States and terms loaded into the MLA and MP registries
+app.get('/api/v1/representatives/coverage', (req, res) => {
+  res.json({ assemblies: mlaRegistry.coverage(), lok_sabha: mpRegistry.coverage() });
+});
+
+// Records whose constituency matches any of the candidate names (spelling-tolerant)
+function filterByConstituencyNames(rows, names, getConstituency) {
+    const matcher = createNameMatcher(rows, getConstituency);
+    const matched = new Set();
+    names.forEach(name => {
+        const match = matcher.match(name);
+        if (match) match.records.forEach(record => matched.add(record));
+    });
+    return rows.filter(row => matched.has(row));
+}
+
 // Modified representatives API route using MP CSV instead of scraping
 app.get('/api/v1/representatives', async (req, res) => {
   try {
     const { constituency, pincode } = req.query;
 
+    // Resolve the pincode to its candidate constituencies first
+    let pincodeConstituencies = null;
+    if (pincode) {
+      if (!normalizePincode(pincode)) {
+        return res.status(400).json({ error: 'pincode must be a 6 digit Indian pincode' });
+      }
+      pincodeConstituencies = pincodeConstituencyIndex.lookup(pincode);
+      if (!pincodeConstituencies.known) {
+        return res.status(404).json({ error: 'No constituency mapping found for pincode', pincode });
+      }
+    }
+
     // Filter MLA/MLC info as before
     let mlaMlcData = [];
     if (constituency) {
@@ -172,10 +695,22 @@ app.get('/api/v1/representatives', async (req, res) => {
       );
     }
 
-    // Optional: if you want to filter by pincode, add pincode-to-constituency mapping here
-    // and filter mpData accordingly
+    // Filter by the constituencies the pincode falls in
+    if (pincodeConstituencies) {
+      mlaMlcData = filterByConstituencyNames(
+        constituency ? mlaMlcData : mlaData,
+        pincodeConstituencies.assemblyConstituencies.map(candidate => candidate.name),
+        row => row.Constituency
+      );
+      mpData = filterByConstituencyNames(
+        mpData,
+        pincodeConstituencies.parliamentaryConstituencies.map(candidate => candidate.name),
+        row => row.pc_name
+      );
+    }
 
     res.json({
+      ...(pincodeConstituencies ? { pincode_constituencies: pincodeConstituencies } : {}),
       mla_mlc_info: mlaMlcData,
       mp_info: mpData
     });
@@ -185,51 +720,204 @@ app.get('/api/v1/representatives', async (req, res) => {
   }
 });
 
-// 🔄 Normalize Text Function (removes special characters and makes lowercase)
-const normalizeText = (text) => text.replace(/[^a-zA-Z0-9 ]/g, "").toLowerCase();
+// MP performance scorecard: each metric against the national and state averages
+app.get('/api/v1/mp-scorecard', (req, res) => {
+  const { constituency, name, state } = req.query;
+  if (!constituency && !name) {
+    return res.status(400).json({ error: 'constituency or name parameter is required' });
+  }
+
+  let rows = mpDataCsv;
+  if (state) {
+    rows = rows.filter(row => normalizeName(row.state) === normalizeName(state));
+  }
+  if (constituency) {
+    rows = filterByConstituencyNames(rows, [constituency], row => row.pc_name);
+  }
+  if (name) {
+    const wanted = normalizeName(name);
+    rows = rows.filter(row => normalizeName(row.mp_name).includes(wanted));
+  }
+
+  const matched = new Set(rows);
+  const scorecards = mpAnalytics.scorecards(row => matched.has(row));
+  if (scorecards.length === 0) {
+    return res.status(404).json({ error: 'No MP found', constituency, name, state });
+  }
+  res.json({ count: scorecards.length, scorecards });
+});
+
+// MPs ranked by one metric, optionally within a state or party
+app.get('/api/v1/mp-rankings', (req, res) => {
+  const { metric, state, party, order = 'desc', limit } = req.query;
+  if (!MP_METRICS[metric]) {
+    return res.status(400).json({ error: 'metric must be one of: ' + Object.keys(MP_METRICS).join(', ') });
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+  const maxResults = limit === undefined ? null : parseInt(limit);
+  if (maxResults !== null && (isNaN(maxResults) || maxResults < 1)) {
+    return res.status(400).json({ error: 'limit must be a positive number' });
+  }
+
+  const result = mpAnalytics.rank(metric, { state, party, order, limit: maxResults });
+  res.json({ metric, order, filters: { state: state || null, party: party || null }, ...result });
+});
+
+// MP counts and metric averages grouped by party, state, gender, age band or education
+app.get('/api/v1/mp-stats', (req, res) => {
+  const { group_by: groupBy = 'party', state, party } = req.query;
+  if (!MP_GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: 'group_by must be one of: ' + MP_GROUP_BY.join(', ') });
+  }
+
+  const groups = mpAnalytics.aggregate(groupBy, { state, party });
+  res.json({ group_by: groupBy, filters: { state: state || null, party: party || null }, count: groups.length, groups });
+});
+
+// Query string for the items API, leaving out filters that were not given
+const buildItemsQuery = (params) => new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== "")
+).toString();
+
+// Whether the client asked for the legacy newline-joined multiline_text (?include=multiline_text)
+const wantsMultilineText = (req) => String(req.query.include || "").split(",").includes("multiline_text");
+
+// Item as served by the API: translations in registry order (optionally only
+// the requested languages), the languages list, the clip metadata read from
+// its media links, and multiline_text on request
+function presentItem(item, { languages, includeMultilineText = false } = {}) {
+    const translations = item.translations || {};
+    const codes = languageRegistry.sortCodes(Object.keys(translations))
+        .filter(code => !languages || languages.includes(code));
+    const presented = {
+        ...item,
+        translations: Object.fromEntries(codes.map(code => [code, translations[code]])),
+        languages: codes,
+        media: itemMedia(item)
+    };
+    if (includeMultilineText) {
+        const order = languages || codes;
+        const texts = order.filter(code => translations[code]).map(code => translations[code]);
+        presented.multiline_text = texts.length > 0 ? texts.join("\n") : "(No matching text found)";
+    }
+    return presented;
+}
+
+// Translations from a request body: a { code: text } map, or the legacy
+// multiline_text + languages pair. Returns { translations } or { error }.
+function readTranslations(body) {
+    let translations;
+    if (body.translations !== undefined) {
+        if (!body.translations || typeof body.translations !== 'object' || Array.isArray(body.translations)) {
+            return { error: "translations must be an object of language code to text" };
+        }
+        translations = body.translations;
+    } else if (body.multiline_text !== undefined) {
+        if (typeof body.multiline_text !== 'string') {
+            return { error: "multiline_text must be a string" };
+        }
+        if (body.languages !== undefined && !Array.isArray(body.languages)) {
+            return { error: "languages must be an array" };
+        }
+        translations = toTranslations(body.multiline_text, body.languages);
+    } else {
+        return { translations: null };
+    }
+
+    const unknown = Object.keys(translations).filter(code => !languageRegistry.has(code));
+    if (unknown.length > 0) {
+        return { error: `Unknown language codes: ${unknown.join(", ")}` };
+    }
+    const invalid = Object.keys(translations).filter(code => translations[code] !== null && typeof translations[code] !== 'string');
+    if (invalid.length > 0) {
+        return { error: `Translations must be strings: ${invalid.join(", ")}` };
+    }
+    return { translations };
+}
 
 app.get('/api/v1/items', (req, res) => {
-    const { searchtext = "", "sub-category-id": subCategoryId, languages, current_page = 1, items_per_page = 10 } = req.query;
+    const { searchtext = "", "sub-category-id": subCategoryId, "category-id": categoryId, "parent-category-id": parentCategoryId, ids, languages, has_video: hasVideo, video_id: videoId, min_duration: minDuration, max_duration: maxDuration, current_page = 1, items_per_page = 10 } = req.query;
+
+    if (hasVideo !== undefined && hasVideo !== 'true' && hasVideo !== 'false') {
+        return res.status(400).json({ message: "has_video must be true or false" });
+    }
+    const durationBounds = [minDuration, maxDuration].map(value => (value === undefined || value === '' ? null : Number(value)));
+    if (durationBounds.some(value => value !== null && (isNaN(value) || value < 0))) {
+        return res.status(400).json({ message: "min_duration and max_duration must be zero or more seconds" });
+    }
+    const [minSeconds, maxSeconds] = durationBounds;
 
     const page = Math.max(1, parseInt(current_page) || 1); // ✅ Ensures page is at least 1
     const limit = parseInt(items_per_page) || 10;
     const startIndex = (page - 1) * limit;
     let filteredData = jsonData;
 
-    // Search filter
+    // Search filter (ranked, typo-tolerant, any script)
+    let searchHits = null;
     if (searchtext) {
-        const normalizedSearchText = normalizeText(searchtext);
-        filteredData = filteredData.filter(item =>
-            normalizeText(item.multiline_text).includes(normalizedSearchText)
-        );
+        const itemsById = new Map(jsonData.map(item => [item.id, item]));
+        const hits = searchIndex.search(searchtext, { types: ["item"] });
+        searchHits = new Map(hits.map(hit => [hit.payload.id, hit]));
+        filteredData = hits.map(hit => itemsById.get(hit.payload.id)).filter(Boolean);
     }
 
-    // Sub-category filter
+    // Sub-category filter: deprecated, kept for older clients. It now matches
+    // through the taxonomy like parent-category-id, which new callers should use.
     if (subCategoryId) {
-        filteredData = filteredData.filter(item => item["category-id"] === subCategoryId);
+        const categoryIds = categoryTaxonomy.descendantIds(subCategoryId);
+        filteredData = filteredData.filter(item => categoryIds.has(String(item["category-id"])));
+    }
+
+    // Category filter
+    if (categoryId) {
+        filteredData = filteredData.filter(item => item["category-id"] === categoryId);
+    }
+
+    // Parent category filter: items of the category and of every category below it
+    if (parentCategoryId) {
+        const categoryIds = categoryTaxonomy.descendantIds(parentCategoryId);
+        filteredData = filteredData.filter(item => categoryIds.has(String(item["category-id"])));
+    }
+
+    // Item id filter (comma separated)
+    if (ids) {
+        const idSet = new Set(ids.split(","));
+        filteredData = filteredData.filter(item => idSet.has(item.id));
+    }
+
+    // Clip filters, on the metadata read from youtube_url. Items whose clip
+    // has no end are left out by the duration bounds.
+    if (hasVideo !== undefined || videoId || minSeconds !== null || maxSeconds !== null) {
+        filteredData = filteredData.filter(item => {
+            const { video } = itemMedia(item);
+            if (hasVideo !== undefined && Boolean(video) !== (hasVideo === 'true')) return false;
+            if (videoId && (!video || video.video_id !== videoId)) return false;
+            if (minSeconds === null && maxSeconds === null) return true;
+            if (!video || video.duration === null) return false;
+            return (minSeconds === null || video.duration >= minSeconds) && (maxSeconds === null || video.duration <= maxSeconds);
+        });
     }
 
     // Language filter
-    if (languages) {
-        const langArray = languages.split(",");
-        filteredData = filteredData
-            .filter(item => item.languages.some(lang => langArray.includes(lang)))
-            .map(item => {
-                const allTexts = item.multiline_text.split("\n");
-                const langMapping = { "en": 0, "ta": 1, "hi": 2, "te": 3, "kn": 4, "ml": 5 };
-                const filteredTexts = langArray.map(lang => allTexts[langMapping[lang]] || "").filter(text => text !== "");
-                
-                return {
-                    ...item,
-                    multiline_text: filteredTexts.length > 0 ? filteredTexts.join("\n") : "(No matching text found)"
-                };
-            });
+    const langArray = languages ? languages.split(",") : null;
+    if (langArray) {
+        filteredData = filteredData.filter(item =>
+            langArray.some(lang => item.translations && item.translations[lang])
+        );
     }
 
     // Pagination logic
     const total_count = filteredData.length;
     const total_pages = Math.ceil(total_count / limit);
-    const paginatedResults = filteredData.slice(startIndex, startIndex + limit);
+    const includeMultilineText = wantsMultilineText(req);
+    const paginatedResults = filteredData.slice(startIndex, startIndex + limit)
+        .map(item => {
+            const presented = presentItem(item, { languages: langArray, includeMultilineText });
+            const hit = searchHits && searchHits.get(item.id);
+            return hit ? { ...presented, search_score: hit.score, highlights: hit.highlights } : presented;
+        });
 
     res.json({
         total_count: total_count.toString(),
@@ -238,7 +926,21 @@ app.get('/api/v1/items', (req, res) => {
         total_pages: total_pages.toString(),
         current_page: page.toString(),
         next_page: page < total_pages ? (page + 1).toString() : "",
-        next_page_api: page < total_pages ? `/api/v1/items?searchtext=${searchtext}&sub-category-id=${subCategoryId}&languages=${languages}&current_page=${page + 1}&items_per_page=${limit}` : "",
+        next_page_api: page < total_pages ? `/api/v1/items?${buildItemsQuery({
+            searchtext,
+            "sub-category-id": subCategoryId,
+            "category-id": categoryId,
+            "parent-category-id": parentCategoryId,
+            ids,
+            languages,
+            has_video: hasVideo,
+            video_id: videoId,
+            min_duration: minDuration,
+            max_duration: maxDuration,
+            include: req.query.include,
+            current_page: page + 1,
+            items_per_page: limit
+        })}` : "",
         items: paginatedResults
     });
 });
@@ -247,23 +949,49 @@ app.get('/api/v1/items', (req, res) => {
 
 
 
+// MPs for a pincode as JSON records with the Lok Sabha track CSV columns.
+// Served from the local PRS cache; a miss or ?refresh=true fetches and parses
+// prsindia.org. Without network, a stale cache entry or the MPs of the
+// pincode's constituencies from the Lok Sabha CSV are returned instead.
 app.get("/api/mp/:pincode", async (req, res) => {
-  try {
-    const { pincode } = req.params;
-
-    // Example: POST request to PRS India MPTrack with pincode
-    const response = await axios.post("https://prsindia.org/mptrack", {
-      search: pincode,
-    });
+  const pincode = normalizePincode(req.params.pincode);
+  if (!pincode) {
+    return res.status(400).json({ error: 'pincode must be a 6 digit Indian pincode' });
+  }
+  const refresh = req.query.refresh === 'true';
 
-    // NOTE: PRS returns HTML, not JSON → so you may need to parse it
-    // If you want structured JSON, you can scrape/parse here
-    res.send(response.data);
+  const cached = prsMpCache.get(pincode);
+  if (cached && !refresh) {
+    return res.json({ pincode, source: 'cache', fetched_at: cached.fetched_at, count: cached.mps.length, mps: cached.mps });
+  }
 
+  let fetchError;
+  try {
+    const fetched = await fetchPrsMps(pincode);
+    if (fetched.mps.length > 0) {
+      const entry = prsMpCache.set(pincode, { mps: fetched.mps, source: 'prsindia.org', profileUrls: fetched.profileUrls });
+      return res.json({ pincode, source: 'prsindia.org', fetched_at: entry.fetched_at, count: entry.mps.length, mps: entry.mps });
+    }
+    fetchError = 'no MPs found on prsindia.org';
   } catch (error) {
     console.error("Error fetching MP data:", error.message);
-    res.status(500).json({ error: "Failed to fetch MP data" });
+    fetchError = error.message;
+  }
+
+  if (cached) {
+    return res.json({ pincode, source: 'cache', stale: true, fetched_at: cached.fetched_at, warning: `Refresh failed: ${fetchError}`, count: cached.mps.length, mps: cached.mps });
+  }
+
+  const mapping = pincodeConstituencyIndex.lookup(pincode);
+  const mps = mapping.known ? filterByConstituencyNames(
+    mpDataCsv,
+    mapping.parliamentaryConstituencies.map(candidate => candidate.name),
+    row => row.pc_name
+  ) : [];
+  if (mps.length > 0) {
+    return res.json({ pincode, source: 'local', fetched_at: null, warning: `prsindia.org unavailable: ${fetchError}`, count: mps.length, mps: mps.map(toTrackRecord) });
   }
+  res.status(502).json({ error: "Failed to fetch MP data", details: fetchError });
 });
 
 
@@ -277,84 +1005,674 @@ app.get('/api/v1/data/full', (req, res) => {
         current_page: "1",
         next_page: "",
         next_page_api: "",
-        items: jsonData // Return entire dataset
+        items: jsonData.map(item => presentItem(item, { includeMultilineText: wantsMultilineText(req) })) // Return entire dataset
     });
 });
 
+// ✅ Get a Random Item (registered before /item/:id so "random" is not taken as an id)
+app.get('/api/v1/item/random', (req, res) => {
+    if (jsonData.length === 0) {
+        return res.status(404).json({ message: "No data available" });
+    }
+
+    const randomItem = jsonData[Math.floor(Math.random() * jsonData.length)];
+    res.json(presentItem(randomItem, { includeMultilineText: wantsMultilineText(req) }));
+});
+
 // ✅ Get a Single Item by ID
 app.get('/api/v1/item/:id', (req, res) => {
     const { id } = req.params;
-    const item = jsonData.find(item => item["category-id"] === id);
+    const item = jsonData.find(item => item.id === id);
 
     if (!item) {
         return res.status(404).json({ message: "Item not found" });
     }
 
-    res.json(item);
+    res.json(presentItem(item, { includeMultilineText: wantsMultilineText(req) }));
 });
 
-// ✅ Get All Unique Languages in Data
+// ✅ Get All Languages (from the language registry, with item counts)
 app.get('/api/v1/languages', (req, res) => {
-    const allLanguages = new Set();
-    jsonData.forEach(item => {
-        item.languages.forEach(lang => allLanguages.add(lang));
-    });
+    const details = languageRegistry.list().map(language => ({
+        ...language,
+        item_count: jsonData.filter(item => item.translations && item.translations[language.code]).length
+    }));
 
-    res.json({ languages: Array.from(allLanguages) });
+    res.json({ languages: details.map(language => language.code), details });
 });
 
-// ✅ Get All Categories Available
-app.get('/api/v1/categories', (req, res) => {
-    const categories = [...new Set(jsonData.map(item => item["category-id"]))];
-    res.json({ categories });
+// Source video as the video routes list it, without its clips
+const videoSummary = ({ clips, ...video }) => ({
+    ...video,
+    embed_url: `https://www.youtube.com/embed/${video.video_id}`,
+    clips_api: `/api/v1/videos/${encodeURIComponent(video.video_id)}`
 });
 
-// ✅ Delete an Item by ID
-app.delete('/api/v1/item/:id', (req, res) => {
-    const { id } = req.params;
-    const index = jsonData.findIndex(item => item["category-id"] === id);
+// 🎬 Get Source Videos (each with its clip count and span)
+app.get('/api/v1/videos', (req, res) => {
+    const videos = groupClipsByVideo(jsonData).map(videoSummary);
+    res.json({ total_count: videos.length, videos });
+});
 
-    if (index === -1) {
-        return res.status(404).json({ message: "Item not found" });
+// 🎬 Get a Video's Clips in Timeline Order, for playing a lesson in sequence
+app.get('/api/v1/videos/:videoId', (req, res) => {
+    const { videoId } = req.params;
+    const video = groupClipsByVideo(jsonData).find(group => group.video_id === videoId);
+    if (!video) {
+        return res.status(404).json({ message: "Video not found", video_id: videoId });
     }
 
-    jsonData.splice(index, 1);
-    res.json({ message: "Item deleted successfully", total_count: jsonData.length.toString() });
+    const languages = req.query.languages ? req.query.languages.split(",") : null;
+    const includeMultilineText = wantsMultilineText(req);
+    let previousEnd = null;
+    const clips = video.clips.map((clip, index) => {
+        const { start, end } = clip.video;
+        // Seconds of video between this clip and the one before; negative when they overlap
+        const gap = previousEnd !== null && start !== null ? parseFloat((start - previousEnd).toFixed(3)) : null;
+        if (end !== null) previousEnd = end;
+        return {
+            position: index + 1,
+            start,
+            end,
+            duration: clip.video.duration,
+            rate: clip.video.rate,
+            gap_before: gap,
+            embed_url: clip.video.embed_url,
+            item: presentItem(clip.item, { languages, includeMultilineText })
+        };
+    });
+
+    res.json({ ...videoSummary(video), clips });
 });
 
-// ✅ Update an Item by ID
-app.put('/api/v1/item/:id', (req, res) => {
-    const { id } = req.params;
-    const updatedData = req.body;
+// Items per category id, counted directly (not through sub-categories)
+function categoryItemCounts() {
+    const counts = new Map();
+    jsonData.forEach(item => {
+        if (item["category-id"] === undefined || item["category-id"] === null || item["category-id"] === "") return;
+        const id = String(item["category-id"]);
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return counts;
+}
 
-    const index = jsonData.findIndex(item => item["category-id"] === id);
-    if (index === -1) {
-        return res.status(404).json({ message: "Item not found" });
+// Category as served by the API: names in registry order (optionally only the
+// requested languages), a display name, the languages still unnamed, and item
+// counts for the category alone and with its sub-categories
+function presentCategory(category, { languages, counts }) {
+    const codes = languageRegistry.sortCodes(Object.keys(category.names))
+        .filter(code => !languages || languages.includes(code));
+    const nameCode = (languages || []).find(code => category.names[code]) ||
+        (category.names.en ? 'en' : languageRegistry.sortCodes(Object.keys(category.names))[0]);
+    return {
+        id: category.id,
+        parent_id: category.parent_id,
+        name: nameCode ? category.names[nameCode] : category.id,
+        names: Object.fromEntries(codes.map(code => [code, category.names[code]])),
+        missing_languages: languageRegistry.codes().filter(code => !category.names[code]),
+        icon: category.icon,
+        sort_order: category.sort_order,
+        depth: categoryTaxonomy.depth(category.id),
+        item_count: counts.get(category.id) || 0,
+        total_item_count: Array.from(categoryTaxonomy.descendantIds(category.id))
+            .reduce((sum, id) => sum + (counts.get(id) || 0), 0)
+    };
+}
+
+// Swap in and save a new taxonomy; responds and returns false when that fails
+function persistCategories(res, entries) {
+    let next;
+    try {
+        next = createCategoryTaxonomy(entries);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+        return false;
+    }
+    try {
+        saveCategories(categoriesFilePath, next);
+    } catch (error) {
+        console.error("❌ Error saving categories.json:", error);
+        res.status(500).json({ message: "Failed to save categories" });
+        return false;
+    }
+    categoryTaxonomy = next;
+    return true;
+}
+
+// ✅ Get All Categories (taxonomy order, with names and item counts).
+// ?tree=true nests sub-categories under their parents; ?parent_id= lists one level.
+app.get('/api/v1/categories', (req, res) => {
+    const languages = req.query.languages ? req.query.languages.split(",") : null;
+    const counts = categoryItemCounts();
+    const present = category => presentCategory(category, { languages, counts });
+
+    let categories = categoryTaxonomy.list();
+    if (req.query.parent_id !== undefined) {
+        if (req.query.parent_id && !categoryTaxonomy.has(req.query.parent_id)) {
+            return res.status(404).json({ message: "Category not found", id: req.query.parent_id });
+        }
+        categories = categoryTaxonomy.children(req.query.parent_id || null);
     }
 
-    jsonData[index] = { ...jsonData[index], ...updatedData };
-    res.json({ message: "Item updated successfully", updated_item: jsonData[index] });
+    // Ids items use that the taxonomy does not list (data.json edited by hand, or imported)
+    const unlisted = Array.from(counts.keys())
+        .filter(id => !categoryTaxonomy.has(id))
+        .sort(compareIds)
+        .map(id => ({ id, item_count: counts.get(id) }));
+
+    const nest = category => ({ ...present(category), children: categoryTaxonomy.children(category.id).map(nest) });
+    const details = req.query.tree === 'true'
+        ? categories.filter(category => req.query.parent_id !== undefined || category.parent_id === null).map(nest)
+        : categories.map(present);
+
+    res.json({ categories: categories.map(category => category.id), details, unlisted });
 });
 
-// ✅ Get a Random Item
-app.get('/api/v1/item/random', (req, res) => {
-    if (jsonData.length === 0) {
-        return res.status(404).json({ message: "No data available" });
+// ✅ Get a Single Category, with its path from the top and its sub-categories
+app.get('/api/v1/categories/:id', (req, res) => {
+    const category = categoryTaxonomy.get(req.params.id);
+    if (!category) {
+        return res.status(404).json({ message: "Category not found", id: req.params.id });
     }
+    const languages = req.query.languages ? req.query.languages.split(",") : null;
+    const counts = categoryItemCounts();
+    const present = entry => presentCategory(entry, { languages, counts });
 
-    const randomItem = jsonData[Math.floor(Math.random() * jsonData.length)];
-    res.json(randomItem);
+    res.json({
+        ...present(category),
+        path: categoryTaxonomy.ancestors(category.id).map(ancestor => ({ id: ancestor.id, name: present(ancestor).name })),
+        children: categoryTaxonomy.children(category.id).map(present),
+        items_api: `/api/v1/items?${buildItemsQuery({ "parent-category-id": category.id })}`
+    });
 });
 
-// ✅ Get Items Sorted by Category
-app.get('/api/v1/items/sorted', (req, res) => {
-    const sortedData = jsonData.slice().sort((a, b) => a["category-id"] - b["category-id"]);
+// ✅ Create a Category
+app.post('/api/v1/categories', requireAdmin, (req, res) => {
+    const { category, error } = readCategory(req.body, { taxonomy: categoryTaxonomy, languageCodes: languageRegistry.codes() });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    if (category.id === null) category.id = nextCategoryId(categoryTaxonomy);
+    if (categoryTaxonomy.has(category.id)) {
+        return res.status(409).json({ message: "A category with this id already exists", id: category.id });
+    }
 
-    res.json({ total_count: sortedData.length.toString(), results: sortedData });
+    if (!persistCategories(res, [...categoryTaxonomy.toJSON(), category])) return;
+    res.status(201).json({
+        message: "Category created successfully",
+        category: presentCategory(categoryTaxonomy.get(category.id), { counts: categoryItemCounts() })
+    });
 });
 
-// Helper function to generate Wikipedia URL from place name
-function generateWikipediaUrl(placeName) {
+// ✅ Update a Category: given fields replace the stored ones, names per language
+app.put('/api/v1/categories/:id', requireAdmin, (req, res) => {
+    const current = categoryTaxonomy.get(req.params.id);
+    if (!current) {
+        return res.status(404).json({ message: "Category not found", id: req.params.id });
+    }
+    const { category, error } = readCategory(req.body, { current, taxonomy: categoryTaxonomy, languageCodes: languageRegistry.codes() });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const entries = categoryTaxonomy.toJSON().map(entry => (entry.id === current.id ? category : entry));
+    if (!persistCategories(res, entries)) return;
+    res.json({
+        message: "Category updated successfully",
+        category: presentCategory(categoryTaxonomy.get(current.id), { counts: categoryItemCounts() })
+    });
+});
+
+// ✅ Delete a Category (only once no items or sub-categories use it)
+app.delete('/api/v1/categories/:id', requireAdmin, (req, res) => {
+    const category = categoryTaxonomy.get(req.params.id);
+    if (!category) {
+        return res.status(404).json({ message: "Category not found", id: req.params.id });
+    }
+    const children = categoryTaxonomy.children(category.id);
+    const itemCount = categoryItemCounts().get(category.id) || 0;
+    if (children.length || itemCount) {
+        return res.status(409).json({
+            message: "Move the category's items and sub-categories elsewhere first",
+            id: category.id,
+            item_count: itemCount,
+            children: children.map(child => child.id)
+        });
+    }
+
+    if (!persistCategories(res, categoryTaxonomy.toJSON().filter(entry => entry.id !== category.id))) return;
+    res.json({ message: "Category deleted successfully", id: category.id, total_count: categoryTaxonomy.list().length });
+});
+
+// A category-id from an item body that the taxonomy does not know, or null
+function unknownCategoryId(body) {
+    const id = body["category-id"];
+    if (id === undefined || id === null || id === "") return null;
+    return categoryTaxonomy.has(id) ? null : String(id);
+}
+
+// Save jsonData to data.json, putting `previous` back in memory if the write fails
+function persistItems(res, previous) {
+    try {
+        const snapshotId = itemStore.save(jsonData);
+        reindexItems();
+        // Our own write, not a change for the file watcher
+        datasetImports.markLoaded('items', 'api');
+        return snapshotId;
+    } catch (error) {
+        console.error("❌ Error saving data.json:", error);
+        jsonData = previous;
+        res.status(500).json({ message: "Failed to save data" });
+        return false;
+    }
+}
+
+const dropEmptyTranslations = (translations) => Object.fromEntries(
+    Object.entries(translations).filter(([, text]) => typeof text === 'string' && text.trim())
+);
+
+// ✅ Create a New Item
+app.post('/api/v1/items', requireAdmin, (req, res) => {
+    const newItem = req.body;
+
+    if (!newItem || typeof newItem !== 'object' || Array.isArray(newItem)) {
+        return res.status(400).json({ message: "Request body must be a JSON object" });
+    }
+    const { translations, error } = readTranslations(newItem);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    if (!translations || !Object.values(translations).some(text => text && text.trim())) {
+        return res.status(400).json({ message: "translations (or multiline_text) is required" });
+    }
+    const unknownCategory = unknownCategoryId(newItem);
+    if (unknownCategory) {
+        return res.status(400).json({ message: `Unknown category-id: ${unknownCategory}. Create it with POST /api/v1/categories first.` });
+    }
+
+    const previous = jsonData;
+    const { id: _ignoredId, multiline_text: _multilineText, languages: _languages, media: _media, translations: _translations, ...fields } = newItem;
+    const item = { id: generateItemId(), translations: dropEmptyTranslations(translations), ...fields };
+    jsonData = [...jsonData, item];
+    const snapshotId = persistItems(res, previous);
+    if (snapshotId === false) return;
+
+    res.status(201).json({ message: "Item created successfully", item: presentItem(item), total_count: jsonData.length.toString(), snapshot_id: snapshotId });
+});
+
+// ✅ Delete an Item by ID
+app.delete('/api/v1/item/:id', requireAdmin, (req, res) => {
+    const { id } = req.params;
+    const index = jsonData.findIndex(item => item.id === id);
+
+    if (index === -1) {
+        return res.status(404).json({ message: "Item not found" });
+    }
+
+    const previous = jsonData;
+    jsonData = jsonData.filter((_, i) => i !== index);
+    const snapshotId = persistItems(res, previous);
+    if (snapshotId === false) return;
+
+    res.json({ message: "Item deleted successfully", total_count: jsonData.length.toString(), snapshot_id: snapshotId });
+});
+
+// ✅ Update an Item by ID
+app.put('/api/v1/item/:id', requireAdmin, (req, res) => {
+    const { id } = req.params;
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ message: "Request body must be a JSON object" });
+    }
+    // The id is permanent, so it is never taken from the request body
+    const { id: _ignoredId, multiline_text: _multilineText, languages: _languages, media: _media, translations: _translations, ...updatedData } = body;
+
+    const index = jsonData.findIndex(item => item.id === id);
+    if (index === -1) {
+        return res.status(404).json({ message: "Item not found" });
+    }
+
+    const { translations, error } = readTranslations(body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    const unknownCategory = unknownCategoryId(body);
+    if (unknownCategory) {
+        return res.status(400).json({ message: `Unknown category-id: ${unknownCategory}. Create it with POST /api/v1/categories first.` });
+    }
+
+    const previous = jsonData;
+    const current = jsonData[index];
+    jsonData = jsonData.slice();
+    jsonData[index] = {
+        ...current,
+        ...updatedData,
+        // Given languages replace their text; null or "" removes a language
+        translations: translations ? dropEmptyTranslations({ ...current.translations, ...translations }) : current.translations
+    };
+    const snapshotId = persistItems(res, previous);
+    if (snapshotId === false) return;
+
+    res.json({ message: "Item updated successfully", updated_item: presentItem(jsonData[index]), snapshot_id: snapshotId });
+});
+
+// 🗂️ List data.json Snapshots (newest first)
+app.get('/api/v1/data/snapshots', requireAdmin, (req, res) => {
+    try {
+        const snapshots = itemStore.listSnapshots();
+        res.json({ count: snapshots.length, snapshots });
+    } catch (error) {
+        console.error("❌ Error listing snapshots:", error);
+        res.status(500).json({ message: "Failed to list snapshots" });
+    }
+});
+
+// 🗂️ Restore data.json from a Snapshot
+app.post('/api/v1/data/snapshots/:id/restore', requireAdmin, (req, res) => {
+    const { id } = req.params;
+    // The live items, to fall back to when the restored snapshot cannot be saved
+    const previous = jsonData;
+
+    let restored;
+    try {
+        restored = itemStore.restore(id);
+    } catch (error) {
+        console.error("❌ Error restoring snapshot:", error);
+        return res.status(500).json({ message: "Failed to restore snapshot" });
+    }
+    if (!restored) {
+        return res.status(404).json({ message: "Snapshot not found", id });
+    }
+
+    // Snapshots from before a migration are brought up to date straight away
+    const migration = migrateItems(restored.items);
+    jsonData = migration.items;
+    if (migration.changed && persistItems(res, previous) === false) {
+        // data.json already holds the snapshot: put back the file that was live
+        if (restored.snapshotId) {
+            try {
+                itemStore.restore(restored.snapshotId);
+            } catch (error) {
+                console.error("❌ Error putting data.json back after a failed restore:", error);
+            }
+        }
+        return;
+    }
+    reindexItems();
+    datasetImports.markLoaded('items', 'snapshot_restore');
+    res.json({
+        message: "Snapshot restored successfully",
+        restored_snapshot: id,
+        snapshot_id: restored.snapshotId,
+        total_count: jsonData.length.toString()
+    });
+});
+
+// 🖼️ Image Curation Report: images kept and dropped per neighborhood
+app.get('/api/v1/admin/image-curation', requireAdmin, (req, res) => {
+    const { place, reason } = req.query;
+
+    let places = imageCuration.places;
+    if (place) {
+        const wanted = normalizeName(place);
+        places = places.filter(entry => normalizeName(entry.placeName).includes(wanted));
+    }
+    if (reason) {
+        places = places.filter(entry => entry.dropped_by_reason[reason]);
+    }
+
+    res.json({ totals: imageCuration.totals, count: places.length, places });
+});
+
+// 🩺 Data Health: rejected and suspicious rows per dataset
+app.get('/api/v1/admin/data-health', requireAdmin, (req, res) => {
+    const { dataset, limit = 20 } = req.query;
+
+    const maxRows = parseInt(limit);
+    if (isNaN(maxRows) || maxRows < 0) {
+        return res.status(400).json({ message: "limit must be zero or a positive number" });
+    }
+
+    // Items change through the API, so they are checked as they are now
+    const items = checkRecords(DATASETS.ITEMS, jsonData.map((record, index) => ({ record, location: { index } })), 'data.json');
+    items.report.error = itemsLoadError;
+    const reports = { ...dataHealth, items: items.report };
+
+    if (dataset && !reports[dataset]) {
+        return res.status(404).json({ message: "Unknown dataset", dataset, datasets: Object.keys(reports) });
+    }
+
+    const names = dataset ? [dataset] : Object.keys(reports);
+    const datasets = {};
+    names.forEach(name => {
+        datasets[name] = summarizeReport(reports[name], maxRows);
+    });
+    const statuses = Object.values(datasets).map(report => report.status);
+
+    res.json({
+        status: statuses.includes('error') ? 'error' : (statuses.includes('warnings') ? 'warnings' : 'ok'),
+        datasets
+    });
+});
+
+// Cross-dataset consistency report for the loaded place data, worked out on
+// first use after each (re)load
+let consistency = null;
+function consistencyReport() {
+    if (!consistency || consistency.loads !== placeLoads) {
+        consistency = {
+            loads: placeLoads,
+            report: checkConsistency({
+                neighborhoods: neighborhoodsData,
+                neighborhoodIds: neighborhoodIdOf,
+                pincodes: pincodeData,
+                mlas: mlaData,
+                mps: mpDataCsv,
+                boundaries: constituencyBoundaries,
+                getVidhanSabha: getVidhanSabhaConstituency,
+                getLokSabha: getLokSabhaConstituency
+            })
+        };
+    }
+    return consistency.report;
+}
+
+const CONSISTENCY_TABLES = ['states', 'districts', 'pincodes', 'assembly_constituencies', 'parliamentary_constituencies'];
+
+// 🧮 Consistency Report: pincodes, districts and constituencies across datasets
+app.get('/api/v1/admin/consistency', requireAdmin, (req, res) => {
+    const { code, severity, dataset } = req.query;
+    const maxRows = parseInt(req.query.limit === undefined ? 20 : req.query.limit);
+    const offset = parseInt(req.query.offset === undefined ? 0 : req.query.offset);
+    if (isNaN(maxRows) || maxRows < 0 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ message: "limit and offset must be zero or positive numbers" });
+    }
+    const codes = code ? String(code).split(',').map(value => value.trim()) : null;
+    const unknownCode = codes && codes.find(value => !ISSUE_SEVERITY[value]);
+    if (unknownCode) {
+        return res.status(400).json({ message: `Unknown issue code: ${unknownCode}`, codes: Object.keys(ISSUE_SEVERITY) });
+    }
+
+    const report = consistencyReport();
+    const issues = report.issues.filter(issue =>
+        (!codes || codes.includes(issue.code)) &&
+        (!severity || issue.severity === severity) &&
+        (!dataset || issue.dataset === dataset));
+
+    res.json({
+        status: report.status,
+        checked_at: report.checked_at,
+        counts: report.counts,
+        tables: Object.fromEntries(CONSISTENCY_TABLES.map(table => [table, report.tables[table].length])),
+        count: issues.length,
+        offset,
+        issues: issues.slice(offset, offset + maxRows)
+    });
+});
+
+// 🧮 Canonical ID Table: every spelling of each unit, by dataset
+app.get('/api/v1/admin/consistency/tables/:table', requireAdmin, (req, res) => {
+    const { table } = req.params;
+    if (!CONSISTENCY_TABLES.includes(table)) {
+        return res.status(404).json({ message: "Unknown table", table, tables: CONSISTENCY_TABLES });
+    }
+    const maxRows = parseInt(req.query.limit === undefined ? 100 : req.query.limit);
+    const offset = parseInt(req.query.offset === undefined ? 0 : req.query.offset);
+    if (isNaN(maxRows) || maxRows < 0 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ message: "limit and offset must be zero or positive numbers" });
+    }
+
+    const wanted = req.query.q ? normalizeName(req.query.q) : null;
+    const rows = consistencyReport().tables[table].filter(row => !wanted ||
+        normalizeName(row.id).includes(wanted) ||
+        Object.values(row.spellings).some(spellings => Object.keys(spellings).some(spelling => normalizeName(spelling).includes(wanted))));
+
+    res.json({ table, count: rows.length, offset, rows: rows.slice(offset, offset + maxRows) });
+});
+
+// Read a dataset from disk again and swap it in. Throws, keeping the data in
+// memory, when the file cannot be used.
+function reloadFromDisk(name) {
+    if (name === 'items') {
+        const migration = migrateItems(itemStore.load());
+        if (migration.changed) itemStore.save(migration.items);
+        jsonData = migration.items;
+        itemsLoadError = null;
+        reindexItems();
+        return { records: jsonData.length };
+    }
+    const loaded = readPlaceDataset(name);
+    if (loaded.report.error && loaded.records.length === 0) {
+        throw new Error(loaded.report.error);
+    }
+    applyPlaceData(buildPlaceData({ ...placeLoads, [name]: loaded }));
+    logPlaceDataset(name, loaded);
+    return {
+        records: loaded.records.length,
+        rejected: loaded.report.rejected_count,
+        flagged: loaded.report.suspicious_count
+    };
+}
+
+// Staged uploads for every dataset; data.json writes keep a snapshot like API edits do
+const datasetImports = createDatasetImports({
+    sources: {
+        items: { definition: DATASETS.ITEMS, file: dataFilePath, write: (filePath, text) => itemStore.saveText(text) },
+        ...PLACE_DATASETS
+    },
+    reload: reloadFromDisk
+});
+setInterval(() => datasetImports.sweep(), 10 * 60 * 1000).unref();
+
+// WATCH_DATA_FILES=1 reloads a dataset whenever its file changes on disk
+const WATCH_DATA_FILES = /^(1|true|yes)$/i.test(process.env.WATCH_DATA_FILES || '');
+if (WATCH_DATA_FILES) {
+    datasetImports.watch({
+        onReload: (name, error, result) => {
+            if (error) {
+                console.error(`❌ Error reloading ${name}, keeping the loaded data:`, error.message);
+            } else {
+                console.log(`✅ ${name} reloaded after a file change. Total records:`, result.records);
+            }
+        }
+    });
+    console.log("✅ Watching dataset files for changes");
+}
+
+// 🗄️ Datasets: files, when they were loaded, and whether they changed since
+app.get('/api/v1/admin/datasets', requireAdmin, (req, res) => {
+    const datasets = datasetImports.datasets().map(dataset => ({
+        ...dataset,
+        records: dataset.dataset === 'items' ? jsonData.length : placeLoads[dataset.dataset].records.length
+    }));
+    res.json({ watching: WATCH_DATA_FILES, datasets });
+});
+
+// 🗄️ Stage a Dataset Upload: a replacement file, or with ?mode=patch records to
+// upsert / remove. Validated in the background; poll the import for the diff.
+app.post('/api/v1/admin/datasets/:dataset/imports', requireAdmin, (req, res) => {
+    const { mode = 'replace', file } = req.query;
+    const uploaded = typeof req.body === 'string' || Array.isArray(req.body) ||
+        (req.body && Object.keys(req.body).length > 0) ? req.body : undefined;
+
+    const staged = datasetImports.stage(req.params.dataset, { mode, file, body: uploaded });
+    if (staged.error) {
+        return res.status(400).json({ message: staged.error });
+    }
+    res.status(202).location(`/api/v1/admin/imports/${staged.import.id}`).json(staged.import);
+});
+
+// 🗄️ Reload a Dataset from Disk
+app.post('/api/v1/admin/datasets/:dataset/reload', requireAdmin, (req, res) => {
+    const { dataset } = req.params;
+    if (dataset !== 'items' && !PLACE_DATASETS[dataset]) {
+        return res.status(404).json({ message: "Unknown dataset", dataset });
+    }
+    try {
+        res.json(datasetImports.reloadDataset(dataset, 'admin'));
+    } catch (error) {
+        console.error(`❌ Error reloading ${dataset}:`, error.message);
+        res.status(422).json({ message: `Reload failed, the loaded data is kept: ${error.message}` });
+    }
+});
+
+// 🗄️ Staged Imports
+app.get('/api/v1/admin/imports', requireAdmin, (req, res) => {
+    const imports = datasetImports.list();
+    res.json({ count: imports.length, imports });
+});
+
+// 🗄️ Import Status, Validation Report and Diff (added, removed and changed records)
+app.get('/api/v1/admin/imports/:id', requireAdmin, (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 0) {
+        return res.status(400).json({ message: "limit must be zero or a positive number" });
+    }
+    const described = datasetImports.get(req.params.id, limit);
+    if (!described) {
+        return res.status(404).json({ message: "Import not found", id: req.params.id });
+    }
+    res.json(described);
+});
+
+// 🗄️ Commit an Import: write the file and swap the dataset in
+app.post('/api/v1/admin/imports/:id/commit', requireAdmin, (req, res) => {
+    let committed;
+    try {
+        committed = datasetImports.commit(req.params.id);
+    } catch (error) {
+        console.error("❌ Error committing import:", error);
+        return res.status(500).json({ message: "Failed to write the dataset" });
+    }
+    if (!committed) {
+        return res.status(404).json({ message: "Import not found", id: req.params.id });
+    }
+    if (committed.error) {
+        return res.status(409).json({ message: committed.error });
+    }
+    console.log(`✅ ${committed.import.dataset} import committed. Total records:`, committed.reload.records);
+    res.json(committed);
+});
+
+// 🗄️ Discard an Import
+app.delete('/api/v1/admin/imports/:id', requireAdmin, (req, res) => {
+    if (!datasetImports.discard(req.params.id)) {
+        return res.status(404).json({ message: "Import not found", id: req.params.id });
+    }
+    res.json({ message: "Import discarded", id: req.params.id });
+});
+
+// ✅ Get Items Sorted by Category (taxonomy order; ids it does not list last, in id order)
+app.get('/api/v1/items/sorted', (req, res) => {
+    const sortedData = jsonData.slice().sort((a, b) =>
+        categoryTaxonomy.rank(a["category-id"]) - categoryTaxonomy.rank(b["category-id"]) ||
+        compareIds(String(a["category-id"]), String(b["category-id"])));
+
+    res.json({ total_count: sortedData.length.toString(), results: sortedData });
+});
+
+// Helper function to generate Wikipedia URL from place name
+function generateWikipediaUrl(placeName) {
     if (!placeName || placeName === 'N/A') return null;
     
     // Clean the place name for URL
@@ -368,48 +1686,328 @@ function generateWikipediaUrl(placeName) {
     return `https://en.wikipedia.org/wiki/${cleanName}`;
 }
 
+// Constituency names from a neighborhood record (null when missing or "N/A")
+function getLokSabhaConstituency(place) {
+    const lokSabha = place.lokSabhaConstituency || place.LokSabhaConstituency;
+    return (lokSabha && lokSabha !== 'N/A') ? lokSabha : null;
+}
+
+function getVidhanSabhaConstituency(place) {
+    const vidhanSabha = place.vidhanSabhaConstituency || place.VidhanSabhaConstituency || place.AssemblyConstituency;
+    return (vidhanSabha && vidhanSabha !== 'N/A') ? vidhanSabha : null;
+}
+
+// Neighborhood as the place listing routes return it
+function neighborhoodResult(place, distance) {
+    return {
+        placeName: place.placeName,
+        placeType: place.placeType,
+        country: place.country,
+        state: place.state,
+        region: place.region,
+        district: place.district,
+        pincode: place.pincode,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        lokSabhaConstituency: getLokSabhaConstituency(place),
+        vidhanSabhaConstituency: getVidhanSabhaConstituency(place),
+        imageUrls: place.imageUrls,
+        primaryImage: place.primaryImage,
+        images: place.images,
+        wikipediaUrl: generateWikipediaUrl(place.placeName),
+        distance_km: parseFloat(distance.toFixed(2))
+    };
+}
+
 // API: Get neighborhoods within a given range (km) of given lat/lng (returns only required fields)
-app.get('/api/v1/neighborhoods/nearby', (req, res) => {
-    const { lat, lng, range } = req.query;
-    if (!lat || !lng) {
-        return res.status(400).json({ message: "lat and lng query parameters are required" });
+// Also k nearest (k=), map viewport (bbox=) and, via POST .../within, a polygon
+function neighborhoodsNearby(req, res) {
+    listPlaces(req, res, {
+        types: ['neighborhood'],
+        collect: (area) => placeEntries(neighborhoodIndex, area, 'neighborhoods', 0, neighborhoodResult),
+        respond: (recordsOf, input) => ({
+            count: recordsOf('neighborhoods').length,
+            input,
+            places: recordsOf('neighborhoods')
+        }),
+        layers: ['neighborhoods'],
+        title: 'neighborhoods-nearby'
+    });
+}
+app.get('/api/v1/neighborhoods/nearby', neighborhoodsNearby);
+app.post('/api/v1/neighborhoods/within', neighborhoodsNearby);
+
+// Neighborhood record as the editing routes return it: the stored fields, its
+// id and, read-only, the image list the other routes serve after curation
+function neighborhoodRecord(position) {
+    const place = neighborhoodsData[position];
+    const stored = { ...place, imageUrls: placeLoads.neighborhoods.storedImageUrls[position] };
+    const record = { id: neighborhoodIdOf[position] };
+    NEIGHBORHOOD_FIELDS.forEach(field => {
+        if (stored[field] !== undefined) record[field] = stored[field];
+    });
+    record.curatedImageUrls = place.imageUrls;
+    return record;
+}
+
+// Row of neighborhoods_data_ss.json a loaded neighborhood came from, and back
+const fileIndexOf = (position) => placeLoads.neighborhoods.locations[position].index;
+const positionOfFileIndex = (index) => placeLoads.neighborhoods.locations.findIndex(location => location.index === index);
+
+// Warning when a new name and district already has a record
+function duplicateWarning(record) {
+    const slug = neighborhoodSlug(record);
+    const position = neighborhoodsData.findIndex(place => neighborhoodSlug(place) === slug);
+    return position === -1
+        ? []
+        : [{ code: 'duplicate', message: 'a neighborhood with this name and district already exists', duplicate_of: neighborhoodIdOf[position] }];
+}
+
+// Rewrite neighborhoods_data_ss.json through edit(records) and swap it in;
+// sends the error response and returns null when that fails. Ids are stored
+// before the edit, so a record renamed by it keeps the id it was found by.
+function editNeighborhoods(res, edit, options) {
+    let edited;
+    try {
+        edited = datasetImports.editDataset('neighborhoods', records => {
+            assignNeighborhoodIds(records);
+            const outcome = edit(records);
+            if (outcome === false || (outcome && outcome.error)) return outcome;
+            assignNeighborhoodIds(records);
+            return outcome;
+        }, options);
+    } catch (error) {
+        console.error("❌ Error saving neighborhoods_data_ss.json:", error);
+        res.status(500).json({ message: "Failed to save neighborhoods" });
+        return null;
     }
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const maxDistance = range ? parseFloat(range) : 50; // Default to 50km if not provided
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(maxDistance)) {
-        return res.status(400).json({ message: "lat, lng, and range must be valid numbers" });
+    if (edited.error) {
+        res.status(edited.status || 409).json({ message: edited.error, ...edited.details });
+        return null;
     }
-    const results = neighborhoodsData
-        .map(place => {
-            const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
-            return {
-                placeName: place.placeName,
-                placeType: place.placeType,
-                country: place.country,
-                state: place.state,
-                region: place.region,
-                district: place.district,
-                pincode: place.pincode,
-                lokSabhaConstituency: (() => {
-                    const lokSabha = place.lokSabhaConstituency || place.LokSabhaConstituency;
-                    return (lokSabha && lokSabha !== 'N/A') ? lokSabha : null;
-                })(),
-                vidhanSabhaConstituency: (() => {
-                    const vidhanSabha = place.vidhanSabhaConstituency || place.VidhanSabhaConstituency || place.AssemblyConstituency;
-                    return (vidhanSabha && vidhanSabha !== 'N/A') ? vidhanSabha : null;
-                })(),
-                imageUrls: place.imageUrls,
-                wikipediaUrl: generateWikipediaUrl(place.placeName),
-                distance_km: parseFloat(distance.toFixed(2))
-            };
+    return edited;
+}
+
+// 🏘️ List Neighborhood Records (with the ids the editing routes take)
+app.get('/api/v1/neighborhoods/records', (req, res) => {
+    const { q, district, state } = req.query;
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+    if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ message: "limit must be between 1 and 1000 and offset zero or more" });
+    }
+
+    const wanted = q ? normalizeName(q) : null;
+    const positions = neighborhoodsData.map((place, position) => position).filter(position => {
+        const place = neighborhoodsData[position];
+        return (!wanted || normalizeName(place.placeName).includes(wanted)) &&
+            (!district || normalizeName(place.district) === normalizeName(district)) &&
+            (!state || normalizeName(place.state) === normalizeName(state));
+    });
+    res.json({
+        count: positions.length,
+        limit,
+        offset,
+        records: positions.slice(offset, offset + limit).map(neighborhoodRecord)
+    });
+});
+
+// 🏘️ Get a Neighborhood Record
+app.get('/api/v1/neighborhoods/records/:id', (req, res) => {
+    const position = neighborhoodById.get(req.params.id);
+    if (position === undefined) {
+        return res.status(404).json({ message: "Neighborhood not found", id: req.params.id });
+    }
+    res.json(neighborhoodRecord(position));
+});
+
+// 🏘️ Create a Neighborhood Record
+app.post('/api/v1/neighborhoods/records', requireAdmin, (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ message: "Request body must be a JSON object" });
+    }
+    const unknown = unknownFields(body);
+    if (unknown.length) {
+        return res.status(400).json({ message: `Unknown fields: ${unknown.join(', ')}`, fields: NEIGHBORHOOD_FIELDS });
+    }
+    const { id, curatedImageUrls: _curated, ...fields } = body;
+    if (id !== undefined) {
+        return res.status(400).json({ message: "A new neighborhood's id is assigned, not given" });
+    }
+    const checked = checkNeighborhood(fields);
+    if (checked.errors) {
+        return res.status(400).json({ message: "Invalid neighborhood", errors: checked.errors });
+    }
+    const warnings = [...checked.warnings, ...duplicateWarning(checked.record)];
+
+    if (!editNeighborhoods(res, records => { records.push(checked.record); })) return;
+    res.status(201).json({
+        message: "Neighborhood created successfully",
+        neighborhood: neighborhoodRecord(neighborhoodsData.length - 1),
+        warnings
+    });
+});
+
+// 🏘️ Update a Neighborhood Record: given fields replace the stored ones
+app.put('/api/v1/neighborhoods/records/:id', requireAdmin, (req, res) => {
+    const position = neighborhoodById.get(req.params.id);
+    if (position === undefined) {
+        return res.status(404).json({ message: "Neighborhood not found", id: req.params.id });
+    }
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ message: "Request body must be a JSON object" });
+    }
+    const unknown = unknownFields(body);
+    if (unknown.length) {
+        return res.status(400).json({ message: `Unknown fields: ${unknown.join(', ')}`, fields: NEIGHBORHOOD_FIELDS });
+    }
+    // The id may be sent back as it was read, but not changed; the curated
+    // images are derived, so they are ignored
+    const { id, curatedImageUrls: _curated, ...fields } = body;
+    if (id !== undefined && id !== req.params.id) {
+        return res.status(400).json({ message: "A neighborhood's id cannot be changed" });
+    }
+
+    const fileIndex = fileIndexOf(position);
+    let warnings = [];
+    const edited = editNeighborhoods(res, records => {
+        const checked = checkNeighborhood({ ...records[fileIndex], ...fields });
+        if (checked.errors) {
+            return { error: "Invalid neighborhood", status: 400, details: { errors: checked.errors } };
+        }
+        warnings = checked.warnings;
+        records[fileIndex] = checked.record;
+    });
+    if (!edited) return;
+    res.json({
+        message: "Neighborhood updated successfully",
+        neighborhood: neighborhoodRecord(positionOfFileIndex(fileIndex)),
+        warnings
+    });
+});
+
+// 🏘️ Delete a Neighborhood Record
+app.delete('/api/v1/neighborhoods/records/:id', requireAdmin, (req, res) => {
+    const position = neighborhoodById.get(req.params.id);
+    if (position === undefined) {
+        return res.status(404).json({ message: "Neighborhood not found", id: req.params.id });
+    }
+    const deleted = neighborhoodRecord(position);
+    const fileIndex = fileIndexOf(position);
+    if (!editNeighborhoods(res, records => { records.splice(fileIndex, 1); })) return;
+    res.json({ message: "Neighborhood deleted successfully", deleted, total_count: neighborhoodsData.length });
+});
+
+// Loaded neighborhood a scraped record describes: same name (spelling aside),
+// same or unknown district, and close by when both have coordinates
+const WIKIPEDIA_MATCH_RANGE_KM = 5;
+function findScrapedNeighborhood(scraped) {
+    const name = phoneticKey(scraped.placeName);
+    const district = knownValue(scraped.district) ? phoneticKey(scraped.district.replace(/\s+district$/i, '')) : null;
+    return neighborhoodsData
+        .map((place, position) => ({
+            position,
+            distance: scraped.latitude === undefined || place.latitude === null ? null
+                : haversineDistance(scraped.latitude, scraped.longitude, place.latitude, place.longitude)
+        }))
+        .filter(({ position, distance }) => {
+            const place = neighborhoodsData[position];
+            return phoneticKey(place.placeName) === name &&
+                (!district || !knownValue(place.district) || phoneticKey(place.district.replace(/\s+district$/i, '')) === district) &&
+                (distance === null || distance <= WIKIPEDIA_MATCH_RANGE_KM);
         })
-        .filter(place => place.distance_km <= maxDistance)
-        .sort((a, b) => a.distance_km - b.distance_km);
+        .sort((a, b) => (a.distance === null) - (b.distance === null) || a.distance - b.distance || a.position - b.position);
+}
+
+// 📥 Import a Saved Wikipedia Article: create the neighborhood, or merge it into
+// the matching record. Disagreements are reported as conflicts and the stored
+// value kept, unless the field is listed in ?accept= (use "coordinates" for
+// latitude / longitude). ?id= picks the record; ?dry_run=true only previews.
+app.post('/api/v1/neighborhoods/records/import/wikipedia', requireAdmin, (req, res) => {
+    const html = typeof req.body === 'string' ? req.body : (req.body && req.body.html);
+    if (typeof html !== 'string' || !html.trim()) {
+        return res.status(400).json({ message: "Post the article HTML as text/html, or as { html, url } JSON" });
+    }
+    const accept = String(req.query.accept || '').split(',').map(field => field.trim()).filter(Boolean);
+    const unknownAccept = accept.filter(field => field !== 'coordinates' && !NEIGHBORHOOD_FIELDS.includes(field));
+    if (unknownAccept.length) {
+        return res.status(400).json({ message: `accept lists unknown fields: ${unknownAccept.join(', ')}` });
+    }
+    const dryRun = req.query.dry_run === 'true';
+
+    const { record: scraped, source } = parseWikipediaPlacePage(html, { pageUrl: req.body.url || null });
+    if (!scraped.placeName) {
+        return res.status(400).json({ message: "No place name found in the article" });
+    }
+
+    let target = null;
+    let otherMatches = [];
+    if (req.query.id) {
+        target = neighborhoodById.get(req.query.id);
+        if (target === undefined) {
+            return res.status(404).json({ message: "Neighborhood not found", id: req.query.id });
+        }
+    } else {
+        const matches = findScrapedNeighborhood(scraped);
+        if (matches.length) target = matches[0].position;
+        otherMatches = matches.slice(1).map(match => neighborhoodIdOf[match.position]);
+    }
+
+    // No match: a new record in the scraper's layout ("N/A" for what the page lacks)
+    if (target === null) {
+        const record = {};
+        NEIGHBORHOOD_FIELDS.forEach(field => {
+            record[field] = scraped[field] !== undefined ? scraped[field] : (field === 'imageUrls' ? [] : 'N/A');
+        });
+        if (scraped.latitude === undefined) {
+            return res.status(400).json({ message: "The article has no coordinates, so it cannot be added as a new neighborhood", scraped, source });
+        }
+        const checked = checkNeighborhood(record);
+        if (checked.errors) {
+            return res.status(400).json({ message: "Invalid neighborhood", errors: checked.errors, scraped, source });
+        }
+        const warnings = checked.warnings;
+        if (!editNeighborhoods(res, records => { records.push(checked.record); }, { dryRun })) return;
+        return res.status(dryRun ? 200 : 201).json({
+            action: 'created',
+            dry_run: dryRun,
+            neighborhood: dryRun ? { id: neighborhoodIds([...neighborhoodsData, checked.record]).pop(), ...checked.record } : neighborhoodRecord(neighborhoodsData.length - 1),
+            filled: Object.keys(scraped),
+            accepted: [],
+            conflicts: [],
+            warnings,
+            source
+        });
+    }
+
+    const fileIndex = fileIndexOf(target);
+    let merge = null;
+    let merged = null;
+    const edited = editNeighborhoods(res, records => {
+        merge = mergeNeighborhood(records[fileIndex], scraped, accept);
+        if (merge.filled.length === 0 && merge.accepted.length === 0) return false;
+        const checked = checkNeighborhood(merge.record);
+        if (checked.errors) {
+            return { error: "The merged neighborhood is invalid", status: 400, details: { errors: checked.errors } };
+        }
+        merged = checked.record;
+        records[fileIndex] = merged;
+    }, { dryRun });
+    if (!edited) return;
+
+    const changed = merge.filled.length > 0 || merge.accepted.length > 0;
     res.json({
-        count: results.length,
-        input: { lat: latitude, lng: longitude, range: maxDistance },
-        places: results
+        action: changed ? 'merged' : 'unchanged',
+        dry_run: dryRun,
+        neighborhood: edited.reload ? neighborhoodRecord(positionOfFileIndex(fileIndex))
+            : (merged ? { id: neighborhoodIdOf[target], ...merged } : neighborhoodRecord(target)),
+        filled: merge.filled,
+        accepted: merge.accepted,
+        conflicts: merge.conflicts,
+        other_matches: otherMatches,
+        source
     });
 });
 
@@ -487,34 +2085,13 @@ app.get('/api/v1/pincode/search', (req, res) => {
         );
     }
     
-    res.json({
+    sendLocations(req, res, {
         count: filteredData.length,
         filters: { pincode, state, district, office },
         results: filteredData
-    });
+    }, [{ name: 'pincodes', records: filteredData }], { title: 'pincode-search' });
 });
 
-// 🔍 Get Pincode Details by Exact Pincode
-app.get('/api/v1/pincode/:pincode', (req, res) => {
-    const { pincode } = req.params;
-    
-    const pincodeDetails = pincodeData.filter(record => 
-        record.Pincode && record.Pincode.toString() === pincode.toString()
-    );
-    
-    if (pincodeDetails.length === 0) {
-        return res.status(404).json({ 
-            message: "Pincode not found",
-            pincode: pincode
-        });
-    }
-    
-    res.json({
-        pincode: pincode,
-        count: pincodeDetails.length,
-        details: pincodeDetails
-    });
-});
 
 // 🔍 Get Pincodes by State
 app.get('/api/v1/pincode/state/:state', (req, res) => {
@@ -546,48 +2123,29 @@ app.get('/api/v1/pincode/district/:district', (req, res) => {
     });
 });
 
-// 🔍 Find Nearest Pincodes by Coordinates
-app.get('/api/v1/pincode/nearby', (req, res) => {
-    const { lat, lng, range = 50 } = req.query;
-    
-    if (!lat || !lng) {
-        return res.status(400).json({ 
-            message: "lat and lng query parameters are required" 
-        });
-    }
-    
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const maxDistance = parseFloat(range);
-    
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(maxDistance)) {
-        return res.status(400).json({ 
-            message: "lat, lng, and range must be valid numbers" 
-        });
-    }
-    
-    const nearbyPincodes = pincodeData
-        .filter(record => record.Latitude && record.Longitude)
-        .map(record => {
-            const distance = haversineDistance(latitude, longitude, record.Latitude, record.Longitude);
-            return {
-                ...record,
-                distance_km: parseFloat(distance.toFixed(2))
-            };
-        })
-        .filter(record => record.distance_km <= maxDistance)
-        .sort((a, b) => a.distance_km - b.distance_km);
-    
-    res.json({
-        count: nearbyPincodes.length,
-        input: { lat: latitude, lng: longitude, range: maxDistance },
-        pincodes: nearbyPincodes
-    });
-});
-
-// 🔍 Get All States
-app.get('/api/v1/pincode/states', (req, res) => {
-    const states = [...new Set(pincodeData.map(record => record.StateName).filter(Boolean))].sort();
+// 🔍 Find Nearest Pincodes by Coordinates (k=, bbox= and POST /pincode/within too)
+function pincodesNearby(req, res) {
+    listPlaces(req, res, {
+        types: ['pincode'],
+        collect: (area) => placeEntries(pincodeIndex, area, 'pincodes', 1, (record, distance) => ({
+            ...record,
+            distance_km: parseFloat(distance.toFixed(2))
+        })),
+        respond: (recordsOf, input) => ({
+            count: recordsOf('pincodes').length,
+            input,
+            pincodes: recordsOf('pincodes')
+        }),
+        layers: ['pincodes'],
+        title: 'pincode-nearby'
+    });
+}
+app.get('/api/v1/pincode/nearby', pincodesNearby);
+app.post('/api/v1/pincode/within', pincodesNearby);
+
+// 🔍 Get All States
+app.get('/api/v1/pincode/states', (req, res) => {
+    const states = [...new Set(pincodeData.map(record => record.StateName).filter(Boolean))].sort();
     
     res.json({
         count: states.length,
@@ -613,87 +2171,266 @@ app.get('/api/v1/pincode/states/:state/districts', (req, res) => {
     });
 });
 
-// 🔍 Enhanced Neighborhoods API with Pincode Integration
-app.get('/api/v1/neighborhoods/nearby/enhanced', (req, res) => {
-    const { lat, lng, range = 50 } = req.query;
-    
-    if (!lat || !lng) {
-        return res.status(400).json({ 
-            message: "lat and lng query parameters are required" 
+// 🗺️ Browse State → District → Region / Division → Places
+// Segments are slugs ("medchal-malkajgiri") or exact names; depth = levels of children to include
+app.get('/api/v1/hierarchy/:state?/:district?/:area?', (req, res) => {
+    const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 0 || depth > 3) {
+        return res.status(400).json({ message: "depth must be 0, 1, 2 or 3" });
+    }
+
+    const segments = [req.params.state, req.params.district, req.params.area].filter(segment => segment !== undefined);
+    const node = placeHierarchy.lookup(segments, { depth });
+    if (!node) {
+        return res.status(404).json({
+            message: "No such state, district or area",
+            path: segments
         });
     }
+    res.json(node);
+});
+
+// 🔍 Get Pincode Details by Exact Pincode
+app.get('/api/v1/pincode/:pincode', (req, res) => {
+    const { pincode } = req.params;
     
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const maxDistance = parseFloat(range);
+    const pincodeDetails = pincodeData.filter(record => 
+        record.Pincode && record.Pincode.toString() === pincode.toString()
+    );
     
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(maxDistance)) {
-        return res.status(400).json({ 
-            message: "lat, lng, and range must be valid numbers" 
+    if (pincodeDetails.length === 0) {
+        return res.status(404).json({ 
+            message: "Pincode not found",
+            pincode: pincode
         });
     }
     
-    // Get nearby neighborhoods
-    const nearbyNeighborhoods = neighborhoodsData
-        .map(place => {
-            const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
-            return {
-                placeName: place.placeName,
-                placeType: place.placeType,
-                country: place.country,
-                state: place.state,
-                region: place.region,
-                district: place.district,
-                pincode: place.pincode,
-                lokSabhaConstituency: (() => {
-                    const lokSabha = place.lokSabhaConstituency || place.LokSabhaConstituency;
-                    return (lokSabha && lokSabha !== 'N/A') ? lokSabha : null;
-                })(),
-                vidhanSabhaConstituency: (() => {
-                    const vidhanSabha = place.vidhanSabhaConstituency || place.VidhanSabhaConstituency || place.AssemblyConstituency;
-                    return (vidhanSabha && vidhanSabha !== 'N/A') ? vidhanSabha : null;
-                })(),
-                imageUrls: place.imageUrls,
-                wikipediaUrl: generateWikipediaUrl(place.placeName),
-                distance_km: parseFloat(distance.toFixed(2))
-            };
-        })
-        .filter(place => place.distance_km <= maxDistance)
-        .sort((a, b) => a.distance_km - b.distance_km);
-    
-    // Get nearby pincodes
-    const nearbyPincodes = pincodeData
-        .filter(record => record.Latitude && record.Longitude)
-        .map(record => {
-            const distance = haversineDistance(latitude, longitude, record.Latitude, record.Longitude);
-            return {
-                pincode: record.Pincode,
-                officeName: record.OfficeName,
-                district: record.District,
-                stateName: record.StateName,
-                divisionName: record.DivisionName,
-                regionName: record.RegionName,
-                latitude: record.Latitude,
-                longitude: record.Longitude,
-                distance_km: parseFloat(distance.toFixed(2))
-            };
-        })
-        .filter(record => record.distance_km <= maxDistance)
-        .sort((a, b) => a.distance_km - b.distance_km);
-    
     res.json({
-        count: {
-            neighborhoods: nearbyNeighborhoods.length,
-            pincodes: nearbyPincodes.length
-        },
-        input: { lat: latitude, lng: longitude, range: maxDistance },
-        neighborhoods: nearbyNeighborhoods,
-        pincodes: nearbyPincodes
+        pincode: pincode,
+        count: pincodeDetails.length,
+        details: pincodeDetails
     });
 });
 
+// Neighborhoods and post offices near a point, as two lists
+function neighborhoodsNearbyEnhanced(req, res) {
+    listPlaces(req, res, {
+        types: PLACE_TYPES,
+        collect: (area, types) => [
+            ...(types.includes('neighborhood')
+                ? placeEntries(neighborhoodIndex, area, 'neighborhoods', 0, neighborhoodResult)
+                : []),
+            ...(types.includes('pincode')
+                ? placeEntries(pincodeIndex, area, 'pincodes', 1, (record, distance) => ({
+                    pincode: record.Pincode,
+                    officeName: record.OfficeName,
+                    district: record.District,
+                    stateName: record.StateName,
+                    divisionName: record.DivisionName,
+                    regionName: record.RegionName,
+                    latitude: record.Latitude,
+                    longitude: record.Longitude,
+                    distance_km: parseFloat(distance.toFixed(2))
+                }))
+                : [])
+        ],
+        respond: (recordsOf, input) => ({
+            count: {
+                neighborhoods: recordsOf('neighborhoods').length,
+                pincodes: recordsOf('pincodes').length
+            },
+            input,
+            neighborhoods: recordsOf('neighborhoods'),
+            pincodes: recordsOf('pincodes')
+        }),
+        layers: ['neighborhoods', 'pincodes'],
+        title: 'neighborhoods-nearby-enhanced'
+    });
+}
+app.get('/api/v1/neighborhoods/nearby/enhanced', neighborhoodsNearbyEnhanced);
+app.post('/api/v1/neighborhoods/within/enhanced', neighborhoodsNearbyEnhanced);
+
+// Post office as an entry of the combined places list
+function pincodePlaceResult(record, distance, pincodeInfo) {
+    return {
+        type: "pincode",
+        placeName: record.OfficeName,
+        placeType: "Post Office",
+        country: "India",
+        state: record.StateName,
+        region: record.RegionName,
+        district: record.District,
+        pincode: record.Pincode,
+        latitude: record.Latitude,
+        longitude: record.Longitude,
+        lokSabhaConstituency: null,
+        vidhanSabhaConstituency: null,
+        imageUrls: [],
+        primaryImage: null,
+        images: [],
+        wikipediaUrl: null,
+        distance_km: parseFloat(distance.toFixed(2)),
+        pincodeInfo: {
+            officeName: record.OfficeName,
+            divisionName: record.DivisionName,
+            regionName: record.RegionName,
+            stateName: record.StateName,
+            district: record.District,
+            pincode: record.Pincode,
+            ...pincodeInfo
+        }
+    };
+}
+
 // 🔍 Get Nearby Places with Pincode Information (Combined Array)
-app.get('/api/v1/places/nearby', (req, res) => {
+function placesNearby(req, res) {
+    listPlaces(req, res, {
+        types: PLACE_TYPES,
+        collect: (area, types) => [
+            ...(types.includes('neighborhood')
+                ? placeEntries(neighborhoodIndex, area, 'places', 0, (place, distance) => ({
+                    type: "neighborhood",
+                    ...neighborhoodResult(place, distance),
+                    // Pincode information (if available)
+                    pincodeInfo: null
+                }))
+                : []),
+            ...(types.includes('pincode')
+                ? placeEntries(pincodeIndex, area, 'places', 1, (record, distance) => pincodePlaceResult(record, distance, {}))
+                : [])
+        ],
+        respond: (recordsOf, input) => ({
+            count: recordsOf('places').length,
+            input,
+            places: recordsOf('places')
+        }),
+        layers: ['places'],
+        title: 'places-nearby'
+    });
+}
+app.get('/api/v1/places/nearby', placesNearby);
+app.post('/api/v1/places/within', placesNearby);
+
+// 🔍 Get Nearby Places with Enhanced Pincode Matching
+function placesNearbyEnhanced(req, res) {
+    listPlaces(req, res, {
+        types: PLACE_TYPES,
+        collect: (area, types) => {
+            // Neighborhoods, each matched with pincode data
+            const neighborhoods = placeEntries(neighborhoodIndex, area, 'places', 0, (place, distance) => {
+                // Try to find matching pincode data
+                // "500 016" in the neighborhoods file is 500016 in the pincode CSV
+                let matchedPincode = null;
+                const pincode = normalizePincode(place.pincode);
+                if (pincode) {
+                    matchedPincode = pincodeByCode.get(pincode) || null;
+                }
+                const exactMatch = Boolean(matchedPincode);
+
+                // If no exact match, find nearest pincode within 5km
+                if (!matchedPincode) {
+                    const nearestPincode = pincodeIndex.nearest(place.latitude, place.longitude, 5);
+                    if (nearestPincode) {
+                        matchedPincode = { ...nearestPincode.record, distance: nearestPincode.distance };
+                    }
+                }
+
+                return {
+                    type: "neighborhood",
+                    ...neighborhoodResult(place, distance),
+                    // Enhanced pincode information
+                    pincodeInfo: matchedPincode ? {
+                        officeName: matchedPincode.OfficeName,
+                        divisionName: matchedPincode.DivisionName,
+                        regionName: matchedPincode.RegionName,
+                        stateName: matchedPincode.StateName,
+                        district: matchedPincode.District,
+                        pincode: matchedPincode.Pincode,
+                        matchType: exactMatch ? "exact" : "nearest",
+                        matchDistance: matchedPincode.distance ? parseFloat(matchedPincode.distance.toFixed(2)) : 0
+                    } : null
+                };
+            });
+
+            // Standalone pincode locations, one post office per pincode. Pincodes
+            // a listed neighborhood already carries are left out; with type=pincode
+            // no neighborhood is listed, so none are.
+            const includedPincodes = new Set(types.includes('neighborhood')
+                ? neighborhoods.map(entry => normalizePincode(entry.record.pincode)).filter(Boolean)
+                : []);
+            const pincodes = placeEntries(pincodeIndex, area, 'places', 1, (record, distance) =>
+                pincodePlaceResult(record, distance, { matchType: "direct", matchDistance: 0 })
+            ).filter(entry => {
+                const pincode = normalizePincode(entry.record.pincode) || entry.record.pincode.toString();
+                if (includedPincodes.has(pincode)) return false;
+                includedPincodes.add(pincode);
+                return true;
+            });
+
+            return [
+                ...(types.includes('neighborhood') ? neighborhoods : []),
+                ...(types.includes('pincode') ? pincodes : [])
+            ];
+        },
+        respond: (recordsOf, input) => ({
+            count: recordsOf('places').length,
+            input,
+            places: recordsOf('places')
+        }),
+        layers: ['places'],
+        title: 'places-nearby-enhanced'
+    });
+}
+app.get('/api/v1/places/nearby/enhanced', placesNearbyEnhanced);
+app.post('/api/v1/places/within/enhanced', placesNearbyEnhanced);
+
+// Resolve the Assembly and Lok Sabha constituencies containing a point.
+// Uses the boundary polygons when loaded, falling back to the nearest
+// neighborhood record (within maxDistance km) that names the constituency.
+function resolveConstituencies(latitude, longitude, maxDistance) {
+    // Neighborhoods in range, nearest first, for the fallback lookups
+    const nearbyNeighborhoods = neighborhoodIndex.within(latitude, longitude, maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+    
+    const resolve = (kind, getName) => {
+        const boundaries = constituencyBoundaries[kind];
+        const polygonMatch = boundaries ? boundaries.find(latitude, longitude) : null;
+        if (polygonMatch) {
+            return { ...polygonMatch, method: "polygon" };
+        }
+        
+        const nearest = nearbyNeighborhoods.find(({ record }) => getName(record));
+        if (nearest) {
+            return {
+                name: getName(nearest.record),
+                number: null,
+                district: nearest.record.district !== 'N/A' ? nearest.record.district : null,
+                state: nearest.record.state !== 'N/A' ? nearest.record.state : null,
+                method: "nearest_neighborhood",
+                matchedPlace: nearest.record.placeName,
+                matchDistance: parseFloat(nearest.distance.toFixed(2))
+            };
+        }
+        return null;
+    };
+    
+    const vidhanSabha = resolve('assembly', getVidhanSabhaConstituency);
+    const lokSabha = resolve('parliamentary', getLokSabhaConstituency);
+    
+    const methods = [...new Set([vidhanSabha, lokSabha].filter(Boolean).map(match => match.method))];
+    const primary = vidhanSabha || lokSabha;
+    
+    return {
+        method: methods.length === 0 ? "none" : (methods.length === 1 ? methods[0] : "mixed"),
+        state: primary ? primary.state : null,
+        district: (vidhanSabha && vidhanSabha.district) || (lokSabha && lokSabha.district) || null,
+        vidhanSabhaConstituency: vidhanSabha,
+        lokSabhaConstituency: lokSabha
+    };
+}
+
+// 📍 Reverse Geocode a Point to its Constituencies
+app.get('/api/v1/reverse', (req, res) => {
     const { lat, lng, range = 50 } = req.query;
     
     if (!lat || !lng) {
@@ -712,91 +2449,437 @@ app.get('/api/v1/places/nearby', (req, res) => {
         });
     }
     
-    const nearbyPlaces = [];
-    
-    // Add neighborhoods with pincode info
-    neighborhoodsData.forEach(place => {
-        const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
-        if (distance <= maxDistance) {
-            nearbyPlaces.push({
-                type: "neighborhood",
-                placeName: place.placeName,
-                placeType: place.placeType,
-                country: place.country,
-                state: place.state,
-                region: place.region,
-                district: place.district,
-                pincode: place.pincode,
-                latitude: place.latitude,
-                longitude: place.longitude,
-                lokSabhaConstituency: (() => {
-                    const lokSabha = place.lokSabhaConstituency || place.LokSabhaConstituency;
-                    return (lokSabha && lokSabha !== 'N/A') ? lokSabha : null;
-                })(),
-                vidhanSabhaConstituency: (() => {
-                    const vidhanSabha = place.vidhanSabhaConstituency || place.VidhanSabhaConstituency || place.AssemblyConstituency;
-                    return (vidhanSabha && vidhanSabha !== 'N/A') ? vidhanSabha : null;
-                })(),
-                imageUrls: place.imageUrls,
-                wikipediaUrl: generateWikipediaUrl(place.placeName),
-                distance_km: parseFloat(distance.toFixed(2)),
-                // Pincode information (if available)
-                pincodeInfo: null
-            });
-        }
+    res.json({
+        input: { lat: latitude, lng: longitude, range: maxDistance },
+        ...resolveConstituencies(latitude, longitude, maxDistance)
     });
-    
-    // Add pincode locations
-    pincodeData.forEach(record => {
-        if (record.Latitude && record.Longitude) {
-            const distance = haversineDistance(latitude, longitude, record.Latitude, record.Longitude);
-            if (distance <= maxDistance) {
-                nearbyPlaces.push({
-                    type: "pincode",
-                    placeName: record.OfficeName,
-                    placeType: "Post Office",
-                    country: "India",
-                    state: record.StateName,
-                    region: record.RegionName,
-                    district: record.District,
-                    pincode: record.Pincode,
-                    latitude: record.Latitude,
-                    longitude: record.Longitude,
-                    lokSabhaConstituency: null,
-                    vidhanSabhaConstituency: null,
-                    imageUrls: [],
-                    wikipediaUrl: null,
-                    distance_km: parseFloat(distance.toFixed(2)),
-                    // Detailed pincode information
-                    pincodeInfo: {
-                        officeName: record.OfficeName,
-                        divisionName: record.DivisionName,
-                        regionName: record.RegionName,
-                        stateName: record.StateName,
-                        district: record.District,
-                        pincode: record.Pincode
-                    }
-                });
-            }
-        }
+});
+
+// Trace points beyond this are refused rather than located one by one
+const MAX_TRACE_POINTS = 50000;
+// How far a point may be from the nearest neighborhood / post office to count as inside it
+const AREA_NEIGHBORHOOD_RANGE_KM = 2;
+const AREA_PINCODE_RANGE_KM = 5;
+const AREA_CONSTITUENCY_RANGE_KM = 10;
+
+// Request body → { format, points } for a GPX document (raw, or { gpx }) or
+// JSON points (a bare array, or { points }); throws on anything else
+function readTraceBody(body) {
+    if (typeof body === 'string' && body.trim()) return { format: 'gpx', points: parseGpx(body) };
+    if (Array.isArray(body)) return { format: 'json', points: parseJsonPoints(body) };
+    if (body && typeof body.gpx === 'string') return { format: 'gpx', points: parseGpx(body.gpx) };
+    if (body && Array.isArray(body.points)) return { format: 'json', points: parseJsonPoints(body.points) };
+    throw new Error("send a GPX document or a JSON array of { lat, lng, time } points");
+}
+
+// Polygon and neighborhood lookups spell the same seat differently
+// ("Khairtabad" / "Khairatabad (Assembly constituency)"): one area, not several
+function areaConstituency(match) {
+    if (!match) return null;
+    return {
+        key: phoneticKey(match.name),
+        name: match.name,
+        number: match.number,
+        district: match.district,
+        state: match.state,
+        method: match.method
+    };
+}
+
+// Areas a moving point is in, one entry per layer: { key, ...details } or null.
+// Used by the trace analysis and the live geofence sessions.
+const AREA_LAYERS = ['neighborhoods', 'pincodes', 'assembly_constituencies', 'parliamentary_constituencies'];
+
+function locateAreas({ lat, lng }) {
+    const nearestPlace = neighborhoodIndex.nearest(lat, lng, AREA_NEIGHBORHOOD_RANGE_KM);
+    const nearestOffice = pincodeIndex.nearest(lat, lng, AREA_PINCODE_RANGE_KM);
+    const constituencies = resolveConstituencies(lat, lng, AREA_CONSTITUENCY_RANGE_KM);
+    const place = nearestPlace && nearestPlace.record;
+    const office = nearestOffice && nearestOffice.record;
+
+    return {
+        neighborhoods: place ? {
+            key: `${place.placeName}|${place.district}`,
+            placeName: place.placeName,
+            district: knownValue(place.district),
+            state: knownValue(place.state)
+        } : null,
+        pincodes: office ? {
+            key: String(office.Pincode),
+            pincode: office.Pincode,
+            officeName: office.OfficeName,
+            district: office.District,
+            state: office.StateName
+        } : null,
+        assembly_constituencies: areaConstituency(constituencies.vidhanSabhaConstituency),
+        parliamentary_constituencies: areaConstituency(constituencies.lokSabhaConstituency)
+    };
+}
+
+// 🛰️ GPS Trace → Neighborhoods, Pincodes and Constituencies Passed Through
+app.post('/api/v1/trace', (req, res) => {
+    let input;
+    try {
+        input = readTraceBody(req.body);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    if (input.points.length > MAX_TRACE_POINTS) {
+        return res.status(413).json({ message: `a trace may have at most ${MAX_TRACE_POINTS} points` });
+    }
+
+    const { points, dropped, timed } = cleanTrace(input.points);
+    if (points.length === 0) {
+        return res.status(400).json({ message: "the trace has no valid points" });
+    }
+
+    const located = new Map(points.map(point => [point, locateAreas(point)]));
+    const layers = {};
+    AREA_LAYERS.forEach(layer => {
+        layers[layer] = (point) => located.get(point)[layer];
     });
-    
-    // Sort by distance
-    nearbyPlaces.sort((a, b) => a.distance_km - b.distance_km);
-    
+    const analysis = analyzeTrace(points, layers);
+
     res.json({
-        count: nearbyPlaces.length,
-        input: { 
-            lat: latitude, 
-            lng: longitude, 
-            range: maxDistance 
+        input: {
+            format: input.format,
+            points_received: input.points.length,
+            points_used: points.length,
+            dropped,
+            timestamps: timed
         },
-        places: nearbyPlaces
+        ...analysis
     });
 });
 
-// 🔍 Get Nearby Places with Enhanced Pincode Matching
-app.get('/api/v1/places/nearby/enhanced', (req, res) => {
+// Live geofence sessions: the client POSTs its positions and listens on an
+// event stream (Server-Sent Events, plain HTTP, no extra dependency)
+const geofenceSessions = createGeofenceSessions({ locate: locateAreas });
+const GEOFENCE_HEARTBEAT_MS = 25000;
+const MAX_POSITIONS_PER_REQUEST = 1000;
+setInterval(() => geofenceSessions.sweep(), 60 * 1000).unref();
+
+// 📡 Start a Geofence Session (optional fences, confirmations, exit_margin_km)
+app.post('/api/v1/geofence/sessions', (req, res) => {
+    try {
+        res.status(201).json(geofenceSessions.create(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// 📡 Session State: current areas, fences and last position
+app.get('/api/v1/geofence/sessions/:id', (req, res) => {
+    const session = geofenceSessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ message: "Geofence session not found" });
+    }
+    res.json(session);
+});
+
+// 📡 End a Geofence Session
+app.delete('/api/v1/geofence/sessions/:id', (req, res) => {
+    if (!geofenceSessions.remove(req.params.id)) {
+        return res.status(404).json({ message: "Geofence session not found" });
+    }
+    res.status(204).end();
+});
+
+// 📡 Report Positions ({ lat, lng, time } or an array of them, oldest first)
+app.post('/api/v1/geofence/sessions/:id/positions', (req, res) => {
+    const positions = Array.isArray(req.body) ? req.body : [req.body];
+    if (positions.length === 0 || positions.length > MAX_POSITIONS_PER_REQUEST) {
+        return res.status(400).json({ message: `send between 1 and ${MAX_POSITIONS_PER_REQUEST} positions` });
+    }
+    const invalid = positions.findIndex(position => !position ||
+        typeof position.lat !== 'number' || typeof position.lng !== 'number' ||
+        !isFinite(position.lat) || !isFinite(position.lng) ||
+        Math.abs(position.lat) > 90 || Math.abs(position.lng) > 180);
+    if (invalid !== -1) {
+        return res.status(400).json({ message: `position ${invalid} needs numeric lat and lng` });
+    }
+    if (!geofenceSessions.get(req.params.id)) {
+        return res.status(404).json({ message: "Geofence session not found" });
+    }
+
+    const events = [];
+    let ignored = 0;
+    try {
+        positions.forEach(position => {
+            const result = geofenceSessions.update(req.params.id, position);
+            if (result.ignored) ignored++;
+            events.push(...result.events);
+        });
+    } catch (error) {
+        return res.status(400).json({ message: error.message, events });
+    }
+    res.json({ accepted: positions.length - ignored, ignored, events });
+});
+
+// 📡 Add a Circle or Polygon Fence to a Session
+app.post('/api/v1/geofence/sessions/:id/fences', (req, res) => {
+    if (!geofenceSessions.get(req.params.id)) {
+        return res.status(404).json({ message: "Geofence session not found" });
+    }
+    try {
+        res.status(201).json(geofenceSessions.addFence(req.params.id, req.body));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// 📡 Remove a Fence
+app.delete('/api/v1/geofence/sessions/:id/fences/:fenceId', (req, res) => {
+    if (!geofenceSessions.removeFence(req.params.id, req.params.fenceId)) {
+        return res.status(404).json({ message: "Geofence session or fence not found" });
+    }
+    res.status(204).end();
+});
+
+// 📡 Event Stream (text/event-stream): enter / exit events as they happen.
+// Reconnecting clients send Last-Event-ID (EventSource does) to get what they missed.
+app.get('/api/v1/geofence/sessions/:id/events', (req, res) => {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.type === 'closed') res.end();
+    };
+
+    const session = geofenceSessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ message: "Geofence session not found" });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`event: ready\ndata: ${JSON.stringify(session)}\n\n`);
+    const unsubscribe = geofenceSessions.subscribe(req.params.id, send, isNaN(lastEventId) ? null : lastEventId);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), GEOFENCE_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Items per JSON batch; larger jobs go through the streamed CSV upload
+const MAX_BATCH_ITEMS = 10000;
+const isCsvUpload = (req) => req.is('text/csv') === 'text/csv';
+
+const roundKm = (distance) => parseFloat(distance.toFixed(2));
+
+// Nearest place, pincode, district, state and constituencies of a point
+function reverseLookup({ lat, lng }, maxDistance) {
+    const latitude = typeof lat === 'string' ? parseFloat(lat) : lat;
+    const longitude = typeof lng === 'string' ? parseFloat(lng) : lng;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || !isFinite(latitude) || !isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return { error: "lat and lng must be valid numbers" };
+    }
+
+    const place = neighborhoodIndex.nearest(latitude, longitude, maxDistance);
+    const office = pincodeIndex.nearest(latitude, longitude, maxDistance);
+    if (!place && !office) {
+        return { error: `no neighborhood or post office within ${maxDistance} km` };
+    }
+    const location = resolveConstituencies(latitude, longitude, maxDistance);
+    const placeIsNearer = place && (!office || place.distance <= office.distance);
+    const nearestPlace = placeIsNearer
+        ? { name: place.record.placeName, type: "neighborhood", distance_km: roundKm(place.distance) }
+        : { name: office.record.OfficeName, type: "post_office", distance_km: roundKm(office.distance) };
+    // District and state of the place returned, then of the other record; the
+    // constituency's only when neither has one, as it can name another district
+    const fromPlace = place ? { district: knownValue(place.record.district), state: knownValue(place.record.state) } : {};
+    const fromOffice = office ? { district: knownValue(office.record.District), state: knownValue(office.record.StateName) } : {};
+    const [nearer, other] = placeIsNearer ? [fromPlace, fromOffice] : [fromOffice, fromPlace];
+
+    return {
+        result: {
+            nearestPlace,
+            pincode: office ? normalizePincode(office.record.Pincode) : normalizePincode(place.record.pincode),
+            pincodeDistance_km: office ? roundKm(office.distance) : null,
+            district: nearer.district || other.district || location.district,
+            state: nearer.state || other.state || location.state,
+            vidhanSabhaConstituency: location.vidhanSabhaConstituency ? location.vidhanSabhaConstituency.name : null,
+            lokSabhaConstituency: location.lokSabhaConstituency ? location.lokSabhaConstituency.name : null,
+            constituencyMethod: location.method
+        }
+    };
+}
+
+// Post office, district, state, nearest neighborhood and constituencies of a pincode
+function pincodeLookup(value) {
+    const pincode = normalizePincode(value);
+    if (!pincode) {
+        return { error: "not a 6 digit pincode" };
+    }
+    const mapping = pincodeConstituencyIndex.lookup(pincode);
+    const office = pincodeByCode.get(pincode) || null;
+    if (!mapping.known) {
+        return { error: "Pincode not found" };
+    }
+
+    // Neighborhood nearest the post office, or one that lists the pincode
+    let nearestPlace = null;
+    if (office && typeof office.Latitude === 'number' && typeof office.Longitude === 'number') {
+        const place = neighborhoodIndex.nearest(office.Latitude, office.Longitude, AREA_CONSTITUENCY_RANGE_KM);
+        if (place) nearestPlace = { name: place.record.placeName, type: "neighborhood", distance_km: roundKm(place.distance) };
+    }
+    if (!nearestPlace && neighborhoodsByPincode.has(pincode)) {
+        nearestPlace = { name: neighborhoodsByPincode.get(pincode).placeName, type: "neighborhood", distance_km: null };
+    }
+    const listed = neighborhoodsByPincode.get(pincode);
+    const [assembly] = mapping.assemblyConstituencies;
+    const [parliamentary] = mapping.parliamentaryConstituencies;
+
+    return {
+        result: {
+            pincode,
+            officeName: office ? office.OfficeName : null,
+            nearestPlace,
+            district: office ? office.District : knownValue(listed && listed.district),
+            state: office ? office.StateName : knownValue(listed && listed.state),
+            vidhanSabhaConstituency: assembly ? assembly.name : null,
+            lokSabhaConstituency: parliamentary ? parliamentary.name : null,
+            // A pincode can straddle constituency borders: every candidate, best supported first
+            vidhanSabhaCandidates: mapping.assemblyConstituencies.map(candidate => candidate.name),
+            lokSabhaCandidates: mapping.parliamentaryConstituencies.map(candidate => candidate.name)
+        }
+    };
+}
+
+// Lookup result → the columns appended to an uploaded CSV
+const BATCH_CSV_COLUMNS = ['match_place', 'match_place_type', 'match_distance_km', 'match_pincode', 'match_district',
+    'match_state', 'match_assembly_constituency', 'match_parliamentary_constituency'];
+
+function batchCsvColumns(result) {
+    return {
+        match_place: result.nearestPlace ? result.nearestPlace.name : '',
+        match_place_type: result.nearestPlace ? result.nearestPlace.type : '',
+        match_distance_km: result.nearestPlace ? result.nearestPlace.distance_km : '',
+        match_pincode: result.pincode,
+        match_district: result.district,
+        match_state: result.state,
+        match_assembly_constituency: result.vidhanSabhaConstituency,
+        match_parliamentary_constituency: result.lokSabhaConstituency
+    };
+}
+
+function checkBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return "send a non-empty JSON array, or a CSV file with Content-Type text/csv";
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return `a JSON batch may have at most ${MAX_BATCH_ITEMS} items; upload larger jobs as CSV`;
+    }
+    return null;
+}
+
+// 📦 Batch Reverse Geocode: [{ lat, lng }] or [[lat, lng]] as JSON, or a CSV with lat/lng columns
+app.post('/api/v1/batch/reverse', (req, res) => {
+    const maxDistance = parseFloat(req.query.range || 50);
+    if (isNaN(maxDistance) || maxDistance <= 0) {
+        return res.status(400).json({ message: "range must be a positive number" });
+    }
+
+    if (isCsvUpload(req)) {
+        return streamCsvBatch(req, res, {
+            readInput: (headers) => {
+                const latColumn = findColumn(headers, req.query.lat_column ? [req.query.lat_column] : ['lat', 'latitude']);
+                const lngColumn = findColumn(headers, req.query.lng_column ? [req.query.lng_column] : ['lng', 'lon', 'long', 'longitude']);
+                if (latColumn === -1 || lngColumn === -1) {
+                    return { error: "the CSV needs lat and lng columns (or name them with lat_column and lng_column)" };
+                }
+                return { read: (values) => ({ lat: values[latColumn], lng: values[lngColumn] }) };
+            },
+            lookup: (point) => reverseLookup(point, maxDistance),
+            columns: BATCH_CSV_COLUMNS,
+            toColumns: batchCsvColumns,
+            fileName: 'reverse-enriched.csv'
+        });
+    }
+
+    const error = checkBatchItems(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    res.json(runBatch(req.body, (item) => {
+        const point = Array.isArray(item) ? { lat: item[0], lng: item[1] } : item;
+        if (!point || typeof point !== 'object') return { error: "expected { lat, lng } or [lat, lng]" };
+        return reverseLookup(point, maxDistance);
+    }));
+});
+
+// 📦 Batch Pincode Lookup: ["500016", ...] as JSON, or a CSV with a pincode column
+app.post('/api/v1/batch/pincode', (req, res) => {
+    if (isCsvUpload(req)) {
+        return streamCsvBatch(req, res, {
+            readInput: (headers) => {
+                const column = findColumn(headers, req.query.pincode_column ? [req.query.pincode_column] : ['pincode', 'pin', 'pin code', 'postal code', 'zip']);
+                if (column === -1) {
+                    return { error: "the CSV needs a pincode column (or name it with pincode_column)" };
+                }
+                return { read: (values) => values[column] };
+            },
+            lookup: pincodeLookup,
+            columns: BATCH_CSV_COLUMNS,
+            toColumns: batchCsvColumns,
+            fileName: 'pincode-enriched.csv'
+        });
+    }
+
+    const error = checkBatchItems(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    res.json(runBatch(req.body, (item) => {
+        const value = item && typeof item === 'object' ? item.pincode : item;
+        return pincodeLookup(value);
+    }));
+});
+
+// How much to trust a located constituency: polygon hits are certain, the
+// nearest-neighborhood fallback loses confidence with distance (floor 0.3 at 14 km+)
+function locationConfidence(match) {
+    if (!match) return 0;
+    if (match.method === "polygon") return 1;
+    return Math.max(0.3, 1 - match.matchDistance / 20);
+}
+
+// Prefer candidates from the located state when the dataset has any
+function restrictToState(rows, state, getState) {
+    if (!state) return rows;
+    const wanted = normalizeName(state).replace(/\bstate\b/g, '').trim();
+    const inState = rows.filter(row => normalizeName(getState(row)) === wanted);
+    return inState.length > 0 ? inState : rows;
+}
+
+// Match a located constituency against a representatives dataset
+function matchRepresentative(located, rows, getConstituency, getState) {
+    if (!located) return null;
+    const candidates = restrictToState(rows, located.state, getState);
+    const nameMatch = createNameMatcher(candidates, getConstituency).match(located.name);
+    if (!nameMatch) return null;
+    return {
+        constituency: nameMatch.name,
+        located_constituency: located.name,
+        location_method: located.method,
+        match_distance_km: located.method === "polygon" ? 0 : located.matchDistance,
+        name_match: { method: nameMatch.method, score: nameMatch.score },
+        confidence: parseFloat((locationConfidence(located) * nameMatch.score).toFixed(2)),
+        records: nameMatch.records
+    };
+}
+
+// 🏛️ Who Represents Me Here? (GPS → constituency → MLA and MP)
+app.get('/api/v1/representatives/by-location', (req, res) => {
     const { lat, lng, range = 50 } = req.query;
     
     if (!lat || !lng) {
@@ -815,130 +2898,60 @@ app.get('/api/v1/places/nearby/enhanced', (req, res) => {
         });
     }
     
-    const nearbyPlaces = [];
+    const location = resolveConstituencies(latitude, longitude, maxDistance);
+    const mla = matchRepresentative(location.vidhanSabhaConstituency, mlaData, row => row.Constituency, row => row.State);
+    const mp = matchRepresentative(location.lokSabhaConstituency, mpDataCsv, row => row.pc_name, row => row.state);
+    const matched = [mla, mp].filter(Boolean);
     
-    // Process neighborhoods and try to match with pincode data
-    neighborhoodsData.forEach(place => {
-        const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
-        if (distance <= maxDistance) {
-            // Try to find matching pincode data
-            let matchedPincode = null;
-            if (place.pincode) {
-                matchedPincode = pincodeData.find(p => 
-                    p.Pincode && p.Pincode.toString() === place.pincode.toString()
-                );
-            }
-            
-            // If no exact match, find nearest pincode within 5km
-            if (!matchedPincode) {
-                const nearbyPincodes = pincodeData
-                    .filter(p => p.Latitude && p.Longitude)
-                    .map(p => ({
-                        ...p,
-                        distance: haversineDistance(place.latitude, place.longitude, p.Latitude, p.Longitude)
-                    }))
-                    .filter(p => p.distance <= 5) // Within 5km
-                    .sort((a, b) => a.distance - b.distance);
-                
-                if (nearbyPincodes.length > 0) {
-                    matchedPincode = nearbyPincodes[0];
-                }
-            }
-            
-            nearbyPlaces.push({
-                type: "neighborhood",
-                placeName: place.placeName,
-                placeType: place.placeType,
-                country: place.country,
-                state: place.state,
-                region: place.region,
-                district: place.district,
-                pincode: place.pincode,
-                latitude: place.latitude,
-                longitude: place.longitude,
-                lokSabhaConstituency: (() => {
-                    const lokSabha = place.lokSabhaConstituency || place.LokSabhaConstituency;
-                    return (lokSabha && lokSabha !== 'N/A') ? lokSabha : null;
-                })(),
-                vidhanSabhaConstituency: (() => {
-                    const vidhanSabha = place.vidhanSabhaConstituency || place.VidhanSabhaConstituency || place.AssemblyConstituency;
-                    return (vidhanSabha && vidhanSabha !== 'N/A') ? vidhanSabha : null;
-                })(),
-                imageUrls: place.imageUrls,
-                wikipediaUrl: generateWikipediaUrl(place.placeName),
-                distance_km: parseFloat(distance.toFixed(2)),
-                // Enhanced pincode information
-                pincodeInfo: matchedPincode ? {
-                    officeName: matchedPincode.OfficeName,
-                    divisionName: matchedPincode.DivisionName,
-                    regionName: matchedPincode.RegionName,
-                    stateName: matchedPincode.StateName,
-                    district: matchedPincode.District,
-                    pincode: matchedPincode.Pincode,
-                    matchType: place.pincode ? "exact" : "nearest",
-                    matchDistance: matchedPincode.distance ? parseFloat(matchedPincode.distance.toFixed(2)) : 0
-                } : null
-            });
-        }
-    });
-    
-    // Add standalone pincode locations (not already included in neighborhoods)
-    pincodeData.forEach(record => {
-        if (record.Latitude && record.Longitude) {
-            const distance = haversineDistance(latitude, longitude, record.Latitude, record.Longitude);
-            if (distance <= maxDistance) {
-                // Check if this pincode is already included in neighborhoods
-                const alreadyIncluded = nearbyPlaces.some(place => 
-                    place.pincode && place.pincode.toString() === record.Pincode.toString()
-                );
-                
-                if (!alreadyIncluded) {
-                    nearbyPlaces.push({
-                        type: "pincode",
-                        placeName: record.OfficeName,
-                        placeType: "Post Office",
-                        country: "India",
-                        state: record.StateName,
-                        region: record.RegionName,
-                        district: record.District,
-                        pincode: record.Pincode,
-                        latitude: record.Latitude,
-                        longitude: record.Longitude,
-                        lokSabhaConstituency: null,
-                        vidhanSabhaConstituency: null,
-                        imageUrls: [],
-                        wikipediaUrl: null,
-                        distance_km: parseFloat(distance.toFixed(2)),
-                        pincodeInfo: {
-                            officeName: record.OfficeName,
-                            divisionName: record.DivisionName,
-                            regionName: record.RegionName,
-                            stateName: record.StateName,
-                            district: record.District,
-                            pincode: record.Pincode,
-                            matchType: "direct",
-                            matchDistance: 0
-                        }
-                    });
-                }
-            }
-        }
+    res.json({
+        input: { lat: latitude, lng: longitude, range: maxDistance },
+        location,
+        confidence: matched.length > 0 ? Math.min(...matched.map(match => match.confidence)) : 0,
+        mla,
+        mp
     });
-    
-    // Sort by distance
-    nearbyPlaces.sort((a, b) => a.distance_km - b.distance_km);
-    
+});
+
+// 🔍 Search Phrases and Place Names (ranked, typo-tolerant, with highlights)
+app.get('/api/v1/search', (req, res) => {
+    const { q, type, limit = 20, fuzzy } = req.query;
+
+    if (!q || !q.trim()) {
+        return res.status(400).json({ message: "q query parameter is required" });
+    }
+
+    const maxResults = parseInt(limit);
+    if (isNaN(maxResults) || maxResults < 1) {
+        return res.status(400).json({ message: "limit must be a positive number" });
+    }
+
+    const types = type ? type.split(",") : null;
+    const results = searchIndex.search(q, { types, fuzzy: fuzzy !== "false" });
+
     res.json({
-        count: nearbyPlaces.length,
-        input: { 
-            lat: latitude, 
-            lng: longitude, 
-            range: maxDistance 
-        },
-        places: nearbyPlaces
+        query: q,
+        count: results.length,
+        results: results.slice(0, maxResults).map(({ payload, ...hit }) => ({ ...hit, record: payload }))
     });
 });
 
+// 🔍 Place-name Autocomplete (neighborhoods, post offices, districts, constituencies)
+app.get('/api/v1/autocomplete', (req, res) => {
+    const { q, type, limit = 10 } = req.query;
+
+    if (!q || !q.trim()) {
+        return res.status(400).json({ message: "q query parameter is required" });
+    }
+
+    const maxResults = parseInt(limit);
+    if (isNaN(maxResults) || maxResults < 1) {
+        return res.status(400).json({ message: "limit must be a positive number" });
+    }
+
+    const suggestions = autocompleteIndex.suggest(q, { types: type ? type.split(",") : null, limit: maxResults });
+    res.json({ query: q, count: suggestions.length, suggestions });
+});
+
 // ✅ Default Route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -948,15 +2961,64 @@ app.get('/', (req, res) => {
     res.send('API server is running');
 });
 
+// The data.json snapshots in data_backups/ are only listed and restored
+// through the admin routes, so static serving skips them (however the path is spelled)
+app.use((req, res, next) => {
+    let requested;
+    try {
+        requested = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+        return next();
+    }
+    if (/^\/data_backups(\/|$)/i.test(requested)) {
+        return res.status(404).json({ message: "Not found" });
+    }
+    next();
+});
 app.use(express.static(__dirname));
 
+// `node server.js --check`: print the consistency report and exit instead of serving
+if (process.argv.includes('--check')) {
+    const report = consistencyReport();
+    console.log('');
+    console.log(formatConsistencyReport(report));
+    // Rows left out for having no term fail the check, though the server runs without them
+    const untermed = Object.entries(dataHealth).filter(([, health]) => health.issue_counts.missing_term);
+    untermed.forEach(([name, health]) => console.log(`${name}: ${health.issue_counts.missing_term} rows left out for having no term`));
+    process.exit(report.status === 'error' || untermed.length ? 1 : 0);
+}
+
 // ✅ Start Server
 app.listen(PORT, () => {
     console.log(`✅ Server is running at http://localhost:${PORT}`);
-    console.log(`➡️ Search, Filter & Pagination API: http://localhost:${PORT}/api/v1/items?searchtext={searchtext}&sub-category-id={subcategoryid}&languages={te,hi}&current_page={pagenumber}`);
+    console.log(`➡️ Search, Filter & Pagination API: http://localhost:${PORT}/api/v1/items?searchtext={searchtext}&category-id={categoryid}&languages={te,hi}&current_page={pagenumber}`);
+    console.log(`➡️ Single Item API: http://localhost:${PORT}/api/v1/item/{id}`);
+    console.log(`➡️ Categories: http://localhost:${PORT}/api/v1/categories?tree={true}&parent_id={id}&languages={te,hi}, GET / PUT / DELETE .../categories/{id}, POST .../categories; filter items with &parent-category-id={id}`);
+    console.log(`➡️ Clip Filters: add &has_video={true,false}&video_id={id}&min_duration={s}&max_duration={s} to /api/v1/items`);
+    console.log(`➡️ Video Clips in Timeline Order: http://localhost:${PORT}/api/v1/videos and /api/v1/videos/{video_id}`);
     console.log(`➡️ Full Data API: http://localhost:${PORT}/api/v1/data/full`);
+    console.log(`➡️ Search API: http://localhost:${PORT}/api/v1/search?q={text}&type={item,neighborhood,post_office,assembly_constituency,parliamentary_constituency}`);
+    console.log(`➡️ Place Autocomplete API: http://localhost:${PORT}/api/v1/autocomplete?q={text}`);
+    console.log(`➡️ Place Hierarchy: http://localhost:${PORT}/api/v1/hierarchy/{state}/{district}/{area}?depth={0-3}`);
     console.log(`➡️ Pincode Search API: http://localhost:${PORT}/api/v1/pincode/search?pincode={pincode}&state={state}&district={district}`);
     console.log(`➡️ Enhanced Neighborhoods API: http://localhost:${PORT}/api/v1/neighborhoods/nearby/enhanced?lat={lat}&lng={lng}&range={range}`);
     console.log(`➡️ Nearby Places with Pincode: http://localhost:${PORT}/api/v1/places/nearby?lat={lat}&lng={lng}&range={range}`);
     console.log(`➡️ Enhanced Nearby Places: http://localhost:${PORT}/api/v1/places/nearby/enhanced?lat={lat}&lng={lng}&range={range}`);
+    console.log(`➡️ Place Queries: add &k={n} or use bbox={minLng,minLat,maxLng,maxLat} instead of range, &type={neighborhood,pincode}&fields={a,b.c}&limit={n}&cursor={next_cursor}; POST a GeoJSON polygon to /api/v1/{neighborhoods,pincode,places}/within`);
+    console.log(`➡️ Map Formats: add &format={geojson,kml,gpx,csv} to the nearby, pincode search and places routes`);
+    console.log(`➡️ Reverse Geocode to Constituency: http://localhost:${PORT}/api/v1/reverse?lat={lat}&lng={lng}`);
+    console.log(`➡️ GPS Trace Analysis (POST GPX or JSON points): http://localhost:${PORT}/api/v1/trace`);
+    console.log(`➡️ Live Geofence Events: POST http://localhost:${PORT}/api/v1/geofence/sessions, then GET .../sessions/{id}/events (SSE) and POST .../sessions/{id}/positions`);
+    console.log(`➡️ Batch Lookups (JSON array, or CSV upload streamed back enriched): POST http://localhost:${PORT}/api/v1/batch/reverse and /api/v1/batch/pincode`);
+    console.log(`➡️ Representatives by Location: http://localhost:${PORT}/api/v1/representatives/by-location?lat={lat}&lng={lng}`);
+    console.log(`➡️ MLA / MP by Date: http://localhost:${PORT}/api/v1/mla-info?constituency={name}&state={state}&term={term}&date={YYYY-MM-DD} (also /api/v1/mp-info)`);
+    console.log(`➡️ MPs by Pincode (PRS MP Track, cached): http://localhost:${PORT}/api/mp/{pincode}?refresh={true}`);
+    console.log(`➡️ MP Scorecard: http://localhost:${PORT}/api/v1/mp-scorecard?constituency={pc_name}`);
+    console.log(`➡️ MP Rankings: http://localhost:${PORT}/api/v1/mp-rankings?metric={debates,questions,private_member_bills,attendance}&state={state}&party={party}`);
+    console.log(`➡️ MP Statistics: http://localhost:${PORT}/api/v1/mp-stats?group_by={party,state,gender,age_band,education}`);
+    console.log(`➡️ Image Curation Report: http://localhost:${PORT}/api/v1/admin/image-curation?place={name}&reason={broken_url,tracking,pin,flag,icon,duplicate}`);
+    console.log(`➡️ Data Health Report: http://localhost:${PORT}/api/v1/admin/data-health?dataset={pincodes,neighborhoods,mlas,mps,items}`);
+    console.log(`➡️ Consistency Report: http://localhost:${PORT}/api/v1/admin/consistency?code={code}&severity={error,warning,notice}&dataset={neighborhoods,boundaries} and .../consistency/tables/{states,districts,pincodes,assembly_constituencies,parliamentary_constituencies}?q={name} (or run node server.js --check)`);
+    console.log(`➡️ Neighborhood Records: http://localhost:${PORT}/api/v1/neighborhoods/records?q={name}&district={district}, GET / PUT / DELETE .../records/{id}, POST .../records and .../records/import/wikipedia (saved article HTML; Bearer ADMIN_TOKEN for changes)`);
+    console.log(`➡️ Dataset Imports (Bearer ADMIN_TOKEN): POST http://localhost:${PORT}/api/v1/admin/datasets/{dataset}/imports?mode={replace,patch}&file={csv}, then GET / commit / DELETE /api/v1/admin/imports/{id}`);
 });
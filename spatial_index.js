@@ -0,0 +1,143 @@
+// In-memory grid index for radius queries over lat/lng records.
+// Records are bucketed into fixed-size lat/lng cells at build time, so a
+// radius query only computes distances for records in the cells that overlap
+// the search circle instead of scanning the whole dataset.
+
+const { EARTH_RADIUS_KM, haversineDistance } = require('./geo_utils');
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+const DEFAULT_CELL_SIZE_DEG = 0.1; // ~11 km cells
+// No two points on Earth are further apart
+const HALF_CIRCUMFERENCE_KM = Math.PI * EARTH_RADIUS_KM;
+
+function buildSpatialIndex(records, options = {}) {
+    const getLat = options.getLat || (record => record.latitude);
+    const getLng = options.getLng || (record => record.longitude);
+    const cellSize = options.cellSizeDeg || DEFAULT_CELL_SIZE_DEG;
+    const lngCells = Math.ceil(360 / cellSize);
+
+    const cells = new Map();
+    let size = 0;
+
+    const cellKey = (row, col) => `${row}:${col}`;
+    const rowOf = lat => Math.floor(lat / cellSize);
+    const colOf = lng => ((Math.floor((lng + 180) / cellSize) % lngCells) + lngCells) % lngCells;
+
+    records.forEach((record, index) => {
+        const lat = getLat(record);
+        const lng = getLng(record);
+        // Records without usable coordinates can never match a distance filter
+        if (typeof lat !== 'number' || typeof lng !== 'number' || !isFinite(lat) || !isFinite(lng)) {
+            return;
+        }
+        const key = cellKey(rowOf(lat), colOf(lng));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ record, index, lat, lng });
+        size++;
+    });
+
+    // Every cell that may hold a point within radiusKm of (lat, lng)
+    function candidateCells(lat, lng, radiusKm) {
+        const latSpan = radiusKm / KM_PER_DEGREE;
+        const minRow = rowOf(Math.max(-90, lat - latSpan));
+        const maxRow = rowOf(Math.min(90, lat + latSpan));
+
+        const maxAbsLat = Math.min(90, Math.abs(lat) + latSpan);
+        const cosLat = Math.cos(maxAbsLat * Math.PI / 180);
+        const lngSpan = cosLat > 1e-9 ? latSpan / cosLat : 360;
+
+        // A huge window visits more empty cells than there are filled ones
+        const rowCount = maxRow - minRow + 1;
+        const colCount = lngSpan >= 180 ? lngCells : Math.min(lngCells, Math.ceil((2 * lngSpan) / cellSize) + 2);
+        if (rowCount * colCount >= cells.size) {
+            return Array.from(cells.values());
+        }
+
+        const buckets = [];
+        const firstCol = colOf(lng - lngSpan);
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let i = 0; i < colCount; i++) {
+                const bucket = cells.get(cellKey(row, (firstCol + i) % lngCells));
+                if (bucket) buckets.push(bucket);
+            }
+        }
+        return buckets;
+    }
+
+    // All records within radiusKm, in their original dataset order
+    function within(lat, lng, radiusKm) {
+        if (!isFinite(lat) || !isFinite(lng) || !(radiusKm >= 0)) {
+            return [];
+        }
+        const matches = [];
+        candidateCells(lat, lng, radiusKm).forEach(bucket => {
+            bucket.forEach(entry => {
+                const distance = haversineDistance(lat, lng, entry.lat, entry.lng);
+                if (distance <= radiusKm) {
+                    matches.push({ record: entry.record, index: entry.index, distance });
+                }
+            });
+        });
+        return matches.sort((a, b) => a.index - b.index);
+    }
+
+    // Closest record within maxKm (earliest in the dataset on ties), or null
+    function nearest(lat, lng, maxKm) {
+        let best = null;
+        within(lat, lng, maxKm).forEach(match => {
+            if (!best || match.distance < best.distance) best = match;
+        });
+        return best;
+    }
+
+    // The k closest records (within maxKm when given), nearest first. The
+    // search radius starts at one cell and doubles until k records are found.
+    function nearestK(lat, lng, k, maxKm = Infinity) {
+        if (!isFinite(lat) || !isFinite(lng) || !(k >= 1)) {
+            return [];
+        }
+        let radiusKm = Math.min(maxKm, cellSize * KM_PER_DEGREE);
+        for (;;) {
+            const matches = within(lat, lng, radiusKm);
+            if (matches.length >= k || radiusKm >= maxKm || radiusKm >= HALF_CIRCUMFERENCE_KM) {
+                return matches
+                    .sort((a, b) => a.distance - b.distance || a.index - b.index)
+                    .slice(0, k);
+            }
+            radiusKm = Math.min(maxKm, radiusKm * 2);
+        }
+    }
+
+    // All records inside a lat/lng box (edges included), in dataset order
+    function withinBox(minLat, minLng, maxLat, maxLng) {
+        if (![minLat, minLng, maxLat, maxLng].every(isFinite) || minLat > maxLat || minLng > maxLng) {
+            return [];
+        }
+        const minRow = rowOf(minLat);
+        const maxRow = rowOf(maxLat);
+        const colCount = Math.min(lngCells, Math.floor((maxLng + 180) / cellSize) - Math.floor((minLng + 180) / cellSize) + 1);
+        const buckets = [];
+        if ((maxRow - minRow + 1) * colCount >= cells.size) {
+            cells.forEach(bucket => buckets.push(bucket));
+        } else {
+            const firstCol = colOf(minLng);
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let i = 0; i < colCount; i++) {
+                    const bucket = cells.get(cellKey(row, (firstCol + i) % lngCells));
+                    if (bucket) buckets.push(bucket);
+                }
+            }
+        }
+        const matches = [];
+        buckets.forEach(bucket => bucket.forEach(entry => {
+            if (entry.lat >= minLat && entry.lat <= maxLat && entry.lng >= minLng && entry.lng <= maxLng) {
+                matches.push({ record: entry.record, index: entry.index, lat: entry.lat, lng: entry.lng });
+            }
+        }));
+        return matches.sort((a, b) => a.index - b.index);
+    }
+
+    return { within, nearest, nearestK, withinBox, size };
+}
+
+module.exports = { buildSpatialIndex };
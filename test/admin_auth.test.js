@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAdminGuard } = require('../admin_auth');
+
+// Runs the guard on a request with the given Authorization header
+function guard(token, authorization) {
+    const req = { get: name => (name === 'Authorization' ? authorization : undefined) };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    createAdminGuard(token)(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+test('the routes are switched off when no token is set', () => {
+    const { passed, res } = guard(null, 'Bearer anything');
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 503);
+});
+
+test('a missing or wrong token is refused with a Bearer challenge', () => {
+    for (const authorization of [undefined, 'Bearer wrong', 'Basic secret', 'Bearer secret extra']) {
+        const { passed, res } = guard('secret', authorization);
+        assert.strictEqual(passed, false, authorization);
+        assert.strictEqual(res.statusCode, 401);
+        assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer');
+    }
+});
+
+test('the configured token is let through', () => {
+    assert.strictEqual(guard('secret', 'Bearer secret').passed, true);
+    assert.strictEqual(guard('secret', 'bearer secret ').passed, true);
+});
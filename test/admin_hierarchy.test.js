@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanName, slugify, matchKey, buildHierarchy } = require('../admin_hierarchy');
+
+const PLACES = [
+    { kind: 'neighborhood', state: 'Telangana State', district: 'Hyderabad District', area: 'Ameerpet', areaKind: 'region', lat: 17.43, lng: 78.44, pincode: '500016', record: { placeName: 'S R Nagar' } },
+    { kind: 'post_office', state: 'TELANGANA', district: 'HYDERABAD', area: 'Ameerpet', areaKind: 'division', lat: 17.44, lng: 78.45, pincode: '500016', record: { OfficeName: 'Ameerpet S.O' } },
+    { kind: 'post_office', state: 'TELANGANA', district: 'HYDERABAD RURAL', area: 'Shamshabad', areaKind: 'division', lat: 17.2, lng: 78.2, pincode: '501218', record: { OfficeName: 'Shamshabad S.O' } },
+    { kind: 'post_office', state: 'TELANGANA', district: 'RANGAREDDY', area: 'Ibrahimpatnam', areaKind: 'division', lat: 17.3, lng: 78.3, pincode: '501506', record: { OfficeName: 'Ibrahimpatnam S.O' } },
+    { kind: 'neighborhood', state: 'Telangana', district: 'Ranga Reddy[2]', area: 'N/A', areaKind: 'region', lat: null, lng: null, record: { placeName: 'Kokapet' } }
+];
+
+test('names lose level suffixes, footnotes and missing markers', () => {
+    assert.strictEqual(cleanName('Ranga Reddy[1], ', 'district'), 'Ranga Reddy');
+    assert.strictEqual(cleanName('Telangana State', 'state'), 'Telangana');
+    assert.strictEqual(cleanName('N/A', 'area'), null);
+    assert.strictEqual(slugify('Medchal–Malkajgiri'), 'medchal-malkajgiri');
+    assert.strictEqual(matchKey('Ranga Reddy'), matchKey('Rangareddy'));
+});
+
+test('spellings of one unit merge, but similar names stay apart', () => {
+    const { children: [telangana] } = buildHierarchy(PLACES).lookup([], { depth: 2 });
+    assert.strictEqual(telangana.name, 'Telangana');
+    assert.deepStrictEqual(telangana.counts, { children: 3, neighborhoods: 2, post_offices: 3, pincodes: 3 });
+    // Mixed case is preferred over the pincode file's capitals
+    assert.deepStrictEqual(telangana.children.map(district => district.name), ['Hyderabad', 'Hyderabad Rural', 'Ranga Reddy']);
+});
+
+test('a district has a centroid and box over its located places', () => {
+    const hyderabad = buildHierarchy(PLACES).lookup(['telangana', 'hyderabad']);
+    assert.deepStrictEqual(hyderabad.centroid, { lat: 17.435, lng: 78.445 });
+    assert.deepStrictEqual(hyderabad.bbox, [78.44, 17.43, 78.45, 17.44]);
+    // A region and a postal division of one name are two areas with unique slugs
+    assert.deepStrictEqual(hyderabad.children.map(area => [area.slug, area.kind]), [['ameerpet', 'region'], ['ameerpet-division', 'division']]);
+});
+
+test('paths take slugs or names, and an area lists its places', () => {
+    const hierarchy = buildHierarchy(PLACES);
+    const area = hierarchy.lookup(['Telangana', 'Hyderabad District', 'ameerpet-division']);
+    assert.strictEqual(area.path, 'telangana/hyderabad/ameerpet-division');
+    assert.deepStrictEqual(area.post_offices, [{ OfficeName: 'Ameerpet S.O' }]);
+    assert.deepStrictEqual(hierarchy.lookup(['telangana', 'ranga-reddy', 'unassigned']).neighborhoods, [{ placeName: 'Kokapet' }]);
+    // Never a substring match
+    assert.strictEqual(hierarchy.lookup(['telangana', 'hyd']), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAutocompleteIndex } = require('../autocomplete_index');
+
+function placeIndex() {
+    const index = createAutocompleteIndex();
+    index.add({ type: 'post_office', name: 'Ameerpet S.O', latitude: 17.43, longitude: 78.44, detail: '500016' });
+    index.add({ type: 'neighborhood', name: 'Ameerpet', latitude: 17.43, longitude: 78.45, detail: 'Hyderabad' });
+    index.add({ type: 'neighborhood', name: 'Ameerpet', latitude: 17.45, longitude: 78.47, detail: 'Hyderabad' });
+    index.add({ type: 'assembly_constituency', name: 'Ameerpet', latitude: 17.4, longitude: 78.4 });
+    index.add({ type: 'neighborhood', name: 'S. R. Nagar', latitude: 17.44, longitude: 78.44, detail: 'Hyderabad' });
+    index.add({ type: 'neighborhood', name: 'Nagaram', latitude: 17.48, longitude: 78.6 });
+    index.add({ type: 'neighborhood', name: 'Nowhere', latitude: null, longitude: 78.6 });
+    return index;
+}
+
+const labels = (suggestions) => suggestions.map(suggestion => `${suggestion.label} (${suggestion.type}, ${suggestion.match})`);
+
+test('repeats of a place are merged and places without coordinates skipped', () => {
+    const index = placeIndex();
+    assert.strictEqual(index.size, 5);
+    const [ameerpet] = index.suggest('ameerpet', { types: ['neighborhood'] });
+    assert.deepStrictEqual([ameerpet.latitude, ameerpet.longitude], [17.44, 78.46]);
+});
+
+test('exact names rank above prefixes, then by place type', () => {
+    assert.deepStrictEqual(labels(placeIndex().suggest('Ameerpet')), [
+        'Ameerpet (neighborhood, exact)',
+        'Ameerpet (assembly_constituency, exact)',
+        'Ameerpet S.O (post_office, prefix)'
+    ]);
+});
+
+test('later words of a name are matched below the start of a name', () => {
+    const index = placeIndex();
+    assert.deepStrictEqual(labels(index.suggest('nagar')), ['Nagaram (neighborhood, prefix)', 'S. R. Nagar (neighborhood, word)']);
+    assert.deepStrictEqual(labels(index.suggest('r nag')), ['S. R. Nagar (neighborhood, word)']);
+    assert.deepStrictEqual(labels(index.suggest('s. r.')), ['S. R. Nagar (neighborhood, prefix)']);
+});
+
+test('types and limit narrow the suggestions', () => {
+    const index = placeIndex();
+    assert.deepStrictEqual(labels(index.suggest('ameer', { types: ['post_office'] })), ['Ameerpet S.O (post_office, prefix)']);
+    assert.strictEqual(index.suggest('a', { limit: 1 }).length, 1);
+    assert.deepStrictEqual(index.suggest(' '), []);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { parseCsv } = require('../dataset_loader');
+const { runBatch, findColumn, streamCsvBatch } = require('../batch_lookup');
+
+// Pincode → district, for 5000xx pincodes only
+function lookup(pincode) {
+    if (pincode === 'boom') throw new Error('lookup crashed');
+    return /^5000\d\d$/.test(pincode) ? { result: { district: 'Hyderabad' } } : { error: 'Pincode not found' };
+}
+
+// Feeds `chunks` to streamCsvBatch and resolves with what was sent back
+function streamCsv(chunks) {
+    const req = new EventEmitter();
+    req.setEncoding = () => {};
+    req.pause = () => {};
+    req.resume = () => {};
+    return new Promise(resolve => {
+        const res = {
+            statusCode: null, headers: {}, body: '', headersSent: false,
+            status(code) { this.statusCode = code; return this; },
+            type(value) { this.headers['Content-Type'] = value; return this; },
+            set(name, value) { this.headers[name] = value; return this; },
+            json(body) { resolve({ ...this, body }); },
+            write(text) { this.headersSent = true; this.body += text; return true; },
+            end() { resolve(this); }
+        };
+        streamCsvBatch(req, res, {
+            readInput: headers => {
+                const column = findColumn(headers, ['pincode', 'pin code']);
+                return column === -1 ? { error: 'no pincode column' } : { read: values => values[column] };
+            },
+            lookup,
+            columns: ['match_district'],
+            toColumns: result => ({ match_district: result.district }),
+            fileName: 'enriched.csv'
+        });
+        chunks.forEach(chunk => req.emit('data', chunk));
+        req.emit('end');
+    });
+}
+
+test('every item gets its own result or error', () => {
+    const batch = runBatch(['500004', '123', 'boom'], lookup);
+    assert.deepStrictEqual([batch.count, batch.succeeded, batch.failed], [3, 1, 2]);
+    assert.deepStrictEqual(batch.results.map(result => [result.index, result.status, result.error || result.result.district]), [
+        [0, 'ok', 'Hyderabad'],
+        [1, 'error', 'Pincode not found'],
+        [2, 'error', 'lookup crashed']
+    ]);
+});
+
+test('columns are found whatever their case and spacing', () => {
+    assert.strictEqual(findColumn(['Name', ' Pin_Code '], ['pincode']), 1);
+    assert.strictEqual(findColumn(['Name'], ['pincode']), -1);
+});
+
+test('a CSV streamed in pieces comes back with the lookup columns', async () => {
+    const res = await streamCsv(['Name,"Pin', ' code"\r\n"Rao, K",5000', '04\r\nNobody,123\r\n']);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="enriched.csv"');
+    const { headers, rows } = parseCsv(res.body);
+    assert.deepStrictEqual(headers, ['Name', 'Pin code', 'match_district', 'error']);
+    assert.deepStrictEqual(rows.map(row => row.values), [
+        ['Rao, K', '500004', 'Hyderabad', ''],
+        ['Nobody', '123', '', 'Pincode not found']
+    ]);
+});
+
+test('a CSV without the needed column, or with no rows, is refused', async () => {
+    const missing = await streamCsv(['Name,District\r\nRao,Hyderabad\r\n']);
+    assert.deepStrictEqual([missing.statusCode, missing.body], [400, { message: 'no pincode column' }]);
+    const empty = await streamCsv(['\r\n']);
+    assert.deepStrictEqual([empty.statusCode, empty.body], [400, { message: 'the CSV is empty' }]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareIds, createCategoryTaxonomy, readCategory, nextCategoryId, seedCategories } = require('../category_taxonomy');
+
+const ENTRIES = [
+    { id: '2', names: { en: 'Travel' }, sort_order: 2 },
+    { id: '1', names: { en: 'Everyday phrases' }, sort_order: 1 },
+    { id: 11, parent_id: '1', names: { en: 'Greetings' }, sort_order: 2 },
+    { id: '9', parent_id: 1, names: { en: 'Thanks' }, sort_order: 1 },
+    { id: '91', parent_id: '9', names: { en: 'Formal thanks' } },
+    { id: '21', parent_id: '2', names: { en: 'Directions' } }
+];
+
+const ids = (categories) => categories.map(category => category.id);
+
+test('categories are listed depth first with siblings by sort_order', () => {
+    const taxonomy = createCategoryTaxonomy(ENTRIES);
+    assert.deepStrictEqual(ids(taxonomy.list()), ['1', '9', '91', '11', '2', '21']);
+    assert.deepStrictEqual([taxonomy.depth('91'), taxonomy.rank(11), taxonomy.rank('404')], [2, 3, 6]);
+    assert.deepStrictEqual(ids(taxonomy.ancestors('91')), ['1', '9']);
+});
+
+test('a subtree holds the category and everything below it', () => {
+    const taxonomy = createCategoryTaxonomy(ENTRIES);
+    assert.deepStrictEqual(Array.from(taxonomy.descendantIds(1)).sort(compareIds), ['1', '9', '11', '91']);
+    assert.deepStrictEqual(Array.from(taxonomy.descendantIds('21')), ['21']);
+    assert.strictEqual(taxonomy.descendantIds('404').size, 0);
+});
+
+test('malformed lists are refused, cycles included', () => {
+    assert.throws(() => createCategoryTaxonomy({}), /must contain an array/);
+    assert.throws(() => createCategoryTaxonomy([{ names: {} }]), /needs an "id"/);
+    assert.throws(() => createCategoryTaxonomy([{ id: 1 }, { id: '1' }]), /listed twice/);
+    assert.throws(() => createCategoryTaxonomy([{ id: '1', parent_id: '7' }]), /unknown parent "7"/);
+    assert.throws(() => createCategoryTaxonomy([{ id: '1' }, { id: '2', parent_id: '3' }, { id: '3', parent_id: '2' }]),
+        /categories form a cycle: 2, 3/);
+    assert.throws(() => createCategoryTaxonomy([{ id: '1', parent_id: '1' }]), /cycle: 1/);
+});
+
+test('a category cannot be moved under itself or below it', () => {
+    const taxonomy = createCategoryTaxonomy(ENTRIES);
+    const options = { current: taxonomy.get('1'), taxonomy, languageCodes: ['en', 'te'] };
+    assert.match(readCategory({ parent_id: '91' }, options).error, /cannot be moved under itself/);
+    assert.match(readCategory({ parent_id: '1' }, options).error, /cannot be moved under itself/);
+    assert.strictEqual(readCategory({ parent_id: '2' }, options).category.parent_id, '2');
+});
+
+test('a new category is checked and goes after its siblings', () => {
+    const taxonomy = createCategoryTaxonomy(ENTRIES);
+    const options = { taxonomy, languageCodes: ['en', 'te'] };
+    assert.deepStrictEqual(readCategory({ id: '12', parent_id: '1', names: { en: ' Farewells ', te: '' } }, options).category,
+        { id: '12', parent_id: '1', names: { en: 'Farewells' }, icon: null, sort_order: 3 });
+    assert.match(readCategory({ names: { fr: 'Adieu' } }, options).error, /Unknown language codes: fr/);
+    assert.match(readCategory({ names: {} }, options).error, /at least one language/);
+    assert.match(readCategory({ names: { en: 'X' }, colour: 'red' }, options).error, /Unknown fields: colour/);
+    assert.strictEqual(nextCategoryId(taxonomy), '92');
+});
+
+test('categories are seeded from the ids the items use', () => {
+    assert.deepStrictEqual(seedCategories([{ 'category-id': '11' }, { 'category-id': 2 }, { 'category-id': '11' }, {}]), [
+        { id: '2', parent_id: null, names: {}, icon: null, sort_order: 1 },
+        { id: '11', parent_id: null, names: {}, icon: null, sort_order: 2 }
+    ]);
+});
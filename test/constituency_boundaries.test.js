@@ -0,0 +1,42 @@
+// The polygon lookups run against the small boundary files in
+// test/fixtures/boundaries; the server reads the same layout from boundaries/.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadBoundaries, pointInPolygon } = require('../constituency_boundaries');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', 'boundaries', name);
+
+test('assembly polygons: containing constituency, holes and multipolygons', () => {
+    const boundaries = loadBoundaries(fixture('assembly_constituencies.geojson'), 'assembly');
+    // Features without a name or without a polygon are left out
+    assert.strictEqual(boundaries.size, 2);
+    assert.deepStrictEqual(boundaries.list().map(feature => feature.name), ['Sanathnagar', 'Khairatabad']);
+
+    assert.deepStrictEqual(boundaries.find(17.455, 78.44),
+        { name: 'Sanathnagar', number: '60', district: 'Hyderabad', state: 'Telangana' });
+    assert.strictEqual(boundaries.find(17.405, 78.47).name, 'Khairatabad');
+    assert.strictEqual(boundaries.find(17.405, 78.505).name, 'Khairatabad');
+    assert.strictEqual(boundaries.find(17.415, 78.455), null, 'inside the hole');
+    assert.strictEqual(boundaries.find(17.305, 78.305), null, 'unnamed feature');
+    assert.strictEqual(boundaries.find(17.6, 78.6), null);
+});
+
+test('parliamentary polygons use the PC_* properties', () => {
+    const boundaries = loadBoundaries(fixture('parliamentary_constituencies.geojson'), 'parliamentary');
+    assert.deepStrictEqual(boundaries.find(17.44, 78.5),
+        { name: 'Secunderabad', number: '8', district: null, state: 'Telangana' });
+});
+
+test('pointInPolygon takes [lng, lat] rings, the first the outline', () => {
+    const square = [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]];
+    assert.strictEqual(pointInPolygon(2, 2, square), true);
+    assert.strictEqual(pointInPolygon(5, 5, square), false);
+    assert.strictEqual(pointInPolygon(11, 5, square), false);
+    assert.strictEqual(pointInPolygon(1, 1, []), false);
+});
+
+test('a missing file throws, so the server can fall back to the nearest neighborhood', () => {
+    assert.throws(() => loadBoundaries(fixture('missing.geojson'), 'assembly'), { code: 'ENOENT' });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkConsistency, formatConsistencyReport } = require('../dataset_consistency');
+
+const PINCODES = [
+    { OfficeName: 'Ameerpet S.O', Pincode: '500016', District: 'HYDERABAD', StateName: 'TELANGANA', Latitude: 17.43, Longitude: 78.44 },
+    { OfficeName: 'Khairatabad S.O', Pincode: '500004', District: 'HYDERABAD', StateName: 'TELANGANA', Latitude: 17.41, Longitude: 78.46 },
+    { OfficeName: 'Trimulgherry S.O', Pincode: '500015', District: 'SECUNDERABAD', StateName: 'TELANGANA', Latitude: 17.47, Longitude: 78.51 },
+    { OfficeName: 'Aurangabad H.O', Pincode: '431001', District: 'AURANGABAD', StateName: 'MAHARASHTRA', Latitude: 19.88, Longitude: 75.34 },
+    { OfficeName: 'Aurangabad H.O', Pincode: '824101', District: 'AURANGABAD', StateName: 'BIHAR', Latitude: 24.75, Longitude: 84.37 }
+];
+
+const NEIGHBORHOODS = [
+    { placeName: 'Ameerpet', state: 'Telangana State', district: 'Hyderabad District', pincode: '500 016', latitude: 17.435, longitude: 78.445, vs: 'Sanath Nagar (Assembly constituency)', ls: 'Secunderabad' },
+    { placeName: 'Khairatabad', state: 'Telangana', district: 'Hyderabad', pincode: '500004', latitude: 17.9, longitude: 78.46, vs: 'Khairtabad', ls: 'Secunderabad' },
+    { placeName: 'Kokapet', state: 'Telangana', district: 'Rangareddy', pincode: '500999', latitude: 17.4, longitude: 78.3, vs: 'Rajendranagar', ls: 'Chevella' },
+    { placeName: 'Bowenpally', state: 'Telangana', district: 'Hyderabad', pincode: '500015', latitude: 17.47, longitude: 78.48, vs: 'N/A', ls: '' },
+    { placeName: 'Odd', state: 'Telangana', district: 'N/A', pincode: '5000', vs: '', ls: '' }
+];
+
+function check() {
+    return checkConsistency({
+        neighborhoods: NEIGHBORHOODS,
+        neighborhoodIds: NEIGHBORHOODS.map(place => place.placeName.toLowerCase()),
+        pincodes: PINCODES,
+        mlas: [{ Constituency: 'Khairatabad', State: 'Telangana' }, { Constituency: 'Sanathnagar', State: 'Telangana' }],
+        mps: [{ pc_name: 'Secunderabad', state: 'Telangana' }],
+        getVidhanSabha: place => place.vs,
+        getLokSabha: place => place.ls
+    });
+}
+
+const issuesOf = (report, id) => report.issues.filter(issue => issue.record.id === id).map(issue => issue.code);
+
+test('spellings of one unit share a canonical row', () => {
+    const { tables } = check();
+    const hyderabad = tables.districts.find(row => row.id === 'telangana/hyderabad');
+    // Spellings are kept once level suffixes such as "District" are dropped
+    assert.deepStrictEqual(hyderabad.spellings, { pincodes: { HYDERABAD: 2 }, neighborhoods: { Hyderabad: 3 } });
+    assert.strictEqual(hyderabad.name, 'Hyderabad');
+    assert.deepStrictEqual(tables.pincodes.find(row => row.id === '500016').spellings, { pincodes: { 500016: 1 }, neighborhoods: { '500 016': 1 } });
+    // Units are keyed within their state
+    assert.deepStrictEqual(tables.districts.filter(row => row.name === 'Aurangabad').map(row => row.id), ['bihar/aurangabad', 'maharashtra/aurangabad']);
+});
+
+test('constituency spellings resolve by key, else fuzzily with a notice', () => {
+    const report = check();
+    assert.deepStrictEqual(issuesOf(report, 'khairatabad'), ['pincode_far']);
+    const [notice] = report.issues.filter(issue => issue.code === 'name_variant');
+    assert.deepStrictEqual([notice.record.id, notice.canonical, notice.severity], ['ameerpet', 'Sanathnagar', 'notice']);
+});
+
+test('references the other datasets do not back up are reported', () => {
+    const report = check();
+    assert.deepStrictEqual(issuesOf(report, 'kokapet'),
+        ['district_unknown', 'assembly_without_mla', 'parliamentary_without_mp', 'pincode_unknown']);
+    assert.deepStrictEqual(issuesOf(report, 'bowenpally'), ['district_mismatch']);
+    assert.deepStrictEqual(report.issues.find(issue => issue.code === 'district_mismatch').expected, ['Secunderabad']);
+    assert.deepStrictEqual(issuesOf(report, 'odd'), ['pincode_invalid']);
+    assert.strictEqual(report.status, 'error');
+    assert.deepStrictEqual(report.counts.by_severity, { error: 3, warning: 4, notice: 1 });
+});
+
+test('the text report lists a few examples per issue code', () => {
+    const text = formatConsistencyReport(check(), 1);
+    assert.match(text, /^Consistency check: error\n {2}3 errors, 4 warnings, 1 notice\n/);
+    assert.match(text, /\npincode_far \(warning\): 1\n {2}- neighborhoods khairatabad: 54\.5 km from the nearest 500004 post office \(Khairatabad S\.O\)/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATASETS } = require('../dataset_loader');
+const { createDatasetImports } = require('../dataset_imports');
+
+const PINCODES_CSV = [
+    'OfficeName,Pincode,District,StateName,Latitude,Longitude',
+    'Khairatabad S.O,500004,HYDERABAD,TELANGANA,17.41,78.46',
+    'Somajiguda S.O,500082,HYDERABAD,TELANGANA,17.42,78.45'
+].join('\r\n') + '\r\n';
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-imports-'));
+    const file = path.join(dir, 'pincodes.csv');
+    fs.writeFileSync(file, PINCODES_CSV);
+    const reloads = [];
+    const imports = createDatasetImports({
+        sources: { pincodes: { definition: DATASETS.PINCODES, file } },
+        reload: name => {
+            reloads.push(name);
+            return { records: 0 };
+        }
+    });
+    return { dir, file, imports, reloads };
+}
+
+// Validation finishes in the worker; poll the import until it settles
+async function settled(imports, id) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const described = imports.get(id);
+        if (described.status !== 'validating') return described;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error('validation did not finish');
+}
+
+test('a patch is validated in the background, diffed and committed', async () => {
+    const { dir, file, imports, reloads } = setup();
+    try {
+        const { import: staged } = imports.stage('pincodes', {
+            mode: 'patch',
+            body: {
+                upsert: [{ OfficeName: 'Khairatabad S.O', Pincode: '500004', Latitude: '17.412' }],
+                remove: ['500082:somajiguda s o']
+            }
+        });
+        assert.strictEqual(staged.status, 'validating');
+
+        const ready = await settled(imports, staged.id);
+        assert.strictEqual(ready.status, 'ready', ready.error);
+        assert.strictEqual(ready.report.accepted_rows, 1);
+        assert.deepStrictEqual([ready.diff.added, ready.diff.removed, ready.diff.changed], [0, 1, 1]);
+        assert.deepStrictEqual(ready.diff.examples.changed[0].fields, ['Latitude']);
+
+        const committed = imports.commit(staged.id);
+        assert.strictEqual(committed.import.status, 'committed');
+        assert.deepStrictEqual(reloads, ['pincodes']);
+        assert.match(fs.readFileSync(file, 'utf8'), /^OfficeName,Pincode,District,StateName,Latitude,Longitude\r\nKhairatabad S\.O,500004,HYDERABAD,TELANGANA,17\.412,78\.46\r\n$/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an upload with no valid record fails validation', async () => {
+    const { dir, imports } = setup();
+    try {
+        const { import: staged } = imports.stage('pincodes', { body: 'OfficeName,Pincode\r\nNowhere,12\r\n' });
+        const failed = await settled(imports, staged.id);
+        assert.strictEqual(failed.status, 'failed');
+        assert.strictEqual(failed.error, 'no record in the upload passed validation');
+        assert.match(imports.commit(staged.id).error, /only a ready import/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DATASETS, lokSabhaOf, createCsvParser, parseCsv, checkRecords, readEntries } = require('../dataset_loader');
+
+const MP_CSV = 'mp_name,pc_name,state\r\nG Kishan Reddy,Secunderabad,Telangana\r\n';
+
+test('MP rows take the Lok Sabha from a lok_sabha column or the file name', () => {
+    assert.strictEqual(lokSabhaOf({ lok_sabha: '18th Lok Sabha' }, { file: 'mps.csv' }), '18');
+    assert.strictEqual(lokSabhaOf({}, { file: '17-LS-MP-Track.csv' }), '17');
+    assert.strictEqual(lokSabhaOf({}, { file: 'mps.csv' }), null);
+});
+
+test('MP rows with no Lok Sabha are rejected as missing_term, the rest load', () => {
+    const entries = [
+        ...readEntries(DATASETS.MPS, MP_CSV).map(entry => ({ ...entry, location: { file: 'mps.csv', ...entry.location } })),
+        ...readEntries(DATASETS.MPS, MP_CSV).map(entry => ({ ...entry, location: { file: '18-LS-MP-Track.csv', ...entry.location } }))
+    ];
+    const { records, report } = checkRecords(DATASETS.MPS, entries, 'mps.csv, 18-LS-MP-Track.csv');
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(report.rejected_count, 1);
+    assert.deepStrictEqual(report.issue_counts, { missing_term: 1 });
+    assert.strictEqual(report.rejected[0].file, 'mps.csv');
+});
+
+test('MLA rows need a numeric Term', () => {
+    const csv = 'MLA Name,Constituency,State,Term\r\nA,Sirpur,Telangana,3\r\nB,Adilabad,Telangana,Third\r\n';
+    const { records, report } = checkRecords(DATASETS.MLAS, readEntries(DATASETS.MLAS, csv), 'telangana.csv');
+    assert.deepStrictEqual(records.map(record => record['MLA Name']), ['A']);
+    assert.strictEqual(report.rejected[0].issues[0].code, 'missing_term');
+});
+
+// Quoted commas and quotes, a BOM, CRLF, a blank line, a quoted line break and an empty last field
+const QUOTED_CSV = '﻿name,note\r\n"Ameerpet, S.O","says ""hi"""\r\n\r\n"Two\nlines",x\r\nlast,""';
+
+test('quoted fields, CRLF and embedded line breaks are read as RFC 4180', () => {
+    assert.deepStrictEqual(parseCsv(QUOTED_CSV), {
+        headers: ['name', 'note'],
+        rows: [
+            { line: 2, values: ['Ameerpet, S.O', 'says "hi"'] },
+            { line: 4, values: ['Two\nlines', 'x'] },
+            { line: 6, values: ['last', ''] }
+        ]
+    });
+});
+
+test('the parser reads the same rows when fed one character at a time', () => {
+    const rows = [];
+    const parser = createCsvParser(row => rows.push(row));
+    Array.from(QUOTED_CSV).forEach(char => parser.write(char));
+    parser.end();
+    const { headers, rows: whole } = parseCsv(QUOTED_CSV);
+    assert.deepStrictEqual(rows, [{ line: 1, values: headers }, ...whole]);
+});
+
+test('bad pincodes are rejected and points outside India flagged', () => {
+    const csv = 'OfficeName,Pincode,District,StateName,Latitude,Longitude\r\n' +
+        'A S.O,500004,HYDERABAD,TELANGANA,17.4,78.4\r\n' +
+        'B S.O,5000,HYDERABAD,TELANGANA,17.4,78.4\r\n' +
+        'C S.O,500005,HYDERABAD,TELANGANA,51.5,-0.1\r\n';
+    const { records, report } = checkRecords(DATASETS.PINCODES, readEntries(DATASETS.PINCODES, csv), 'pincodes.csv');
+    assert.deepStrictEqual(records.map(record => record.OfficeName), ['A S.O', 'C S.O']);
+    assert.deepStrictEqual(report.issue_counts, { invalid_pincode: 1, outside_india: 1 });
+    assert.deepStrictEqual([report.rejected[0].line, report.suspicious[0].line], [3, 4]);
+});
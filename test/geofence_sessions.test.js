@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFence, createGeofenceSessions } = require('../geofence_sessions');
+
+// West of 78.5 is Ameerpet, east of it Begumpet
+const locate = ({ lng }) => ({
+    neighborhoods: lng < 78.5 ? { key: 'ameerpet', name: 'Ameerpet' } : { key: 'begumpet', name: 'Begumpet' }
+});
+
+// A position `km` north of 17.4, 78.4 at minute `minute`
+const KM_PER_DEGREE = 6371 * Math.PI / 180;
+const north = (km, minute) => ({ lat: 17.4 + km / KM_PER_DEGREE, lng: 78.4, time: new Date(Date.UTC(2025, 0, 1, 10, minute)).toISOString() });
+const at = (lng, minute) => ({ lat: 17.4, lng, time: new Date(Date.UTC(2025, 0, 1, 10, minute)).toISOString() });
+
+const summary = (events) => events.map(event => `${event.type} ${event.fence ? event.fence.label : event.area.name}`);
+
+test('fences are checked when they are added', () => {
+    assert.throws(() => parseFence({ type: 'circle', lat: 17.4, lng: 78.4, radius_km: 1 }), /needs a label/);
+    assert.throws(() => parseFence({ label: 'Depot', type: 'circle', lat: 17.4, lng: 78.4, radius_km: 0 }), /positive radius_km/);
+    assert.throws(() => parseFence({ label: 'Yard', type: 'polygon', coordinates: [[[78, 17], [79, 17], [78, 17]]] }), /at least 4/);
+    assert.throws(() => parseFence({ label: 'Line', type: 'line' }), /circle or polygon/);
+    assert.deepStrictEqual(parseFence({ id: 7, label: ' Depot ', type: 'circle', lat: '17.4', lng: 78.4, radius_km: 1 }),
+        { id: '7', label: 'Depot', type: 'circle', lat: 17.4, lng: 78.4, radius_km: 1 });
+});
+
+test('an area change counts only after enough positions agree', () => {
+    const sessions = createGeofenceSessions({ locate });
+    const { id } = sessions.create();
+    assert.deepStrictEqual(summary(sessions.update(id, at(78.4, 0)).events), ['enter Ameerpet']);
+    // One position over the border is not enough, and the next one back resets the count
+    assert.deepStrictEqual(sessions.update(id, at(78.6, 1)).events, []);
+    assert.deepStrictEqual(sessions.update(id, at(78.4, 2)).events, []);
+    assert.deepStrictEqual(sessions.update(id, at(78.6, 3)).events, []);
+    assert.deepStrictEqual(summary(sessions.update(id, at(78.6, 4)).events), ['exit Ameerpet', 'enter Begumpet']);
+    assert.deepStrictEqual(sessions.get(id).areas, { neighborhoods: { name: 'Begumpet' } });
+});
+
+test('a circle fence is only left beyond its exit margin', () => {
+    const sessions = createGeofenceSessions({ locate: () => ({}) });
+    const { id } = sessions.create({ confirmations: 1, fences: [{ label: 'Depot', type: 'circle', lat: 17.4, lng: 78.4, radius_km: 1 }] });
+    assert.deepStrictEqual(summary(sessions.update(id, north(0.9, 0)).events), ['enter Depot']);
+    assert.deepStrictEqual(sessions.update(id, north(1.03, 1)).events, []);
+    assert.deepStrictEqual(summary(sessions.update(id, north(1.1, 2)).events), ['exit Depot']);
+    // Coming back needs the radius itself, not the margin
+    assert.deepStrictEqual(sessions.update(id, north(1.03, 3)).events, []);
+    assert.deepStrictEqual(summary(sessions.update(id, north(0.99, 4)).events), ['enter Depot']);
+});
+
+test('starting outside a polygon fence is not an exit', () => {
+    const sessions = createGeofenceSessions({ locate: () => ({}) });
+    const square = [[[78.45, 17.35], [78.55, 17.35], [78.55, 17.45], [78.45, 17.45], [78.45, 17.35]]];
+    const { id } = sessions.create({ confirmations: 1 });
+    sessions.addFence(id, { id: 'yard', label: 'Yard', type: 'polygon', coordinates: square });
+    assert.deepStrictEqual(sessions.update(id, at(78.4, 0)).events, []);
+    assert.deepStrictEqual(summary(sessions.update(id, at(78.5, 1)).events), ['enter Yard']);
+    assert.strictEqual(sessions.get(id).fences[0].inside, true);
+    // Removing a fence ends it without an exit
+    assert.strictEqual(sessions.removeFence(id, 'yard'), true);
+    assert.deepStrictEqual(sessions.update(id, at(78.4, 2)).events, []);
+});
+
+test('positions older than the last one are ignored', () => {
+    const sessions = createGeofenceSessions({ locate });
+    const { id } = sessions.create({ confirmations: 1 });
+    sessions.update(id, at(78.4, 5));
+    assert.deepStrictEqual(sessions.update(id, at(78.6, 4)), { events: [], ignored: 'older than the last position' });
+    assert.throws(() => sessions.update(id, { lat: 17.4, lng: 78.4, time: 'soon' }), /ISO date/);
+    assert.strictEqual(sessions.update('missing', at(78.4, 6)), null);
+});
+
+test('subscribers catch up from the last event they saw', () => {
+    const sessions = createGeofenceSessions({ locate });
+    const { id } = sessions.create({ confirmations: 1 });
+    sessions.update(id, at(78.4, 0));
+    sessions.update(id, at(78.6, 1));
+
+    const received = [];
+    const unsubscribe = sessions.subscribe(id, event => received.push(event), 1);
+    sessions.update(id, at(78.4, 2));
+    assert.deepStrictEqual(received.map(event => event.id), [2, 3, 4, 5]);
+    assert.deepStrictEqual(summary(received), ['exit Ameerpet', 'enter Begumpet', 'exit Begumpet', 'enter Ameerpet']);
+
+    sessions.remove(id);
+    assert.strictEqual(received[received.length - 1].type, 'closed');
+    unsubscribe();
+    assert.strictEqual(sessions.get(id), null);
+});
+
+test('idle sessions without subscribers are swept', () => {
+    const sessions = createGeofenceSessions({ locate, idleTimeoutMs: 1000 });
+    const idle = sessions.create().id;
+    const watched = sessions.create().id;
+    sessions.subscribe(watched, () => {});
+    assert.strictEqual(sessions.sweep(Date.now() + 2000), 1);
+    assert.strictEqual(sessions.get(idle), null);
+    assert.notStrictEqual(sessions.get(watched), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { curateImageUrls, curatePlaceImages } = require('../image_curation');
+
+const WIKIMEDIA = 'https://upload.wikimedia.org/wikipedia';
+
+// The imageUrls scraped for Begumpet, as they are stored
+const SCRAPED = [
+    'https:/static/images/icons/wikipedia.png',
+    `${WIKIMEDIA}/en/thumb/9/99/Question_book-new.svg/60px-Question_book-new.svg.png`,
+    `${WIKIMEDIA}/commons/thumb/1/10/Begumpetfly.jpg/250px-Begumpetfly.jpg`,
+    `${WIKIMEDIA}/commons/thumb/a/af/Hyderabad_OpenStreetMap.svg/250px-Hyderabad_OpenStreetMap.svg.png`,
+    `${WIKIMEDIA}/commons/thumb/0/0c/Red_pog.svg/20px-Red_pog.svg.png`,
+    `${WIKIMEDIA}/commons/thumb/0/0c/Red_pog.svg/20px-Red_pog.svg.png`,
+    `${WIKIMEDIA}/en/thumb/4/41/Flag_of_India.svg/40px-Flag_of_India.svg.png`,
+    `${WIKIMEDIA}/commons/thumb/7/71/Charminar_Hyderabad_1.jpg/20px-Charminar_Hyderabad_1.jpg`,
+    'https:https://en.wikipedia.org/wiki/Special:CentralAutoLogin/start?type=1x1&usesul3=1',
+    `${WIKIMEDIA}/commons/thumb/0/0f/Emblem_of_Telangana.svg/150px-Emblem_of_Telangana.svg.png`
+];
+
+test('icons, pins, flags, repeats and broken URLs are dropped with a reason', () => {
+    const { images, dropped } = curateImageUrls(SCRAPED);
+    assert.deepStrictEqual(images.map(image => [image.url.split('/').pop(), image.type, image.width]), [
+        ['250px-Begumpetfly.jpg', 'photo', 250],
+        ['250px-Hyderabad_OpenStreetMap.svg.png', 'map', 250],
+        ['150px-Emblem_of_Telangana.svg.png', 'logo', 150]
+    ]);
+    assert.deepStrictEqual(dropped.map(drop => drop.reason),
+        ['broken_url', 'icon', 'pin', 'duplicate', 'flag', 'icon', 'broken_url']);
+});
+
+test('the first photo is the primary image, else the first map', () => {
+    assert.strictEqual(curateImageUrls(SCRAPED).primaryImage, SCRAPED[2]);
+    assert.strictEqual(curateImageUrls([SCRAPED[9], SCRAPED[3]]).primaryImage, SCRAPED[3]);
+    assert.strictEqual(curateImageUrls([SCRAPED[9]]).primaryImage, null);
+    assert.deepStrictEqual(curateImageUrls(undefined), { images: [], primaryImage: null, dropped: [] });
+});
+
+test('places are curated in place and the drops counted', () => {
+    const places = [{ placeName: 'Begumpet', imageUrls: SCRAPED.slice() }, { placeName: 'Nowhere' }];
+    const { totals, places: report } = curatePlaceImages(places);
+    assert.deepStrictEqual(places[0].imageUrls, [SCRAPED[2], SCRAPED[3], SCRAPED[9]]);
+    assert.strictEqual(places[0].primaryImage, SCRAPED[2]);
+    assert.deepStrictEqual(places[1].imageUrls, []);
+    assert.deepStrictEqual(totals, {
+        places: 2,
+        kept: 3,
+        dropped: 7,
+        dropped_by_reason: { broken_url: 2, icon: 2, pin: 1, duplicate: 1, flag: 1 }
+    });
+    assert.strictEqual(report[0].dropped_urls.length, 7);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseVideoUrl, itemMedia, groupClipsByVideo } = require('../item_media');
+
+const VIDEO = 'dQw4w9WgXcQ';
+const loop = (start, end) => `https://tubeloop.io/?videoId=${VIDEO}&start=${start}&end=${end}&rate=1`;
+
+test('a tubeloop link gives the clip bounds rounded to milliseconds', () => {
+    const link = `https://tubeloop.io/?videoId=${VIDEO}&start=131.255&end=162.01999999999998&rate=0.75`;
+    assert.deepStrictEqual(parseVideoUrl(link), {
+        provider: 'youtube',
+        video_id: VIDEO,
+        start: 131.255,
+        end: 162.02,
+        duration: 30.765,
+        rate: 0.75,
+        // The embed player takes whole seconds, widened to cover the clip
+        embed_url: `https://www.youtube.com/embed/${VIDEO}?start=131&end=163`,
+        watch_url: `https://www.youtube.com/watch?v=${VIDEO}&t=131s`,
+        source_url: link
+    });
+});
+
+test('YouTube watch, short, embed and youtu.be links are read too', () => {
+    const read = (link) => {
+        const video = parseVideoUrl(link);
+        return video && [video.video_id, video.start, video.end, video.duration];
+    };
+    assert.deepStrictEqual(read(`https://youtu.be/${VIDEO}?t=1m30s`), [VIDEO, 90, null, null]);
+    assert.deepStrictEqual(read(`https://m.youtube.com/watch?v=${VIDEO}`), [VIDEO, null, null, null]);
+    assert.deepStrictEqual(read(`https://www.youtube.com/shorts/${VIDEO}`), [VIDEO, null, null, null]);
+    // An end before the start leaves the duration unknown
+    assert.deepStrictEqual(read(`https://www.youtube-nocookie.com/embed/${VIDEO}?start=5&end=3`), [VIDEO, 5, 3, null]);
+    assert.strictEqual(parseVideoUrl(`https://tubeloop.io/?videoId=${VIDEO}&rate=0`).rate, 1);
+});
+
+test('links that are not to a YouTube video give no video', () => {
+    ['https://vimeo.com/123', 'https://youtu.be/short', 'not a url', '', undefined].forEach(link => {
+        assert.strictEqual(parseVideoUrl(link), null, String(link));
+    });
+    assert.deepStrictEqual(itemMedia({ youtube_url: 'https://vimeo.com/123', gif: ' a.gif ', thumbnail_gif: '' }),
+        { video: null, gif: 'a.gif', thumbnail: null });
+});
+
+test('clips are grouped by video in timeline order', () => {
+    const groups = groupClipsByVideo([
+        { id: 'b', youtube_url: loop(20, 25) },
+        { id: 'x', youtube_url: 'https://youtu.be/aaaaaaaaaaa' },
+        { id: 'a', youtube_url: loop(10, 12.5) },
+        { id: 'none' }
+    ]);
+    assert.deepStrictEqual(groups.map(group => [group.video_id, group.clip_count, group.start, group.end, group.total_duration]), [
+        [VIDEO, 2, 10, 25, 7.5],
+        ['aaaaaaaaaaa', 1, null, null, 0]
+    ]);
+    assert.deepStrictEqual(groups[0].clips.map(clip => clip.item.id), ['a', 'b']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toTranslations, migrateItems } = require('../item_migrations');
+
+test('multiline_text is split into translations by the item languages', () => {
+    const { items, changed } = migrateItems([
+        { id: 'a', multiline_text: 'Hello!\nவணக்கம்\n\nహలో', languages: ['en', 'ta', 'hi', 'te'], 'category-id': '11' }
+    ]);
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(items[0], {
+        id: 'a',
+        translations: { en: 'Hello!', ta: 'வணக்கம்', te: 'హలో' },
+        'category-id': '11'
+    });
+});
+
+test('translations an item already has are merged over its multiline_text', () => {
+    const { items } = migrateItems([
+        { id: 'a', multiline_text: 'Hello!\nவணக்கம்', translations: { ta: 'வணக்கம்!', hi: 'नमस्ते' } }
+    ]);
+    assert.deepStrictEqual(items[0].translations, { en: 'Hello!', ta: 'வணக்கம்!', hi: 'नमस्ते' });
+    assert.deepStrictEqual(Object.keys(items[0]), ['id', 'translations']);
+});
+
+test('migrated items are returned as they are', () => {
+    const original = [{ id: 'a', translations: { en: 'Hi' } }];
+    const { items, changed } = migrateItems(original);
+    assert.strictEqual(changed, false);
+    assert.strictEqual(items, original);
+});
+
+test('items without an id, or with a duplicate one, get a new id', () => {
+    const { items, changed } = migrateItems([
+        { id: 'a', translations: { en: 'Hi' } },
+        { translations: { en: 'Hello' }, 'category-id': '11' },
+        { id: 'a', translations: { en: 'Hey' } }
+    ]);
+    assert.strictEqual(changed, true);
+    assert.strictEqual(items[0].id, 'a');
+    assert.match(items[1].id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.notStrictEqual(items[2].id, 'a');
+    assert.strictEqual(new Set(items.map(item => item.id)).size, 3);
+    // The id leads, the other fields keep their order
+    assert.deepStrictEqual(Object.keys(items[1]), ['id', 'translations', 'category-id']);
+    assert.deepStrictEqual(items[2].translations, { en: 'Hey' });
+});
+
+test('lines of multiline_text follow the legacy order when an item lists no languages', () => {
+    assert.deepStrictEqual(toTranslations('Hello\nவணக்கம்\n\nహలో'), { en: 'Hello', ta: 'வணக்கம்', te: 'హలో' });
+    assert.deepStrictEqual(toTranslations(undefined, ['en']), {});
+});
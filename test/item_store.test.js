@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createItemStore } = require('../item_store');
+
+function setup(contents, options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-store-'));
+    const file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, contents);
+    return { dir, file, store: createItemStore(file, options) };
+}
+
+test('a save snapshots the previous file and keeps the wrapper fields', () => {
+    const { dir, file, store } = setup(JSON.stringify({ keyword: 'phrases', items: [{ id: 'a' }] }));
+    try {
+        assert.deepStrictEqual(store.load(), [{ id: 'a' }]);
+        const snapshotId = store.save([{ id: 'a' }, { id: 'b' }]);
+
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { keyword: 'phrases', items: [{ id: 'a' }, { id: 'b' }] });
+        assert.deepStrictEqual(store.readSnapshot(snapshotId).items, [{ id: 'a' }]);
+        // The temp file is renamed over data.json, not left beside it
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['data.json', 'data_backups']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('only the newest snapshots are kept, newest first', () => {
+    const { dir, store } = setup('[]', { maxSnapshots: 2 });
+    try {
+        store.load();
+        const ids = [1, 2, 3].map(n => store.save([{ id: String(n) }]));
+        assert.deepStrictEqual(store.listSnapshots().map(snapshot => snapshot.id), [ids[2], ids[1]]);
+        assert.strictEqual(store.readSnapshot(ids[0]), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a restore can itself be undone', () => {
+    const { dir, file, store } = setup('[{"id":"a"}]');
+    try {
+        store.load();
+        const first = store.save([{ id: 'b' }]);
+        const restored = store.restore(first);
+        assert.deepStrictEqual(restored.items, [{ id: 'a' }]);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'a' }]);
+
+        store.restore(restored.snapshotId);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'b' }]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('snapshot ids outside the snapshot pattern are not read', () => {
+    const { dir, store } = setup('[]');
+    try {
+        assert.strictEqual(store.readSnapshot('../data'), null);
+        assert.strictEqual(store.restore('data-2025-01-31T10-20-30-123Z'), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a file with no items array is refused', () => {
+    const { dir, store } = setup('{"total_count": 3}');
+    try {
+        assert.throws(() => store.load(), /"items" array/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
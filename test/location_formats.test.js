@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { haversineDistance } = require('../geo_utils');
+const { parseCsv } = require('../dataset_loader');
+const { flattenProperties, serializeLocations } = require('../location_formats');
+
+const LAYERS = [
+    { name: 'neighborhoods', records: [{ placeName: 'S. R. Nagar & "Sanjeev Reddy"', latitude: 17.44, longitude: 78.44, tags: ['a', 'b'] }] },
+    { name: 'pincodes', records: [{ OfficeName: 'Ameerpet S.O', Pincode: 500016, Latitude: 17.43, Longitude: 78.45 }, { OfficeName: 'Unmapped B.O' }] }
+];
+const CIRCLE = { lat: 17.44, lng: 78.45, radiusKm: 5 };
+
+test('nested fields are flattened for formats without nesting', () => {
+    assert.deepStrictEqual(flattenProperties({ a: { b: 1 }, tags: ['x', 'y'], links: [{ url: 'u' }], none: null }),
+        { 'a.b': 1, tags: 'x; y', links: '[{"url":"u"}]', none: '' });
+});
+
+test('GeoJSON has a point per record and the search circle as a closed ring', () => {
+    const { features } = JSON.parse(serializeLocations('geojson', LAYERS, { searchArea: CIRCLE }));
+    assert.deepStrictEqual(features.map(feature => feature.properties.layer), ['neighborhoods', 'pincodes', 'pincodes', 'search_area']);
+    assert.deepStrictEqual(features[1].geometry, { type: 'Point', coordinates: [78.45, 17.43] });
+    assert.strictEqual(features[2].geometry, null);
+
+    const [ring] = features[3].geometry.coordinates;
+    assert.deepStrictEqual(ring[0], ring[ring.length - 1]);
+    ring.forEach(([lng, lat]) => assert.ok(Math.abs(haversineDistance(CIRCLE.lat, CIRCLE.lng, lat, lng) - 5) < 0.01));
+});
+
+test('a polygon search area with several parts is a MultiPolygon', () => {
+    const square = (lng, lat) => [[[lng, lat], [lng + 1, lat], [lng + 1, lat + 1], [lng, lat]]];
+    const { features } = JSON.parse(serializeLocations('geojson', [], { searchArea: { lat: 17, lng: 78, polygons: [square(78, 17), square(80, 17)] } }));
+    assert.strictEqual(features[0].geometry.type, 'MultiPolygon');
+    assert.strictEqual(features[0].properties.radius_km, undefined);
+});
+
+test('KML and GPX escape names and GPX skips records without coordinates', () => {
+    const kml = serializeLocations('kml', LAYERS, { title: 'Nearby <places>' });
+    assert.match(kml, /<name>S\. R\. Nagar &amp; &quot;Sanjeev Reddy&quot;<\/name>/);
+    assert.match(kml, /<Document><name>Nearby &lt;places&gt;<\/name>/);
+
+    const gpx = serializeLocations('gpx', LAYERS, { searchArea: CIRCLE });
+    assert.strictEqual(gpx.match(/<wpt /g).length, 2);
+    assert.match(gpx, /<wpt lat="17\.43" lon="78\.45"><name>Ameerpet S\.O<\/name><desc>OfficeName: Ameerpet S\.O\nPincode: 500016\n/);
+    assert.strictEqual(gpx.match(/<trkpt /g).length, 65);
+});
+
+test('CSV puts layer and coordinates first and quotes what needs it', () => {
+    const csv = serializeLocations('csv', LAYERS, { searchArea: CIRCLE });
+    const { headers, rows } = parseCsv(csv);
+    assert.deepStrictEqual(headers.slice(0, 5), ['layer', 'latitude', 'longitude', 'placeName', 'tags']);
+    assert.deepStrictEqual(rows[0].values.slice(0, 5), ['neighborhoods', '17.44', '78.44', 'S. R. Nagar & "Sanjeev Reddy"', 'a; b']);
+    assert.deepStrictEqual(rows[2].values.slice(0, 3), ['pincodes', '', '']);
+    assert.deepStrictEqual(rows[3].values.slice(0, 3), ['search_area', '17.44', '78.45']);
+});
+
+test('an unknown format is refused', () => {
+    assert.throws(() => serializeLocations('shp', LAYERS), /unknown format "shp"/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyRole, createMpAnalytics } = require('../mp_analytics');
+
+const ROWS = [
+    {
+        mp_name: 'A', pc_name: 'Secunderabad', state: 'Telangana', mp_political_party: 'BJP', mp_age: '60',
+        educational_qualification: 'Post Graduate and above', debates: '10', questions: '100', attendance: '0.9',
+        national_average_debate: '20', state_average_debate: '15', mp_note: 'Minister of Coal; does not sign the attendance register'
+    },
+    {
+        mp_name: 'B', pc_name: 'Hyderabad', state: 'Telangana', mp_political_party: 'AIMIM', mp_age: '54',
+        educational_qualification: 'Post graduate and above', debates: '30', questions: '50', attendance: '0.8',
+        national_average_debate: '20', state_average_debate: '15'
+    },
+    {
+        mp_name: 'C', pc_name: 'Chennai Central', state: 'Tamil Nadu', mp_political_party: 'DMK', mp_age: '23',
+        educational_qualification: 'Graduate', debates: '30', questions: '', attendance: '0.95', national_average_debate: '20'
+    },
+    { mp_name: 'D', pc_name: 'Rae Bareli', state: 'Uttar Pradesh', mp_political_party: 'INC', mp_age: '80', debates: '', mp_note: 'Leader of Opposition' }
+];
+
+test('roles whose metrics are not reported are read from mp_note', () => {
+    assert.deepStrictEqual(ROWS.map(classifyRole), ['minister', 'member', 'member', 'leader_of_opposition']);
+    assert.strictEqual(classifyRole({ mp_note: 'Speaker of the Lok Sabha' }), 'speaker');
+});
+
+test('a scorecard compares each metric with the averages and percentiles', () => {
+    const [scorecard] = createMpAnalytics(ROWS).scorecards(row => row.mp_name === 'B');
+    assert.deepStrictEqual(scorecard.metrics.debates, {
+        value: 30,
+        reported: true,
+        national_average: 20,
+        state_average: 15,
+        vs_national_average: 10,
+        vs_state_average: 15,
+        national_percentile: 66.7,
+        state_percentile: 75
+    });
+});
+
+test('blank metrics are not reported, never zero', () => {
+    const analytics = createMpAnalytics(ROWS);
+    const [leader] = analytics.scorecards(row => row.mp_name === 'D');
+    assert.strictEqual(leader.metrics_reported, false);
+    assert.deepStrictEqual([leader.metrics.debates.value, leader.metrics.debates.national_percentile], [null, null]);
+    assert.strictEqual(analytics.scorecards(row => row.mp_name === 'C')[0].metrics.questions.reported, false);
+});
+
+test('rankings share ranks on ties and list the MPs left out', () => {
+    const analytics = createMpAnalytics(ROWS);
+    const { rankings, not_ranked: notRanked } = analytics.rank('debates');
+    assert.deepStrictEqual(rankings.map(row => [row.rank, row.mp_name]), [[1, 'B'], [1, 'C'], [3, 'A']]);
+    assert.deepStrictEqual(notRanked.map(row => [row.mp_name, row.role]), [['D', 'leader_of_opposition']]);
+    assert.deepStrictEqual(analytics.rank('debates', { state: 'telangana', order: 'asc', limit: 1 }).rankings.map(row => row.mp_name), ['A']);
+});
+
+test('groups merge spellings and average reported values only', () => {
+    const analytics = createMpAnalytics(ROWS);
+    const education = analytics.aggregate('education');
+    assert.deepStrictEqual(education.map(group => group.mp_count), [2, 1, 1]);
+    assert.deepStrictEqual(education[0].roles_not_reported, { minister: 1 });
+    assert.deepStrictEqual(education[0].metrics.questions, { reported_count: 2, average: 75, median: 75 });
+    assert.deepStrictEqual(education[2].metrics.debates, { reported_count: 0, average: null, median: null });
+    assert.deepStrictEqual(analytics.aggregate('age_band').map(group => group.age_band).sort(), ['45-54', '55-64', '75+', 'Under 25']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeName, phoneticKey, levenshtein, createNameMatcher } = require('../name_matching');
+
+test('constituency suffixes, reservation tags and accents are normalized away', () => {
+    assert.strictEqual(normalizeName('Secunderabad (Lok Sabha constituency)'), 'secunderabad');
+    assert.strictEqual(normalizeName('Chevella (SC)'), 'chevella');
+    assert.strictEqual(normalizeName('Nizamabad (Rural)'), 'nizamabad rural');
+    assert.strictEqual(normalizeName('Secunderabad Cantt.'), 'secunderabad cantonment');
+    assert.strictEqual(normalizeName('Bhārat'), 'bharat');
+    assert.strictEqual(normalizeName(null), '');
+});
+
+test('transliteration variants share a phonetic key', () => {
+    assert.strictEqual(phoneticKey('Khairtabad'), phoneticKey('Khairatabad'));
+    assert.strictEqual(phoneticKey('Kairathabad'), phoneticKey('Khairatabad'));
+    assert.notStrictEqual(phoneticKey('Malakpet'), phoneticKey('Khairatabad'));
+});
+
+test('levenshtein gives up past maxDistance', () => {
+    assert.strictEqual(levenshtein('kitten', 'sitting'), 3);
+    assert.strictEqual(levenshtein('abcdef', 'uvwxyz', 2), 3);
+    assert.strictEqual(levenshtein('', 'abc'), 3);
+});
+
+test('a match reports how it was found', () => {
+    const matcher = createNameMatcher(
+        [{ name: 'Khairatabad' }, { name: 'Secunderabad', term: 17 }, { name: 'Secunderabad', term: 18 }, { name: 'Rajendranagar' }],
+        record => record.name
+    );
+    const found = (query) => {
+        const match = matcher.match(query);
+        return match && [match.name, match.method, match.score];
+    };
+    assert.deepStrictEqual(found('khairatabad'), ['Khairatabad', 'exact', 1]);
+    assert.deepStrictEqual(found('Secunderabad (Lok Sabha constituency)'), ['Secunderabad', 'normalized', 0.97]);
+    assert.deepStrictEqual(found('Khairtabad'), ['Khairatabad', 'phonetic', 0.9]);
+    assert.deepStrictEqual(found('Rajendra Nagar'), ['Rajendranagar', 'fuzzy', 0.93]);
+    assert.strictEqual(found('Warangal'), null);
+    assert.strictEqual(found(''), null);
+    // Every record with the matched name comes back
+    assert.strictEqual(matcher.match('Secunderabad').records.length, 2);
+});
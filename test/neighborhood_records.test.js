@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { neighborhoodIds, assignNeighborhoodIds, mergeNeighborhood, unknownFields } = require('../neighborhood_records');
+
+test('stored ids are used as they are; others get a slug that is not taken', () => {
+    const records = [
+        { id: 'begumpet--hyderabad', placeName: 'Begumpet Village', district: 'Hyderabad' },
+        { placeName: 'Begumpet', district: 'Hyderabad' },
+        { placeName: 'S. R. Nagar', district: 'Hyderabad' },
+        { placeName: 'S R Nagar', district: 'Hyderabad' },
+        { id: 'begumpet--hyderabad', placeName: 'Begumpet', district: 'N/A' }
+    ];
+    assert.deepStrictEqual(neighborhoodIds(records), [
+        'begumpet--hyderabad',
+        'begumpet--hyderabad-2',
+        's-r-nagar--hyderabad',
+        's-r-nagar--hyderabad-2',
+        'begumpet'
+    ]);
+});
+
+test('an assigned id survives a rename', () => {
+    const records = [{ placeName: 'Khairtabad', district: 'Hyderabad' }, { id: 'ameerpet', placeName: 'Ameerpet' }];
+    assert.strictEqual(assignNeighborhoodIds(records), 1);
+    assert.deepStrictEqual(records[0], { id: 'khairtabad--hyderabad', placeName: 'Khairtabad', district: 'Hyderabad' });
+    assert.strictEqual(assignNeighborhoodIds(records), 0);
+
+    records[0] = { ...records[0], placeName: 'Khairatabad' };
+    assert.deepStrictEqual(neighborhoodIds(records), ['khairtabad--hyderabad', 'ameerpet']);
+});
+
+test('a merge fills gaps and reports disagreements', () => {
+    const existing = { id: 'begumpet--hyderabad', placeName: 'Begumpet', district: 'Hyderabad', pincode: '500 016', latitude: 17.44, longitude: 78.46 };
+    const { record, filled, conflicts } = mergeNeighborhood(existing, {
+        placeName: 'Begumpet',
+        district: 'Hyderabad district',
+        pincode: '500016',
+        region: 'Ameerpet',
+        lokSabhaConstituency: 'Secunderabad',
+        latitude: 17.5,
+        longitude: 78.46
+    });
+    assert.strictEqual(record.id, 'begumpet--hyderabad');
+    assert.deepStrictEqual(filled, ['region', 'lokSabhaConstituency']);
+    assert.deepStrictEqual(conflicts.map(conflict => conflict.field), ['coordinates']);
+    assert.strictEqual(record.latitude, 17.44);
+});
+
+test('a record read from the API can be sent back as it was', () => {
+    const read = { id: 'ameerpet', placeName: 'Ameerpet', imageUrls: ['a.jpg', 'flag.svg'], curatedImageUrls: ['a.jpg'] };
+    assert.deepStrictEqual(unknownFields(read), []);
+    assert.deepStrictEqual(unknownFields({ ...read, images: [] }), ['images']);
+});
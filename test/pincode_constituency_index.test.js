@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePincode, buildPincodeConstituencyIndex } = require('../pincode_constituency_index');
+
+// Neighborhoods carry their constituency names; post offices are located
+// through resolveConstituencies, stubbed here by office name
+function buildIndex({ neighborhoods = [], pincodeRecords = [], located = {} }) {
+    return buildPincodeConstituencyIndex({
+        neighborhoods,
+        pincodeRecords,
+        getVidhanSabha: place => place.vidhan_sabha,
+        getLokSabha: place => place.lok_sabha,
+        resolveConstituencies: (lat, lon) => located[`${lat},${lon}`] || {}
+    });
+}
+
+test('normalizePincode accepts spaced and numeric pincodes only', () => {
+    assert.strictEqual(normalizePincode('500 004'), '500004');
+    assert.strictEqual(normalizePincode(500004), '500004');
+    assert.strictEqual(normalizePincode('050004'), null);
+    assert.strictEqual(normalizePincode('5000'), null);
+});
+
+test('spellings of one seat are merged into one candidate', () => {
+    const index = buildIndex({
+        neighborhoods: [
+            { placeName: 'Khairatabad', pincode: '500004', vidhan_sabha: 'Khairtabad', lok_sabha: 'Secunderabad' },
+            { placeName: 'Somajiguda', pincode: '500 004', vidhan_sabha: 'Khairatabad (Assembly constituency)', lok_sabha: 'Secunderabad (Lok Sabha constituency)' }
+        ],
+        pincodeRecords: [{ Pincode: '500004', OfficeName: 'Khairatabad S.O', Latitude: 17.41, Longitude: 78.46 }],
+        located: {
+            '17.41,78.46': {
+                vidhanSabhaConstituency: { name: 'Khairathabad', method: 'nearest', matchDistance: 0.8 },
+                lokSabhaConstituency: { name: 'Secunderabad', method: 'polygon' }
+            }
+        }
+    });
+
+    const entry = index.lookup('500004');
+    assert.strictEqual(entry.known, true);
+    assert.strictEqual(entry.assemblyConstituencies.length, 1);
+    assert.strictEqual(entry.assemblyConstituencies[0].name, 'Khairtabad');
+    assert.deepStrictEqual(entry.assemblyConstituencies[0].sources.map(source => source.name),
+        ['Khairatabad', 'Somajiguda', 'Khairatabad S.O']);
+    assert.strictEqual(entry.parliamentaryConstituencies.length, 1);
+    assert.strictEqual(entry.parliamentaryConstituencies[0].sources[2].distance_km, 0);
+});
+
+test('different seats stay separate, most supported first', () => {
+    const index = buildIndex({
+        neighborhoods: [
+            { placeName: 'A', pincode: '503001', vidhan_sabha: 'Nizamabad Urban' },
+            { placeName: 'B', pincode: '503001', vidhan_sabha: 'Nizamabad Rural' },
+            { placeName: 'C', pincode: '503001', vidhan_sabha: 'Nizamabad (Rural)' }
+        ]
+    });
+    const names = index.lookup('503001').assemblyConstituencies.map(candidate => candidate.name);
+    assert.deepStrictEqual(names, ['Nizamabad Rural', 'Nizamabad Urban']);
+    assert.strictEqual(index.lookup('999999').known, false);
+    assert.strictEqual(index.lookup('abc'), null);
+});
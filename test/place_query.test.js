@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSpatialIndex } = require('../spatial_index');
+const { parseArea, findInArea, parseListOptions, paginate, projectFields } = require('../place_query');
+
+// A row of places 0..9 km east of 17.4, 78.4 (0.01° of longitude is about 1.06 km here)
+const PLACES = Array.from({ length: 10 }, (_, n) => ({ name: `P${n}`, latitude: 17.4, longitude: 78.4 + n * 0.01 }));
+const index = buildSpatialIndex(PLACES);
+const names = (matches) => matches.map(match => match.record.name);
+
+test('the area comes from range, k, bbox or a polygon body', () => {
+    assert.deepStrictEqual(parseArea({ lat: '17.4', lng: '78.4' }).area, { mode: 'radius', lat: 17.4, lng: 78.4, radiusKm: 50 });
+    assert.deepStrictEqual(parseArea({ lat: '17.4', lng: '78.4', k: '3', range: '2' }).area, { mode: 'k', lat: 17.4, lng: 78.4, k: 3, radiusKm: 2 });
+    assert.deepStrictEqual(parseArea({ bbox: '78.4,17.3,78.5,17.5' }).area,
+        { mode: 'bbox', lat: 17.4, lng: 78.45, box: { minLat: 17.3, minLng: 78.4, maxLat: 17.5, maxLng: 78.5 } });
+    const square = { type: 'Polygon', coordinates: [[[78.4, 17.3], [78.5, 17.3], [78.5, 17.5], [78.4, 17.3]]] };
+    assert.strictEqual(parseArea({}, { type: 'Feature', geometry: square }).area.mode, 'polygon');
+
+    assert.match(parseArea({ lat: '17.4' }).error, /are required/);
+    assert.match(parseArea({ lat: '17.4', lng: '78.4', k: '0' }).error, /k must be a whole number/);
+    assert.match(parseArea({ bbox: '78.5,17.3,78.4,17.5' }).error, /bbox must be/);
+    assert.match(parseArea({}, { type: 'Point', coordinates: [78, 17] }).error, /Polygon or MultiPolygon/);
+});
+
+test('radius, k, bbox and polygon areas find the places in them, nearest first', () => {
+    const find = (query, polygon) => names(findInArea(index, parseArea(query, polygon).area));
+    assert.deepStrictEqual(find({ lat: '17.4', lng: '78.4', range: '2.2' }), ['P0', 'P1', 'P2']);
+    assert.deepStrictEqual(find({ lat: '17.4', lng: '78.45', k: '3' }), ['P5', 'P4', 'P6']);
+    assert.deepStrictEqual(find({ bbox: '78.415,17.3,78.445,17.5', lat: '17.4', lng: '78.4' }), ['P2', 'P3', 'P4']);
+    // A triangle over P1..P4 that leaves out P5..P8 although its box reaches them
+    const triangle = { type: 'Polygon', coordinates: [[[78.405, 17.3], [78.485, 17.3], [78.405, 17.5], [78.405, 17.3]]] };
+    assert.deepStrictEqual(find({ lat: '17.4', lng: '78.4' }, triangle), ['P1', 'P2', 'P3', 'P4']);
+});
+
+test('list options check type and limit', () => {
+    assert.deepStrictEqual(parseListOptions({ type: 'Pincode', fields: 'name, latitude', limit: '5' }),
+        { types: ['pincode'], fields: ['name', 'latitude'], limit: 5, cursor: null });
+    assert.match(parseListOptions({ type: 'district' }).error, /type must be one of: neighborhood, pincode/);
+    assert.match(parseListOptions({ limit: '0' }).error, /limit must be a whole number/);
+});
+
+test('cursor pages walk every entry once, in key order', () => {
+    const area = { mode: 'radius', lat: 17.4, lng: 78.4, radiusKm: 50 };
+    const types = ['neighborhood', 'pincode'];
+    // Two entries share a distance; the layer rank then the dataset index order them
+    const entries = [[3, 0, 2], [1, 1, 0], [1, 0, 5], [2, 0, 1], [0, 0, 0]].map(key => ({ key }));
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const page = paginate(entries, { area, types, limit: 2, cursor });
+        assert.strictEqual(page.total, 5);
+        seen.push(...page.entries.map(entry => entry.key));
+        cursor = page.nextCursor;
+        pages++;
+    } while (cursor);
+    assert.strictEqual(pages, 3);
+    assert.deepStrictEqual(seen, [[0, 0, 0], [1, 0, 5], [1, 1, 0], [2, 0, 1], [3, 0, 2]]);
+
+    const { nextCursor } = paginate(entries, { area, types, limit: 2, cursor: null });
+    assert.deepStrictEqual(paginate(entries, { area, types: ['pincode'], limit: 2, cursor: nextCursor }),
+        { error: "cursor belongs to a different query" });
+    assert.deepStrictEqual(paginate(entries, { area, types, limit: 2, cursor: 'not-a-cursor' }), { error: "cursor is not valid" });
+    assert.strictEqual(paginate(entries, { area, types, limit: null, cursor: null }).entries.length, 5);
+});
+
+test('fields project dotted paths and skip missing ones', () => {
+    const record = { name: 'Ameerpet', images: { primary: 'a.jpg', all: ['a.jpg'] }, pincode: null };
+    assert.deepStrictEqual(projectFields(record, ['name', 'images.primary', 'pincode', 'missing.deep']),
+        { name: 'Ameerpet', images: { primary: 'a.jpg' }, pincode: null });
+    assert.strictEqual(projectFields(record, null), record);
+});
@@ -0,0 +1,85 @@
+// PRS MP Track parser against the pages in test/fixtures/prs: a profile with
+// metrics (dt/dd details), a minister's profile (table details, note instead
+// of metrics, name only in <title>) and a search results page.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MP_TRACK_COLUMNS, toTrackRecord, parseMpProfilePage, parseMpSearchPage } = require('../prs_mp_parser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'prs', name), 'utf8');
+
+test('profile page: details, metrics and averages', () => {
+    const record = parseMpProfilePage(fixture('profile_putta_mahesh_kumar.html'), {
+        profileUrl: 'https://prsindia.org/mptrack/18th-lok-sabha/putta-mahesh-kumar-180022'
+    });
+    assert.deepStrictEqual(Object.keys(record), MP_TRACK_COLUMNS);
+    assert.strictEqual(record.mp_election_index, '180022');
+    assert.strictEqual(record.mp_name, 'Putta Mahesh Kumar');
+    assert.strictEqual(record.pc_name, 'Eluru');
+    assert.strictEqual(record.state, 'Andhra Pradesh');
+    assert.strictEqual(record.mp_political_party, 'Telugu Desam Party');
+    assert.strictEqual(record.mp_gender, 'Male');
+    assert.strictEqual(record.mp_age, '37');
+    assert.strictEqual(record.term, 'First Term');
+    assert.strictEqual(record.term_start_date, '09-06-2024');
+    assert.strictEqual(record.term_end_date, 'In Office');
+    assert.strictEqual(record.educational_qualification_details,
+        'B.Tech (Civil Engineering) from Jawaharlal Nehru Technology University Hyderabad, 2010');
+    assert.strictEqual(record.mp_house, 'Lok Sabha');
+    assert.strictEqual(record.mp_note, '');
+
+    // Attendance is a fraction, as in the CSV
+    assert.strictEqual(record.attendance, '0.8427');
+    assert.strictEqual(record.attendance_national_average, '0.8721');
+    assert.strictEqual(record.attendance_state_average, '0.8453');
+    assert.strictEqual(record.debates, '8');
+    assert.strictEqual(record.national_average_debate, '13.5');
+    assert.strictEqual(record.state_average_debate, '11.5');
+    assert.strictEqual(record.questions, '105');
+    assert.strictEqual(record.national_average_questions, '64.6');
+    assert.strictEqual(record.private_member_bills, '0');
+    assert.strictEqual(record.state_average_pmb, '0.05');
+});
+
+test("minister's profile: note kept, metrics left blank", () => {
+    const record = parseMpProfilePage(fixture('profile_g_kishan_reddy.html'));
+    assert.strictEqual(record.mp_name, 'G Kishan Reddy');
+    assert.strictEqual(record.pc_name, 'Secunderabad');
+    assert.strictEqual(record.state, 'Telangana');
+    assert.strictEqual(record.mp_political_party, 'Bharatiya Janata Party');
+    assert.strictEqual(record.educational_qualification, 'Upto Higher Secondary');
+    assert.strictEqual(record.term, 'Second Term');
+    assert.match(record.mp_note, /^This MP is a minister\./);
+    ['attendance', 'debates', 'questions', 'private_member_bills', 'attendance_national_average']
+        .forEach(column => assert.strictEqual(record[column], '', column));
+    assert.strictEqual(record.mp_election_index, '');
+});
+
+test('search page: one result per profile, with its card fields', () => {
+    const results = parseMpSearchPage(fixture('search_telangana.html'));
+    assert.deepStrictEqual(results, [
+        {
+            mp_name: 'G Kishan Reddy',
+            pc_name: 'Secunderabad',
+            state: 'Telangana',
+            mp_political_party: 'Bharatiya Janata Party',
+            profile_url: 'https://prsindia.org/mptrack/18th-lok-sabha/g-kishan-reddy'
+        },
+        {
+            mp_name: 'Asaduddin Owaisi',
+            pc_name: 'Hyderabad',
+            state: 'Telangana',
+            mp_political_party: 'All India Majlis-E-Ittehadul Muslimeen',
+            profile_url: 'https://prsindia.org/mptrack/18th-lok-sabha/asaduddin-owaisi'
+        }
+    ]);
+});
+
+test('toTrackRecord fills every column with a string', () => {
+    const record = toTrackRecord({ mp_name: 'A', mp_age: 40, debates: null });
+    assert.deepStrictEqual(Object.keys(record), MP_TRACK_COLUMNS);
+    assert.strictEqual(record.mp_age, '40');
+    assert.strictEqual(record.debates, '');
+});
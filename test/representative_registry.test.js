@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTermDate, createRepresentativeRegistry } = require('../representative_registry');
+
+const ACCESSORS = {
+    getState: row => row.state,
+    getTerm: row => row.term,
+    getConstituency: row => row.seat,
+    getStart: row => row.start,
+    getEnd: row => row.end
+};
+
+const ROWS = [
+    { name: 'A', state: 'Telangana', term: '2', seat: 'Sirpur', start: '2018-12-11', end: '2023-12-03' },
+    { name: 'B', state: 'Telangana', term: '3', seat: 'Sirpur', start: '2023-12-03', end: 'In office' },
+    { name: 'C', state: 'Andhra Pradesh', term: '16', seat: 'Eluru', start: '09-06-2024', end: 'In Office' }
+];
+
+test('parseTermDate reads ISO and day-first dates only', () => {
+    assert.strictEqual(parseTermDate('09-06-2024').toISOString(), '2024-06-09T00:00:00.000Z');
+    assert.strictEqual(parseTermDate('2023-12-03').toISOString(), '2023-12-03T00:00:00.000Z');
+    assert.strictEqual(parseTermDate('2024-02-31'), null);
+    assert.strictEqual(parseTermDate('In office'), null);
+});
+
+test('current members come from the latest term of each state', () => {
+    const registry = createRepresentativeRegistry(ROWS, [], ACCESSORS);
+    assert.deepStrictEqual(registry.find().map(row => row.name), ['B', 'C']);
+    assert.deepStrictEqual(registry.find({ term: 2 }).map(row => row.name), ['A']);
+    assert.deepStrictEqual(registry.find({ date: new Date('2020-01-01') }).map(row => row.name), ['A']);
+    assert.deepStrictEqual(registry.coverage(), [
+        { state: 'Andhra Pradesh', terms: [16], members: 1 },
+        { state: 'Telangana', terms: [2, 3], members: 2 }
+    ]);
+});
+
+test('records without a term are only found by date', () => {
+    const rows = [...ROWS, { name: 'D', state: 'Telangana', term: '', seat: 'Adilabad', start: '2023-12-03', end: 'In office' }];
+    const registry = createRepresentativeRegistry(rows, [], ACCESSORS);
+    assert.strictEqual(registry.untermed, 1);
+    assert.deepStrictEqual(registry.find({ state: 'Telangana' }).map(row => row.name), ['B']);
+    assert.deepStrictEqual(registry.find({ date: new Date('2024-01-01'), state: 'Telangana' }).map(row => row.name), ['B', 'D']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, createSearchIndex } = require('../search_index');
+
+function phraseIndex() {
+    const index = createSearchIndex();
+    index.add({ id: 'vanakkam', type: 'item', fields: { text: 'Vanakkam, how are you?' } });
+    index.add({ id: 'hello', type: 'item', fields: { text: 'Hello <b>friend</b> & you' } });
+    index.add({ id: 'nagar', type: 'place', fields: { name: 'Hello Nagar' }, boosts: { name: 2 } });
+    index.add({ id: 'helicopter', type: 'item', fields: { text: 'Helicopter rides' } });
+    return index;
+}
+
+const ids = (hits) => hits.map(hit => hit.id);
+
+test('tokens keep letters of any script and drop accents', () => {
+    assert.deepStrictEqual(tokenize('Vanakkam! వణక్కం, Café 42'), ['vanakkam', 'వణక్కం', 'cafe', '42']);
+});
+
+test('a prefix matches shorter completions first, boosted fields above the rest', () => {
+    assert.deepStrictEqual(ids(phraseIndex().search('hel')), ['nagar', 'hello', 'helicopter']);
+});
+
+test('a typo matches within the edit distance unless fuzzy matching is off', () => {
+    const index = phraseIndex();
+    assert.deepStrictEqual(ids(index.search('vanakam')), ['vanakkam']);
+    assert.deepStrictEqual(index.search('vanakam', { fuzzy: false }), []);
+});
+
+test('every query token has to match', () => {
+    const index = phraseIndex();
+    assert.deepStrictEqual(ids(index.search('hello you')), ['hello']);
+    assert.deepStrictEqual(index.search('hello xyz'), []);
+    assert.deepStrictEqual(ids(index.search('hello', { types: ['item'] })), ['hello']);
+});
+
+test('highlights escape the field text around the marks', () => {
+    const [hit] = phraseIndex().search('friend');
+    assert.strictEqual(hit.highlights.text, 'Hello &lt;b&gt;<mark>friend</mark>&lt;/b&gt; &amp; you');
+});
+
+test('a removed document is no longer found', () => {
+    const index = phraseIndex();
+    index.remove('nagar');
+    assert.deepStrictEqual(index.search('nagar'), []);
+    assert.strictEqual(index.size, 3);
+    // Adding an id again replaces the document
+    index.add({ id: 'hello', type: 'item', fields: { text: 'Namaste' } });
+    assert.deepStrictEqual(ids(index.search('hello')), []);
+    assert.deepStrictEqual(ids(index.search('namaste')), ['hello']);
+});
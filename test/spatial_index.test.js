@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { haversineDistance } = require('../geo_utils');
+const { buildSpatialIndex } = require('../spatial_index');
+
+// Points scattered around Hyderabad from a fixed seed, so failures repeat
+function scatteredPoints(count) {
+    let seed = 7;
+    const next = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    return Array.from({ length: count }, (_, n) => ({ id: n, latitude: 17 + next(), longitude: 78 + next() }));
+}
+
+test('within matches a scan of every record, in dataset order', () => {
+    const points = scatteredPoints(500);
+    const index = buildSpatialIndex(points);
+    for (const radius of [0.5, 5, 30, 200]) {
+        const expected = points.filter(point => haversineDistance(17.4, 78.5, point.latitude, point.longitude) <= radius);
+        assert.deepStrictEqual(index.within(17.4, 78.5, radius).map(match => match.record), expected, `radius ${radius}`);
+    }
+});
+
+test('records without usable coordinates are left out', () => {
+    const index = buildSpatialIndex([
+        { latitude: 17.4, longitude: 78.5 },
+        { latitude: null, longitude: 78.5 },
+        { latitude: '17.4', longitude: '78.5' },
+        { latitude: NaN, longitude: 78.5 }
+    ]);
+    assert.strictEqual(index.size, 1);
+    assert.deepStrictEqual(index.within(17.4, 78.5, 1).map(match => match.index), [0]);
+    assert.deepStrictEqual(index.within(17.4, 78.5, -1), []);
+});
+
+test('a search circle wraps across the antimeridian', () => {
+    const index = buildSpatialIndex([{ latitude: 0, longitude: 179.95 }, { latitude: 0, longitude: -179.95 }]);
+    assert.deepStrictEqual(index.within(0, 180, 10).map(match => match.index), [0, 1]);
+});
+
+test('nearest and nearestK order by distance, then dataset order', () => {
+    const index = buildSpatialIndex([
+        { name: 'far', latitude: 17.9, longitude: 78.5 },
+        { name: 'tied-first', latitude: 17.5, longitude: 78.5 },
+        { name: 'tied-second', latitude: 17.5, longitude: 78.5 },
+        { name: 'near', latitude: 17.41, longitude: 78.5 }
+    ]);
+    assert.strictEqual(index.nearest(17.4, 78.5, 50).record.name, 'near');
+    assert.strictEqual(index.nearest(17.4, 78.5, 0.5), null);
+    assert.deepStrictEqual(index.nearestK(17.4, 78.5, 3).map(match => match.record.name), ['near', 'tied-first', 'tied-second']);
+    // The doubling search radius stops at maxKm
+    assert.deepStrictEqual(index.nearestK(17.4, 78.5, 4, 20).map(match => match.record.name), ['near', 'tied-first', 'tied-second']);
+    assert.deepStrictEqual(index.nearestK(17.4, 78.5, 0), []);
+});
+
+test('withinBox includes its edges and refuses an inverted box', () => {
+    const points = scatteredPoints(300);
+    const index = buildSpatialIndex([...points, { id: 'edge', latitude: 17.2, longitude: 78.2 }]);
+    const inBox = point => point.latitude >= 17.2 && point.latitude <= 17.6 && point.longitude >= 78.2 && point.longitude <= 78.7;
+    assert.deepStrictEqual(
+        index.withinBox(17.2, 78.2, 17.6, 78.7).map(match => match.record.id),
+        [...points, { id: 'edge', latitude: 17.2, longitude: 78.2 }].filter(inBox).map(point => point.id)
+    );
+    assert.deepStrictEqual(index.withinBox(17.6, 78.2, 17.2, 78.7), []);
+});
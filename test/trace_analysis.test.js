@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseGpx, parseJsonPoints, cleanTrace, analyzeTrace } = require('../trace_analysis');
+
+const START = Date.parse('2025-01-01T10:00:00Z');
+
+// A walk east along latitude 17.4, one fix a minute, about 1 km apart
+const eastward = (steps) => steps.map(([lng, minutes, lat = 17.4]) => ({ lat, lng, time: new Date(START + minutes * 60000).toISOString() }));
+
+test('GPX track points win over waypoints, with either quote style', () => {
+    const gpx = '<?xml version="1.0"?><gpx><wpt lat="1" lon="2"/><trk><trkseg>' +
+        '<trkpt lat="17.40" lon="78.40"><time>2025-01-01T10:00:00Z</time></trkpt>' +
+        "<trkpt lat='17.41' lon='78.40'/></trkseg></trk></gpx>";
+    assert.deepStrictEqual(parseGpx(gpx), [
+        { lat: 17.4, lng: 78.4, time: '2025-01-01T10:00:00Z' },
+        { lat: 17.41, lng: 78.4, time: null }
+    ]);
+    assert.deepStrictEqual(parseGpx('<gpx><wpt lat="1" lon="2"/></gpx>'), [{ lat: 1, lng: 2, time: null }]);
+    assert.throws(() => parseGpx('<kml/>'), /not a GPX document/);
+});
+
+test('JSON points may be arrays or objects with any usual field names', () => {
+    const points = parseJsonPoints([[17.4, 78.4, 1735725600], { lat: 17.4, lon: 78.41, timestamp: 'now' }, { latitude: '17.4', longitude: '78.42' }]);
+    assert.deepStrictEqual(points, [
+        { lat: 17.4, lng: 78.4, time: 1735725600 },
+        { lat: 17.4, lng: 78.41, time: 'now' },
+        { lat: 17.4, lng: 78.42, time: undefined }
+    ]);
+    assert.throws(() => parseJsonPoints({ lat: 1 }), /expected an array/);
+});
+
+test('repeats, jumps and invalid points are dropped and counted', () => {
+    const { points, dropped, timed } = cleanTrace([
+        ...eastward([[78.40, 0], [78.40, 0], [78.41, 1], [78.41, 1.5, 19], [78.42, 2], [78.43, 3]]),
+        { lat: 'x', lng: 78.44, time: null },
+        { lat: 17.4, lng: 78.44, time: 'yesterday-ish' }
+    ]);
+    assert.strictEqual(timed, true);
+    assert.deepStrictEqual(points.map(point => point.lng), [78.40, 78.41, 78.42, 78.43]);
+    assert.deepStrictEqual(dropped, { invalid: 2, duplicate: 1, jump: 1 });
+});
+
+test('a bad first fix is dropped instead of every point after it', () => {
+    const { points, dropped } = cleanTrace(eastward([[77, 0, 12], [78.40, 10], [78.41, 11], [78.42, 12]]));
+    assert.deepStrictEqual(points.map(point => point.lng), [78.40, 78.41, 78.42]);
+    assert.strictEqual(dropped.jump, 1);
+});
+
+test('points out of order are sorted unless some have no time', () => {
+    const shuffled = eastward([[78.41, 1], [78.40, 0]]);
+    assert.deepStrictEqual(cleanTrace(shuffled).points.map(point => point.lng), [78.40, 78.41]);
+    const { points, timed } = cleanTrace([...shuffled, { lat: 17.4, lng: 78.42 }]);
+    assert.strictEqual(timed, false);
+    assert.deepStrictEqual(points.map(point => [point.lng, point.time]), [[78.41, null], [78.40, null], [78.42, null]]);
+});
+
+test('visits split the legs at their midpoints and add up to the trace', () => {
+    const { points } = cleanTrace(eastward([[78.40, 0], [78.41, 1], [78.42, 2], [78.43, 3], [78.44, 4]]));
+    const zone = (point) => (point.lng < 78.415 ? { key: 'west', name: 'West' } : point.lng < 78.435 ? { key: 'mid', name: 'Mid' } : null);
+    const { summary, zones } = analyzeTrace(points, { zones: zone });
+
+    assert.deepStrictEqual(summary, {
+        started_at: '2025-01-01T10:00:00.000Z',
+        ended_at: '2025-01-01T10:04:00.000Z',
+        duration_seconds: 240,
+        distance_km: 4.244
+    });
+    assert.deepStrictEqual(zones.map(visit => [visit.name, visit.entered_at, visit.exited_at, visit.duration_seconds, visit.points]), [
+        ['West', '2025-01-01T10:00:00.000Z', '2025-01-01T10:01:30.000Z', 90, 2],
+        ['Mid', '2025-01-01T10:01:30.000Z', '2025-01-01T10:03:30.000Z', 120, 2]
+    ]);
+    assert.deepStrictEqual(zones.map(visit => visit.distance_km), [1.592, 2.122]);
+});
+
+test('a single stray point is folded back into the surrounding visit', () => {
+    const { points } = cleanTrace(eastward([[78.40, 0], [78.41, 1], [78.42, 2], [78.43, 3], [78.44, 4]]));
+    const { zones } = analyzeTrace(points, { zones: point => (point.lng === 78.42 ? { key: 'b', name: 'B' } : { key: 'a', name: 'A' }) });
+    assert.deepStrictEqual(zones.map(visit => [visit.name, visit.points]), [['A', 5]]);
+});
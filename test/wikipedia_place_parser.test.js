@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWikipediaPlacePage } = require('../wikipedia_place_parser');
+
+test('images: relative links resolved, icons and unparseable links skipped', () => {
+    const { record } = parseWikipediaPlacePage(`<html><body>
+        <h1 id="firstHeading">Begumpet</h1>
+        <img src="//upload.wikimedia.org/wikipedia/commons/thumb/1/10/Begumpet.jpg/220px-Begumpet.jpg">
+        <img src="//upload.wikimedia.org:port/wikipedia/commons/broken.jpg">
+        <img src="/static/images/icons/wikipedia.svg">
+        <img src="//upload.wikimedia.org/wikipedia/commons/thumb/1/10/Begumpet.jpg/220px-Begumpet.jpg">
+    </body></html>`);
+    assert.strictEqual(record.placeName, 'Begumpet');
+    assert.deepStrictEqual(record.imageUrls, [
+        'https://upload.wikimedia.org/wikipedia/commons/thumb/1/10/Begumpet.jpg/220px-Begumpet.jpg'
+    ]);
+});
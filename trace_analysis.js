@@ -0,0 +1,223 @@
+// GPS trace analysis: which neighborhoods, pincodes and constituencies a
+// recorded route passed through, and for how long / how far in each.
+// Traces come in as GPX (track, route or waypoint points) or as a JSON array
+// of timestamped points. Phone traces are noisy: repeated fixes, points out of
+// order and the odd jump of several kilometres are cleaned up before the
+// points are located.
+
+const { haversineDistance } = require('./geo_utils');
+
+// A fix implying more than this speed from the previous kept point is a GPS jump
+const MAX_SPEED_KMH = 300;
+// Fixes closer than this to the previous kept point (and no later) are repeats
+const DUPLICATE_DISTANCE_KM = 0.005;
+
+const isCoordinate = (value) => typeof value === 'number' && isFinite(value);
+
+// ISO string, epoch milliseconds or epoch seconds → ms; anything else → null
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') {
+        if (!isFinite(value)) return null;
+        return value < 1e11 ? value * 1000 : value;
+    }
+    const text = String(value).trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return parseTime(Number(text));
+    const ms = Date.parse(text);
+    return isNaN(ms) ? null : ms;
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? (match[1] !== undefined ? match[1] : match[2]) : undefined;
+}
+
+// GPX text → [{ lat, lng, time }]. Track points win; a file with none falls
+// back to route points, then waypoints.
+function parseGpx(text) {
+    const xml = String(text || '');
+    if (!/<gpx[\s>]/i.test(xml)) {
+        throw new Error('not a GPX document (no <gpx> element)');
+    }
+    for (const element of ['trkpt', 'rtept', 'wpt']) {
+        const pattern = new RegExp(`<${element}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${element}>)`, 'gi');
+        const points = [];
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const time = (match[2] || '').match(/<time>\s*([^<]*?)\s*<\/time>/i);
+            points.push({
+                lat: parseFloat(attribute(match[1], 'lat')),
+                lng: parseFloat(attribute(match[1], 'lon')),
+                time: time ? time[1] : null
+            });
+        }
+        if (points.length > 0) return points;
+    }
+    return [];
+}
+
+// JSON points: { lat, lng | lon | lng, time | timestamp } objects or [lat, lng, time] arrays
+function parseJsonPoints(points) {
+    if (!Array.isArray(points)) {
+        throw new Error('expected an array of points');
+    }
+    return points.map(point => {
+        if (Array.isArray(point)) {
+            return { lat: Number(point[0]), lng: Number(point[1]), time: point[2] };
+        }
+        if (!point || typeof point !== 'object') return { lat: NaN, lng: NaN, time: null };
+        const lng = point.lng !== undefined ? point.lng : (point.lon !== undefined ? point.lon : point.longitude);
+        return {
+            lat: Number(point.lat !== undefined ? point.lat : point.latitude),
+            lng: Number(lng),
+            time: point.time !== undefined ? point.time : point.timestamp
+        };
+    });
+}
+
+// Drop invalid points, order by time, and remove repeats and GPS jumps.
+// Returns { points: [{ lat, lng, time (ms or null) }], dropped: { invalid, duplicate, jump }, timed }
+function cleanTrace(rawPoints) {
+    const dropped = { invalid: 0, duplicate: 0, jump: 0 };
+    const parsed = [];
+    rawPoints.forEach((point, index) => {
+        const time = parseTime(point.time);
+        if (!isCoordinate(point.lat) || !isCoordinate(point.lng) ||
+            Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180 ||
+            (point.time !== undefined && point.time !== null && point.time !== '' && time === null)) {
+            dropped.invalid++;
+            return;
+        }
+        parsed.push({ lat: point.lat, lng: point.lng, time, index });
+    });
+
+    // Timestamps are only used when every point has one; otherwise file order is the route
+    const timed = parsed.length > 0 && parsed.every(point => point.time !== null);
+    if (timed) {
+        parsed.sort((a, b) => a.time - b.time || a.index - b.index);
+    } else {
+        parsed.forEach(point => { point.time = null; });
+    }
+
+    const isRepeat = (from, to) => (to.time === from.time || !timed) &&
+        haversineDistance(from.lat, from.lng, to.lat, to.lng) <= DUPLICATE_DISTANCE_KM;
+    const tooFast = (from, to) => {
+        if (!timed) return false;
+        const distance = haversineDistance(from.lat, from.lng, to.lat, to.lng);
+        const hours = (to.time - from.time) / 3600000;
+        return distance > DUPLICATE_DISTANCE_KM && (hours === 0 || distance / hours > MAX_SPEED_KMH);
+    };
+
+    const points = [];
+    parsed.forEach((point, i) => {
+        const previous = points[points.length - 1];
+        if (previous && isRepeat(previous, point)) {
+            dropped.duplicate++;
+            return;
+        }
+        if (previous && tooFast(previous, point)) {
+            const next = parsed[i + 1];
+            // A bad first fix makes every real point look like a jump: when this
+            // point agrees with the next one, the lone earlier point was the outlier
+            if (points.length === 1 && next && !tooFast(point, next)) {
+                points.pop();
+                dropped.jump++;
+            } else {
+                dropped.jump++;
+                return;
+            }
+        }
+        points.push({ lat: point.lat, lng: point.lng, time: point.time });
+    });
+    return { points, dropped, timed };
+}
+
+const isoTime = (ms) => (ms === null ? null : new Date(ms).toISOString());
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+// Consecutive points with the same key form one visit. A single point that
+// strays into another area between two points of the same area is boundary
+// jitter and is folded back into the surrounding visit.
+function buildVisits(points, keys) {
+    const smoothed = keys.slice();
+    for (let i = 1; i < smoothed.length - 1; i++) {
+        if (smoothed[i] !== smoothed[i - 1] && smoothed[i - 1] === smoothed[i + 1]) {
+            smoothed[i] = smoothed[i - 1];
+        }
+    }
+
+    const visits = [];
+    smoothed.forEach((key, i) => {
+        const last = visits[visits.length - 1];
+        if (last && last.key === key) {
+            last.end = i;
+        } else {
+            visits.push({ key, start: i, end: i });
+        }
+    });
+    return visits;
+}
+
+// Enter and exit times: the crossing happened somewhere between the last point
+// inside and the first point outside, so the midpoint of that gap is used and
+// the legs between points are split the same way. Visit durations and distances
+// then add up to the trace totals.
+function measureVisits(points, visits) {
+    const legKm = points.map((point, i) => (i === 0 ? 0 :
+        haversineDistance(points[i - 1].lat, points[i - 1].lng, point.lat, point.lng)));
+    const boundaryTime = (i) => (points[i].time === null ? null : (points[i - 1].time + points[i].time) / 2);
+
+    return visits.map(visit => {
+        const enteredAt = visit.start === 0 ? points[0].time : boundaryTime(visit.start);
+        const exitedAt = visit.end === points.length - 1 ? points[visit.end].time : boundaryTime(visit.end + 1);
+        let distance = 0;
+        for (let i = visit.start + 1; i <= visit.end; i++) distance += legKm[i];
+        if (visit.start > 0) distance += legKm[visit.start] / 2;
+        if (visit.end < points.length - 1) distance += legKm[visit.end + 1] / 2;
+        return {
+            ...visit,
+            entered_at: isoTime(enteredAt),
+            exited_at: isoTime(exitedAt),
+            duration_seconds: enteredAt === null ? null : Math.round((exitedAt - enteredAt) / 1000),
+            distance_km: round(distance, 3),
+            points: visit.end - visit.start + 1
+        };
+    });
+}
+
+// points: cleaned trace; layers: { name: (point) → { key, ...details } or null }
+// → { summary, [name]: [visits in route order] }. Stretches outside every
+// known area of a layer are left out of that layer's list.
+function analyzeTrace(points, layers) {
+    const result = {};
+    Object.entries(layers).forEach(([name, locate]) => {
+        const located = points.map(point => locate(point));
+        const keys = located.map(match => (match ? match.key : null));
+        result[name] = measureVisits(points, buildVisits(points, keys))
+            .filter(visit => visit.key !== null)
+            .map(({ key, start, end, ...visit }) => {
+                // Details of the area as located at the first point of the visit
+                const match = located.slice(start, end + 1).find(item => item && item.key === key);
+                const { key: _key, ...details } = match;
+                return { ...details, ...visit };
+            });
+    });
+
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += haversineDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    const first = points[0];
+    const last = points[points.length - 1];
+    return {
+        summary: {
+            started_at: first ? isoTime(first.time) : null,
+            ended_at: last ? isoTime(last.time) : null,
+            duration_seconds: first && first.time !== null ? Math.round((last.time - first.time) / 1000) : null,
+            distance_km: round(distance, 3)
+        },
+        ...result
+    };
+}
+
+module.exports = { MAX_SPEED_KMH, parseGpx, parseJsonPoints, cleanTrace, analyzeTrace };
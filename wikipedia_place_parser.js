@@ -0,0 +1,132 @@
+// HTML → neighborhood record extraction for saved Wikipedia place articles,
+// giving the fields wikipedia_neighbourhoods_main.py scrapes: the page heading
+// as the name, coordinates from the {{coord}} markup, and country / state /
+// district / PIN / constituencies from the settlement infobox. Infobox rows are
+// matched by their label text, so "PIN", "PIN code" and "Postal code" all land
+// in `pincode`. Fields the page does not give are left out rather than "N/A".
+//
+// Run directly to check the parser against saved articles:
+//   node wikipedia_place_parser.js saved_article.html [more.html ...]
+
+const cheerio = require('cheerio');
+
+const WIKIPEDIA_BASE_URL = 'https://en.wikipedia.org';
+
+// Infobox labels (lower case, footnotes and trailing colon removed) → record field
+const INFOBOX_LABELS = {
+    'country': 'country',
+    'state': 'state',
+    'region': 'region',
+    'district': 'district',
+    'pin': 'pincode',
+    'pin code': 'pincode',
+    'pincode': 'pincode',
+    'postal code': 'pincode',
+    'lok sabha constituency': 'lokSabhaConstituency',
+    'lok sabha constituencies': 'lokSabhaConstituency',
+    'parliament constituency': 'lokSabhaConstituency',
+    'parliament constituencies': 'lokSabhaConstituency',
+    'parliamentary constituency': 'lokSabhaConstituency',
+    'vidhan sabha constituency': 'vidhanSabhaConstituency',
+    'vidhan sabha constituencies': 'vidhanSabhaConstituency',
+    'assembly constituency': 'vidhanSabhaConstituency',
+    'assembly constituencies': 'vidhanSabhaConstituency',
+    'legislative assembly constituency': 'vidhanSabhaConstituency',
+    // The label Telangana and Andhra Pradesh articles use
+    'sasana sabha constituencies': 'vidhanSabhaConstituency',
+    'sasana sabha constituency': 'vidhanSabhaConstituency'
+};
+
+// Footnote markers ("[1]", "[citation needed]") and repeated whitespace removed
+const cleanText = (text) => String(text || '')
+    .replace(/\[[^\]]{1,30}\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+const labelKey = (text) => cleanText(text).replace(/\s*:$/, '').toLowerCase();
+
+// "17°26′N" / "78°28′30.5″E" → signed decimal degrees, or null
+function dmsToDecimal(text) {
+    const value = cleanText(text);
+    if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+    const match = value.match(/(\d+(?:\.\d+)?)\s*°\s*(?:(\d+(?:\.\d+)?)\s*[′']\s*)?(?:(\d+(?:\.\d+)?)\s*[″"]\s*)?([NSEW])/i);
+    if (!match) return null;
+    const decimal = parseFloat(match[1]) + (parseFloat(match[2]) || 0) / 60 + (parseFloat(match[3]) || 0) / 3600;
+    return parseFloat((/[SW]/i.test(match[4]) ? -decimal : decimal).toFixed(6));
+}
+
+// Decimal coordinates from the page's first {{coord}}: span.geo holds
+// "17.44; 78.47", the visible span.latitude / span.longitude hold DMS
+function parseCoordinates($) {
+    const geo = cleanText($('span.geo').first().text());
+    const decimal = geo.match(/^(-?\d+(?:\.\d+)?)\s*[;,]\s*(-?\d+(?:\.\d+)?)$/);
+    if (decimal) {
+        return { latitude: parseFloat(decimal[1]), longitude: parseFloat(decimal[2]) };
+    }
+    const latitude = dmsToDecimal($('span.latitude').first().text());
+    const longitude = dmsToDecimal($('span.longitude').first().text());
+    return latitude === null || longitude === null ? null : { latitude, longitude };
+}
+
+// "500016", "500 016" or "500016, 500017" → the first pincode as written
+function firstPincode(text) {
+    const match = cleanText(text).match(/\b\d{3}\s?\d{3}\b/);
+    return match ? match[0] : null;
+}
+
+// Saved article → { record, source }. record has the neighborhoods dataset
+// fields the page gives; source is the article URL when the page names it.
+function parseWikipediaPlacePage(html, { pageUrl = null } = {}) {
+    const $ = cheerio.load(html);
+    const record = { placeType: 'Neighborhood' };
+
+    const heading = cleanText($('h1#firstHeading').first().text()) || cleanText($('h1').first().text());
+    const title = cleanText($('title').first().text()).replace(/\s+[-–—]\s+Wikipedia$/i, '');
+    if (heading || title) record.placeName = heading || title;
+
+    const coordinates = parseCoordinates($);
+    if (coordinates) Object.assign(record, coordinates);
+
+    $('table.infobox tr').each((_, row) => {
+        const label = $(row).children('th').first();
+        const value = $(row).children('td').first();
+        if (!label.length || !value.length) return;
+        const field = INFOBOX_LABELS[labelKey(label.text())];
+        if (!field || record[field] !== undefined) return;
+        // Line breaks separate several constituencies or districts
+        value.find('br').replaceWith(', ');
+        const text = field === 'pincode' ? firstPincode(value.text()) : cleanText(value.text());
+        if (text) record[field] = text;
+    });
+
+    const images = [];
+    $('img').each((_, image) => {
+        const src = $(image).attr('src');
+        if (!src || /\.svg(\.png)?$/i.test(src)) return;
+        let url;
+        try {
+            url = new URL(src, WIKIPEDIA_BASE_URL).toString();
+        } catch (error) {
+            // Saved pages carry the odd mangled src ("//upload.wikimedia.org:x/…"); skip the image
+            return;
+        }
+        if (!images.includes(url)) images.push(url);
+    });
+    if (images.length) record.imageUrls = images;
+
+    const canonical = $('link[rel="canonical"]').attr('href');
+    return { record, source: canonical || pageUrl || null };
+}
+
+module.exports = { WIKIPEDIA_BASE_URL, parseWikipediaPlacePage };
+
+if (require.main === module) {
+    const fs = require('fs');
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('usage: node wikipedia_place_parser.js <saved article.html> [...]');
+        process.exit(1);
+    }
+    files.forEach(file => {
+        console.log(JSON.stringify({ file, ...parseWikipediaPlacePage(fs.readFileSync(file, 'utf8')) }, null, 2));
+    });
+}